@@ -14,6 +14,14 @@ import TeacherDashboard from './screens/TeacherDashboard.js'; // Added for Teach
 import StudentDashboard from './screens/StudentDashboard.js';
 import CreateGameMenu from './screens/CreateGameMenu.js';
 import HostGameMenu from './screens/HostGameMenu.js';
+import HostGameLobby from './screens/HostGameLobby.js';
+import PlayerLobby from './screens/PlayerLobby.js';
+import HostGameScreen from './screens/HostGameScreen.js';
+import PlayerGameScreen from './screens/PlayerGameScreen.js';
+import SessionReport from './screens/SessionReport.js';
+import AssignmentScreen from './screens/AssignmentScreen.js';
+import SoloGameScreen from './screens/SoloGameScreen.js';
+import FlashcardsScreen from './screens/FlashcardsScreen.js';
 
 const Stack = createStackNavigator();
 
@@ -68,6 +76,14 @@ export default function App() {
         <Stack.Screen name="StudentDashboard" component={StudentDashboard} />
         <Stack.Screen name="CreateGameMenu" component={CreateGameMenu} />
         <Stack.Screen name="HostGameMenu" component={HostGameMenu} />
+        <Stack.Screen name="HostGameLobby" component={HostGameLobby} />
+        <Stack.Screen name="PlayerLobby" component={PlayerLobby} />
+        <Stack.Screen name="HostGame" component={HostGameScreen} />
+        <Stack.Screen name="PlayerGame" component={PlayerGameScreen} />
+        <Stack.Screen name="SessionReport" component={SessionReport} />
+        <Stack.Screen name="Assignment" component={AssignmentScreen} />
+        <Stack.Screen name="SoloGameScreen" component={SoloGameScreen} />
+        <Stack.Screen name="Flashcards" component={FlashcardsScreen} />
       </Stack.Navigator>
     </NavigationContainer>
   );
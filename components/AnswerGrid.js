@@ -0,0 +1,118 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
+import RichText from './RichText';
+
+export const ANSWER_COLORS = ['#e21b3c', '#1368ce', '#d89e00', '#26890c', '#864cbf', '#0aa3a3'];
+export const ANSWER_SHAPES = ['▲', '◆', '●', '■', '★', '⬟'];
+
+/**
+ * Colored answer tiles shared by the host and player game screens.
+ * @param {string[]} options - option labels; blank options are hidden but keep their index
+ * @param {(string|null)[]} images - optional picture per option; a picture-only option isn't blank
+ * @param {number[]} selected - indices the player has picked
+ * @param {number[]} correctIndices - when set, tiles render in reveal mode
+ * @param {number[]} counts - optional per-option answer counts (host reveal)
+ */
+export default function AnswerGrid({
+  options,
+  images = [],
+  onSelect,
+  selected = [],
+  correctIndices = null,
+  counts = null,
+  disabled = false,
+}) {
+  const isReveal = Array.isArray(correctIndices);
+
+  return (
+    <View style={styles.grid}>
+      {options.map((label, i) => {
+        const image = images[i];
+        if (!label && !image) return null;
+
+        const isCorrect = isReveal && correctIndices.includes(i);
+        const isSelected = selected.includes(i);
+
+        return (
+          <TouchableOpacity
+            key={i}
+            style={[
+              styles.tile,
+              { backgroundColor: ANSWER_COLORS[i % ANSWER_COLORS.length] },
+              isSelected && styles.tileSelected,
+              isReveal && !isCorrect && styles.tileDimmed,
+            ]}
+            onPress={() => onSelect?.(i)}
+            disabled={disabled || !onSelect}
+            activeOpacity={0.8}
+          >
+            <Text style={styles.shape}>{ANSWER_SHAPES[i % ANSWER_SHAPES.length]}</Text>
+            <View style={styles.body}>
+              {image && <Image source={{ uri: image }} style={styles.image} resizeMode="cover" />}
+              {!!label && <RichText text={label} style={styles.label} numberOfLines={3} />}
+            </View>
+            {counts && <Text style={styles.count}>{counts[i] || 0}</Text>}
+            {isCorrect && <Text style={styles.check}>✓</Text>}
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    width: '100%',
+    gap: 12,
+  },
+  tile: {
+    flexBasis: '48%',
+    flexGrow: 1,
+    minHeight: 90,
+    borderRadius: 16,
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  tileSelected: {
+    borderWidth: 4,
+    borderColor: '#fff',
+  },
+  tileDimmed: {
+    opacity: 0.35,
+  },
+  shape: {
+    color: '#fff',
+    fontSize: 28,
+    marginRight: 14,
+  },
+  body: {
+    flex: 1,
+    gap: 8,
+  },
+  image: {
+    width: '100%',
+    height: 110,
+    borderRadius: 10,
+  },
+  label: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  count: {
+    color: '#fff',
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  check: {
+    color: '#fff',
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+});
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "2025-03-14T09:30" in local time, the format <input type="datetime-local"> uses
+const toInputValue = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/**
+ * Labelled date + time picker. The native picker isn't available on web, so the
+ * browser's own datetime input is used there. Android picks the date, then the time.
+ * @param {number} value - ms timestamp
+ * @param {function} onChange - called with the new ms timestamp
+ */
+export default function DateTimeField({ label, value, onChange, minimumDate }) {
+  const [pickerMode, setPickerMode] = useState(null);
+  const date = new Date(value);
+
+  if (Platform.OS === 'web') {
+    return (
+      <View style={styles.row}>
+        <Text style={styles.label}>{label}</Text>
+        {React.createElement('input', {
+          type: 'datetime-local',
+          value: toInputValue(date),
+          min: minimumDate ? toInputValue(minimumDate) : undefined,
+          onChange: (e) => {
+            const picked = new Date(e.target.value).getTime();
+            if (!Number.isNaN(picked)) onChange(picked);
+          },
+          style: webInputStyle,
+        })}
+      </View>
+    );
+  }
+
+  const handlePicked = (event, picked) => {
+    if (event.type === 'dismissed' || !picked) {
+      setPickerMode(null);
+      return;
+    }
+    onChange(picked.getTime());
+    setPickerMode(Platform.OS === 'android' && pickerMode === 'date' ? 'time' : null);
+  };
+
+  return (
+    <View style={styles.row}>
+      <Text style={styles.label}>{label}</Text>
+      <TouchableOpacity
+        style={styles.valueBtn}
+        onPress={() => setPickerMode(Platform.OS === 'android' ? 'date' : 'datetime')}
+      >
+        <Text style={styles.valueText}>{date.toLocaleString()}</Text>
+      </TouchableOpacity>
+      {pickerMode && (
+        <DateTimePicker
+          value={date}
+          mode={pickerMode}
+          minimumDate={minimumDate}
+          onChange={handlePicked}
+          themeVariant="dark"
+        />
+      )}
+    </View>
+  );
+}
+
+const webInputStyle = {
+  backgroundColor: '#222',
+  color: '#fff',
+  border: '1px solid #444',
+  borderRadius: 8,
+  padding: 8,
+  fontSize: 16,
+  colorScheme: 'dark',
+};
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', marginBottom: 20 },
+  label: { color: '#ddd', fontSize: 16, flex: 1 },
+  valueBtn: { backgroundColor: '#222', borderRadius: 8, paddingVertical: 8, paddingHorizontal: 12, borderWidth: 1, borderColor: '#444' },
+  valueText: { color: '#fff', fontSize: 16 },
+});
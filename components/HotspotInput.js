@@ -0,0 +1,224 @@
+import React, { useRef } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Image } from 'react-native';
+import { getImageAspect, getRegionBox, findRegion, HOTSPOT_SHAPES } from '../utils/hotspot';
+
+const PIN_SIZE = 22;
+const DOT_SIZE = 12;
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+/**
+ * The question image at its own aspect ratio, with optional regions and pins on top.
+ * Taps land on the image box (its children ignore them), so `locationX/Y` are
+ * measured from its top-left corner.
+ * @param {object} question - hotspot question with `imageUrl`, `regions` and `imageAspect`
+ * @param {boolean} showRegions - draw the correct regions (and color the pin right or wrong)
+ * @param {{ x, y }|null} point - one pin (the player's)
+ * @param {{ x, y }[]} points - everyone's pins as dots, green when on a region
+ * @param {function} onPick - called with the tapped `{ x, y }`; omit for a read-only image
+ */
+export function HotspotImage({
+  question,
+  showRegions = false,
+  point = null,
+  points = [],
+  onPick,
+}) {
+  const sizeRef = useRef({ width: 0, height: 0 });
+
+  const handleRelease = (evt) => {
+    const { width, height } = sizeRef.current;
+    if (!width || !height) return;
+    onPick({
+      x: clamp01(evt.nativeEvent.locationX / width),
+      y: clamp01(evt.nativeEvent.locationY / height),
+    });
+  };
+
+  return (
+    <View
+      style={[styles.board, { aspectRatio: getImageAspect(question) }]}
+      onLayout={(e) => { sizeRef.current = e.nativeEvent.layout; }}
+      onStartShouldSetResponder={() => !!onPick}
+      onResponderRelease={handleRelease}
+    >
+      <View pointerEvents="none" style={styles.image}>
+        <Image source={{ uri: question.imageUrl }} style={styles.image} resizeMode="stretch" />
+      </View>
+      {showRegions && (question.regions || []).map((region, i) => {
+        const box = getRegionBox(question, region);
+        return (
+          <View
+            key={i}
+            pointerEvents="none"
+            style={[
+              styles.region,
+              region.shape === HOTSPOT_SHAPES.CIRCLE && styles.regionCircle,
+              { left: `${box.left}%`, top: `${box.top}%`, width: `${box.width}%`, height: `${box.height}%` },
+            ]}
+          >
+            <Text style={styles.regionNumber}>{i + 1}</Text>
+          </View>
+        );
+      })}
+      {points.map((p, i) => (
+        <View
+          key={i}
+          pointerEvents="none"
+          style={[
+            styles.dot,
+            { left: `${p.x * 100}%`, top: `${p.y * 100}%` },
+            findRegion(question, p) !== -1 && styles.dotCorrect,
+          ]}
+        />
+      ))}
+      {point && (
+        <View
+          pointerEvents="none"
+          style={[
+            styles.pin,
+            { left: `${point.x * 100}%`, top: `${point.y * 100}%` },
+            showRegions && (findRegion(question, point) !== -1 ? styles.pinCorrect : styles.pinWrong),
+          ]}
+        />
+      )}
+    </View>
+  );
+}
+
+/**
+ * Tap the image to drop a pin (tap again to move it), then Submit.
+ * @param {{ x, y }|null} point - the current pin; null until the player taps
+ * @param {function} onChange - called with the new pin
+ * @param {function} onSubmit - called with the pin to submit
+ */
+export default function HotspotInput({ question, point, onChange, onSubmit, disabled = false }) {
+  const canSubmit = !disabled && !!point;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.hintText}>{point ? 'Tap again to move your pin' : 'Tap the image to drop a pin'}</Text>
+      <HotspotImage question={question} point={point} onPick={disabled ? undefined : onChange} />
+      <TouchableOpacity
+        style={[styles.submitBtn, !canSubmit && styles.disabledBtn]}
+        onPress={() => onSubmit(point)}
+        disabled={!canSubmit}
+      >
+        <Text style={styles.submitText}>Submit</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+/**
+ * Reveal for a hotspot question: the correct regions, plus either one player's
+ * pin (`point`) or every pin as dots (`points`, host view).
+ * @param {{ x, y }|null} point - the player's pin; null when they didn't answer
+ * @param {{ x, y }[]} points - everyone's pins
+ * @param {boolean} showAnswers - false hides the regions (homework set to keep them hidden)
+ */
+export function HotspotResult({ question, point, points = null, showAnswers = true }) {
+  const onTarget = points ? points.filter(p => findRegion(question, p) !== -1).length : 0;
+
+  return (
+    <View style={styles.container}>
+      {point === null && <Text style={styles.resultLabel}>No pin dropped</Text>}
+      <HotspotImage question={question} showRegions={showAnswers} point={point || null} points={points || []} />
+      {points && (
+        <Text style={styles.resultLabel}>{onTarget} of {points.length} on target</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    alignItems: 'stretch',
+  },
+  board: {
+    width: '100%',
+    borderRadius: 12,
+    overflow: 'hidden',
+    backgroundColor: '#1e1e1e',
+  },
+  image: {
+    ...StyleSheet.absoluteFillObject,
+    width: '100%',
+    height: '100%',
+  },
+  region: {
+    position: 'absolute',
+    borderWidth: 3,
+    borderColor: '#00c781',
+    backgroundColor: 'rgba(0, 199, 129, 0.25)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  regionCircle: {
+    borderRadius: 9999,
+  },
+  regionNumber: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+  pin: {
+    position: 'absolute',
+    width: PIN_SIZE,
+    height: PIN_SIZE,
+    borderRadius: PIN_SIZE / 2,
+    marginLeft: -PIN_SIZE / 2,
+    marginTop: -PIN_SIZE / 2,
+    backgroundColor: '#1368ce',
+    borderWidth: 3,
+    borderColor: '#fff',
+  },
+  pinCorrect: {
+    backgroundColor: '#00c781',
+  },
+  pinWrong: {
+    backgroundColor: '#ff6b6b',
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    marginLeft: -DOT_SIZE / 2,
+    marginTop: -DOT_SIZE / 2,
+    backgroundColor: '#ff6b6b',
+    borderWidth: 1,
+    borderColor: '#fff',
+  },
+  dotCorrect: {
+    backgroundColor: '#00c781',
+  },
+  hintText: {
+    color: '#aaa',
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  submitBtn: {
+    backgroundColor: '#00c781',
+    paddingVertical: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  disabledBtn: {
+    opacity: 0.5,
+  },
+  submitText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  resultLabel: {
+    color: '#aaa',
+    fontSize: 18,
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+});
@@ -0,0 +1,63 @@
+import React, { useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, Animated, Platform } from 'react-native';
+
+const useNativeDriver = Platform.OS !== 'web';
+
+/**
+ * One leaderboard row that slides in, staggered by its position.
+ */
+function LeaderboardRow({ entry, index }) {
+  const progress = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    Animated.timing(progress, {
+      toValue: 1,
+      duration: 400,
+      delay: index * 120,
+      useNativeDriver,
+    }).start();
+  }, [progress, index]);
+
+  const translateX = progress.interpolate({ inputRange: [0, 1], outputRange: [-60, 0] });
+
+  return (
+    <Animated.View style={[styles.row, { opacity: progress, transform: [{ translateX }] }]}>
+      <Text style={styles.rank}>{entry.rank}</Text>
+      {entry.color && <View style={[styles.swatch, { backgroundColor: entry.color }]} />}
+      <Text style={styles.name} numberOfLines={1}>{entry.name}</Text>
+      {entry.change > 0 && <Text style={styles.up}>▲ {entry.change}</Text>}
+      {entry.change < 0 && <Text style={styles.down}>▼ {Math.abs(entry.change)}</Text>}
+      <Text style={styles.score}>{entry.score}</Text>
+    </Animated.View>
+  );
+}
+
+/**
+ * Animated top-N leaderboard shown on the host screen between questions.
+ * @param {object[]} entries - ranked `{ id, name, score, rank, change }`, best first;
+ *   team rows also carry a `color`
+ */
+export default function Leaderboard({ title = 'Leaderboard', entries, limit = 5 }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+      {entries.slice(0, limit).map((entry, i) => (
+        <LeaderboardRow key={entry.id} entry={entry} index={i} />
+      ))}
+      {entries.length === 0 && <Text style={styles.empty}>No scores yet</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { width: '100%', maxWidth: 700, alignSelf: 'center' },
+  title: { color: '#fff', fontSize: 36, fontWeight: 'bold', textAlign: 'center', marginBottom: 24 },
+  row: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#1e1e1e', borderRadius: 14, paddingVertical: 16, paddingHorizontal: 20, marginBottom: 12, borderWidth: 1, borderColor: '#333' },
+  rank: { color: '#00c781', fontSize: 22, fontWeight: 'bold', width: 40 },
+  swatch: { width: 14, height: 14, borderRadius: 7, marginRight: 10 },
+  name: { flex: 1, color: '#fff', fontSize: 20, fontWeight: 'bold' },
+  up: { color: '#00c781', fontSize: 16, fontWeight: 'bold', marginRight: 16 },
+  down: { color: '#ff6b6b', fontSize: 16, fontWeight: 'bold', marginRight: 16 },
+  score: { color: '#fff', fontSize: 22, fontWeight: 'bold', minWidth: 70, textAlign: 'right' },
+  empty: { color: '#666', fontSize: 18, textAlign: 'center' },
+});
@@ -0,0 +1,212 @@
+import React, { useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Animated, PanResponder } from 'react-native';
+import { moveItem } from '../utils/ordering';
+import RichText from './RichText';
+
+const ROW_HEIGHT = 64;
+const ROW_GAP = 10;
+const SLOT_HEIGHT = ROW_HEIGHT + ROW_GAP;
+
+/**
+ * One row that can be dragged by its handle. PanResponder handles touch on
+ * mobile and the mouse on web (react-native-web), so there's one code path.
+ */
+function DraggableRow({ position, count, onMove, disabled, children }) {
+  const dragY = useRef(new Animated.Value(0)).current;
+  const [isDragging, setIsDragging] = useState(false);
+
+  // The responder is created once; read the latest props through a ref
+  const latest = useRef({ position, count, onMove });
+  latest.current = { position, count, onMove };
+
+  const endDrag = () => {
+    dragY.setValue(0);
+    setIsDragging(false);
+  };
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    // Don't let a surrounding ScrollView take over mid-drag
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: () => setIsDragging(true),
+    onPanResponderMove: Animated.event([null, { dy: dragY }], { useNativeDriver: false }),
+    onPanResponderRelease: (_, gesture) => {
+      const { position: from, count: total, onMove: move } = latest.current;
+      const to = Math.min(total - 1, Math.max(0, from + Math.round(gesture.dy / SLOT_HEIGHT)));
+      endDrag();
+      if (to !== from) move(from, to);
+    },
+    onPanResponderTerminate: endDrag,
+  })).current;
+
+  return (
+    <Animated.View
+      style={[
+        styles.row,
+        isDragging && styles.rowDragging,
+        { transform: [{ translateY: dragY }] },
+      ]}
+    >
+      {!disabled && (
+        <View style={styles.handle} {...responder.panHandlers}>
+          <Text style={styles.handleText}>☰</Text>
+        </View>
+      )}
+      {children}
+    </Animated.View>
+  );
+}
+
+/**
+ * Reorderable list for ordering questions: drag a row by its handle, or use the arrows.
+ * @param {string[]} items - item labels in their correct order
+ * @param {number[]} order - item indices as currently arranged
+ * @param {function} onChange - called with the new `order`; omit for a read-only list
+ * @param {function} onSubmit - when set, a Submit button sends the current `order`
+ * @param {boolean} showCorrect - reveal mode: marks each row right, or with the place it belongs in
+ */
+export default function OrderingList({
+  items,
+  order,
+  onChange,
+  onSubmit,
+  showCorrect = false,
+  disabled = false,
+}) {
+  const isLocked = disabled || !onChange;
+  const handleMove = (from, to) => onChange(moveItem(order, from, to));
+
+  return (
+    <View style={styles.container}>
+      {order.map((item, position) => {
+        const inPlace = item === position;
+
+        return (
+          <DraggableRow
+            key={item}
+            position={position}
+            count={order.length}
+            onMove={handleMove}
+            disabled={isLocked}
+          >
+            <Text style={styles.position}>{position + 1}</Text>
+            <RichText
+              text={items[item]}
+              style={[styles.label, showCorrect && (inPlace ? styles.labelCorrect : styles.labelWrong)]}
+              numberOfLines={2}
+            />
+            {showCorrect && (
+              <Text style={[styles.mark, inPlace ? styles.labelCorrect : styles.labelWrong]}>
+                {inPlace ? '✓' : `→ #${item + 1}`}
+              </Text>
+            )}
+            {!isLocked && (
+              <View style={styles.arrows}>
+                <TouchableOpacity onPress={() => handleMove(position, position - 1)} disabled={position === 0}>
+                  <Text style={[styles.arrowText, position === 0 && styles.arrowDisabled]}>↑</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => handleMove(position, position + 1)} disabled={position === order.length - 1}>
+                  <Text style={[styles.arrowText, position === order.length - 1 && styles.arrowDisabled]}>↓</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </DraggableRow>
+        );
+      })}
+
+      {onSubmit && (
+        <TouchableOpacity
+          style={[styles.submitBtn, disabled && styles.disabledBtn]}
+          onPress={() => onSubmit(order)}
+          disabled={disabled}
+        >
+          <Text style={styles.submitText}>Submit</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    gap: ROW_GAP,
+  },
+  row: {
+    height: ROW_HEIGHT,
+    backgroundColor: '#1e1e1e',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#333',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+  },
+  rowDragging: {
+    zIndex: 10,
+    elevation: 10,
+    borderColor: '#00c781',
+    backgroundColor: '#003322',
+  },
+  handle: {
+    paddingHorizontal: 8,
+    paddingVertical: 16,
+    marginRight: 4,
+  },
+  handleText: {
+    color: '#aaa',
+    fontSize: 20,
+  },
+  position: {
+    color: '#00c781',
+    fontSize: 18,
+    fontWeight: 'bold',
+    width: 28,
+  },
+  label: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  labelCorrect: {
+    color: '#00c781',
+  },
+  labelWrong: {
+    color: '#ff6b6b',
+  },
+  mark: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  arrows: {
+    flexDirection: 'row',
+    gap: 12,
+    marginLeft: 10,
+  },
+  arrowText: {
+    color: '#00c781',
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  arrowDisabled: {
+    color: '#444',
+  },
+  submitBtn: {
+    backgroundColor: '#00c781',
+    paddingVertical: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  disabledBtn: {
+    opacity: 0.5,
+  },
+  submitText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,56 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+
+/**
+ * Host roster with Remove / Ban buttons per player.
+ * @param {object[]} players - session roster
+ * @param {Set<string>} onlineIds - from usePresence.useOnlinePlayers
+ * @param {function} onRemove - (player, { ban }) => void
+ */
+export default function PlayerModeration({ players, onlineIds, onRemove }) {
+  if (players.length === 0) {
+    return <Text style={styles.emptyText}>No players in this game</Text>;
+  }
+
+  return (
+    <View style={styles.list}>
+      {players.map((player) => {
+        const online = onlineIds.has(player.id);
+        return (
+          <View key={player.id} style={styles.row}>
+            <View style={[styles.dot, online && styles.dotOnline]} />
+            <Text style={[styles.name, !online && styles.nameOffline]} numberOfLines={1}>
+              {player.nickname}
+            </Text>
+            <TouchableOpacity style={styles.removeBtn} onPress={() => onRemove(player, { ban: false })}>
+              <Text style={styles.removeText}>Remove</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.banBtn} onPress={() => onRemove(player, { ban: true })}>
+              <Text style={styles.banText}>Ban</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  list: { width: '100%' },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#2a2a2a',
+  },
+  dot: { width: 8, height: 8, borderRadius: 4, backgroundColor: '#666', marginRight: 10 },
+  dotOnline: { backgroundColor: '#00c781' },
+  name: { flex: 1, color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  nameOffline: { color: '#888' },
+  removeBtn: { backgroundColor: '#333', paddingVertical: 6, paddingHorizontal: 12, borderRadius: 8, marginLeft: 8 },
+  removeText: { color: '#fff', fontSize: 14 },
+  banBtn: { backgroundColor: '#ff6b6b', paddingVertical: 6, paddingHorizontal: 12, borderRadius: 8, marginLeft: 8 },
+  banText: { color: '#fff', fontSize: 14, fontWeight: 'bold' },
+  emptyText: { color: '#666', fontSize: 16, textAlign: 'center', paddingVertical: 20 },
+});
@@ -0,0 +1,70 @@
+import React, { useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, Animated, Platform } from 'react-native';
+
+const useNativeDriver = Platform.OS !== 'web';
+
+// Display order left → right is 2nd, 1st, 3rd
+const PLACES = [
+  { place: 2, height: 160, color: '#c0c0c0', delay: 600 },
+  { place: 1, height: 220, color: '#FFD700', delay: 1200 },
+  { place: 3, height: 120, color: '#cd7f32', delay: 0 },
+];
+
+function PodiumColumn({ entry, place, height, color, delay }) {
+  const rise = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    Animated.spring(rise, { toValue: 1, delay, friction: 6, useNativeDriver }).start();
+  }, [rise, delay]);
+
+  const translateY = rise.interpolate({ inputRange: [0, 1], outputRange: [height, 0] });
+
+  return (
+    <View style={styles.column}>
+      <Animated.View style={{ opacity: rise, alignItems: 'center', transform: [{ translateY }] }}>
+        <Text style={[styles.name, entry?.color && { color: entry.color }]} numberOfLines={1}>
+          {entry ? entry.name : '—'}
+        </Text>
+        <Text style={styles.score}>{entry ? entry.score : ''}</Text>
+        <View style={[styles.block, { height, backgroundColor: color }]}>
+          <Text style={styles.place}>{place}</Text>
+        </View>
+      </Animated.View>
+    </View>
+  );
+}
+
+/**
+ * Final podium for the top three, revealed 3rd → 2nd → 1st.
+ * @param {object[]} entries - ranked `{ id, name, score }` (teams add `color`), best first
+ */
+export default function Podium({ title = 'Podium', entries }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+      <View style={styles.stage}>
+        {PLACES.map(({ place, height, color, delay }) => (
+          <PodiumColumn
+            key={place}
+            entry={entries[place - 1]}
+            place={place}
+            height={height}
+            color={color}
+            delay={delay}
+          />
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { width: '100%', maxWidth: 700, alignSelf: 'center', alignItems: 'center' },
+  title: { color: '#fff', fontSize: 40, fontWeight: 'bold', textAlign: 'center', marginBottom: 30 },
+  stage: { flexDirection: 'row', alignItems: 'flex-end', justifyContent: 'center', gap: 12, overflow: 'hidden' },
+  column: { width: 180, alignItems: 'center' },
+  name: { color: '#fff', fontSize: 20, fontWeight: 'bold', marginBottom: 4, maxWidth: 170 },
+  score: { color: '#aaa', fontSize: 16, marginBottom: 8 },
+  block: { width: 160, borderTopLeftRadius: 12, borderTopRightRadius: 12, justifyContent: 'flex-start', alignItems: 'center', paddingTop: 12 },
+  place: { color: '#111', fontSize: 44, fontWeight: 'bold' },
+});
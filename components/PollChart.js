@@ -0,0 +1,93 @@
+import React from 'react';
+import { View, Text, StyleSheet, Image } from 'react-native';
+import { ANSWER_COLORS, ANSWER_SHAPES } from './AnswerGrid';
+import RichText from './RichText';
+
+/**
+ * Horizontal bar per poll option, scaled to the most popular one.
+ * @param {string[]} options - option labels; blank options are hidden but keep their index
+ * @param {(string|null)[]} images - optional picture per option, shown as a thumbnail
+ * @param {number[]} counts - votes per option
+ * @param {number[]} selected - the viewer's own vote, highlighted
+ */
+export default function PollChart({ options, images = [], counts, selected = [] }) {
+  const total = counts.reduce((sum, c) => sum + c, 0);
+  const most = Math.max(1, ...counts);
+
+  return (
+    <View style={styles.container}>
+      {options.map((label, i) => {
+        if (!label && !images[i]) return null;
+        const count = counts[i] || 0;
+
+        return (
+          <View key={i} style={styles.row}>
+            {images[i] && <Image source={{ uri: images[i] }} style={styles.thumb} resizeMode="cover" />}
+            <RichText
+              text={`${ANSWER_SHAPES[i % ANSWER_SHAPES.length]} ${label}`}
+              style={[styles.label, selected.includes(i) && styles.labelSelected]}
+              numberOfLines={1}
+            />
+            <View style={styles.barTrack}>
+              <View
+                style={[
+                  styles.bar,
+                  { width: `${(count / most) * 100}%`, backgroundColor: ANSWER_COLORS[i % ANSWER_COLORS.length] },
+                ]}
+              />
+            </View>
+            <Text style={styles.count}>
+              {count}{total ? ` (${Math.round((count / total) * 100)}%)` : ''}
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    gap: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  thumb: {
+    width: 40,
+    height: 40,
+    borderRadius: 6,
+    marginRight: 8,
+  },
+  label: {
+    width: '30%',
+    color: '#ccc',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginRight: 12,
+  },
+  labelSelected: {
+    color: '#fff',
+    textDecorationLine: 'underline',
+  },
+  barTrack: {
+    flex: 1,
+    height: 32,
+    backgroundColor: '#1e1e1e',
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  bar: {
+    height: '100%',
+    borderRadius: 8,
+  },
+  count: {
+    width: 90,
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    textAlign: 'right',
+  },
+});
@@ -0,0 +1,43 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * Host-side strip showing how many players are connected and who has dropped.
+ * @param {object[]} players - session roster
+ * @param {Set<string>} onlineIds - from usePresence.useOnlinePlayers
+ */
+export default function PresenceBar({ players, onlineIds }) {
+  const offline = players.filter(p => !onlineIds.has(p.id));
+
+  return (
+    <View style={styles.bar}>
+      <View style={[styles.dot, styles.dotOnline]} />
+      <Text style={styles.text}>{players.length - offline.length} online</Text>
+      {offline.length > 0 && (
+        <>
+          <View style={[styles.dot, styles.dotOffline]} />
+          <Text style={styles.offlineText} numberOfLines={1}>
+            {offline.length} offline: {offline.map(p => p.nickname).join(', ')}
+          </Text>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    backgroundColor: '#161616',
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  dot: { width: 8, height: 8, borderRadius: 4, marginRight: 6 },
+  dotOnline: { backgroundColor: '#00c781' },
+  dotOffline: { backgroundColor: '#666', marginLeft: 16 },
+  text: { color: '#ccc', fontSize: 14 },
+  offlineText: { flex: 1, color: '#888', fontSize: 14 },
+});
@@ -0,0 +1,99 @@
+/**
+ * QuestionMedia.js - Plays a question's audio or video clip (see utils/media.js)
+ * Web renders raw <iframe> (YouTube), <audio> and <video> elements, trimmed to the
+ * clip's start and end. Native has no built-in player, so Platform picks a button
+ * that opens the clip in the browser or YouTube app instead.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, Platform, Linking } from 'react-native';
+import { MEDIA_KINDS, getYouTubeId, getEmbedUrl, describeMedia } from '../utils/media';
+
+// Browsers play just the clip when the URL carries a media fragment (#t=start,end)
+const getClipUrl = (media) => {
+  if (!media.start && media.end === null) return media.url;
+  return `${media.url}#t=${media.start}${media.end === null ? '' : `,${media.end}`}`;
+};
+
+const getOpenUrl = (media) => {
+  const youTubeId = getYouTubeId(media.url);
+  return youTubeId ? `https://youtu.be/${youTubeId}?t=${Math.floor(media.start)}` : getClipUrl(media);
+};
+
+/**
+ * A question's audio or video clip with the browser's own controls, so whoever
+ * holds the screen runs playback. Apps without a built-in player get a button
+ * that opens the clip instead.
+ * @param {object} media - see media.js
+ */
+export default function QuestionMedia({ media }) {
+  if (!media?.url) return null;
+
+  if (Platform.OS !== 'web') {
+    return (
+      <TouchableOpacity style={styles.openBtn} onPress={() => Linking.openURL(getOpenUrl(media))}>
+        <Text style={styles.openText}>▶ Play {describeMedia(media).toLowerCase()}</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  if (getYouTubeId(media.url)) {
+    return (
+      <View style={styles.video}>
+        <iframe
+          src={getEmbedUrl(media)}
+          title={describeMedia(media)}
+          style={{ width: '100%', height: '100%', border: 0 }}
+          allow="autoplay; encrypted-media; picture-in-picture"
+          allowFullScreen
+        />
+      </View>
+    );
+  }
+
+  if (media.kind === MEDIA_KINDS.AUDIO) {
+    return (
+      <View style={styles.audio}>
+        <audio src={getClipUrl(media)} controls preload="metadata" style={{ width: '100%' }} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.video}>
+      <video src={getClipUrl(media)} controls playsInline preload="metadata" style={{ width: '100%', height: '100%' }} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  video: {
+    width: '100%',
+    maxWidth: 640,
+    aspectRatio: 16 / 9,
+    alignSelf: 'center',
+    backgroundColor: '#000',
+    borderRadius: 12,
+    overflow: 'hidden',
+    marginBottom: 20,
+  },
+  audio: {
+    width: '100%',
+    maxWidth: 480,
+    alignSelf: 'center',
+    marginBottom: 20,
+  },
+  openBtn: {
+    alignSelf: 'center',
+    backgroundColor: '#1368ce',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+    marginBottom: 20,
+  },
+  openText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
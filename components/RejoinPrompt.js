@@ -0,0 +1,92 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  SESSION_STATUS,
+  getResumableSession,
+  leaveSession,
+  clearActiveSession,
+} from '../utils/gameSession';
+
+/**
+ * Banner offering to rejoin the live game this device was last in (after a
+ * reload, a locked phone, or a dropped connection). Renders nothing otherwise.
+ */
+export default function RejoinPrompt({ navigation }) {
+  const [resumable, setResumable] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      let cancelled = false;
+      getResumableSession()
+        .then((entry) => {
+          if (!cancelled) setResumable(entry);
+        })
+        .catch((err) => {
+          // Storage can fail to read; there's nothing to offer then
+          console.warn('Failed to check for an active session:', err);
+          if (!cancelled) setResumable(null);
+        });
+      return () => { cancelled = true; };
+    }, [])
+  );
+
+  if (!resumable) return null;
+
+  const { sessionId, playerId, nickname, status } = resumable;
+
+  const handleRejoin = () => {
+    setResumable(null);
+    navigation.navigate(status === SESSION_STATUS.LOBBY ? 'PlayerLobby' : 'PlayerGame', { sessionId, playerId });
+  };
+
+  // Still in the lobby → free the nickname; mid-game → keep the score on the board
+  const handleDismiss = async () => {
+    setResumable(null);
+    try {
+      if (status === SESSION_STATUS.LOBBY) {
+        await leaveSession(sessionId, playerId);
+      } else {
+        await clearActiveSession();
+      }
+    } catch (err) {
+      console.warn('Failed to dismiss session:', err);
+    }
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>You're still in a game</Text>
+      <Text style={styles.subtitle} numberOfLines={1}>Playing as {nickname}</Text>
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.rejoinBtn} onPress={handleRejoin}>
+          <Text style={styles.rejoinText}>Rejoin</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.dismissBtn} onPress={handleDismiss}>
+          <Text style={styles.dismissText}>Dismiss</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#1e1e1e',
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#00c781',
+    padding: 16,
+    marginVertical: 16,
+    width: '100%',
+    maxWidth: 400,
+    alignSelf: 'center',
+  },
+  title: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  subtitle: { color: '#aaa', fontSize: 14, marginTop: 4, marginBottom: 12 },
+  actions: { flexDirection: 'row', gap: 10 },
+  rejoinBtn: { flex: 1, backgroundColor: '#00c781', paddingVertical: 10, borderRadius: 10, alignItems: 'center' },
+  rejoinText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  dismissBtn: { backgroundColor: '#333', paddingVertical: 10, paddingHorizontal: 16, borderRadius: 10, alignItems: 'center' },
+  dismissText: { color: '#fff', fontSize: 16 },
+});
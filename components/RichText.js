@@ -0,0 +1,240 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, Platform } from 'react-native';
+import { parseRichText, isPlainText } from '../utils/richText';
+import { parseLatex } from '../utils/latex';
+import { highlightCode } from '../utils/codeHighlight';
+
+const MONO_FONT = Platform.select({ ios: 'Menlo', android: 'monospace', default: 'monospace' });
+
+// Powers, indices and fraction parts are set smaller than the text around them
+const SCRIPT_SCALE = 0.7;
+const FRACTION_SCALE = 0.85;
+
+const TOKEN_COLORS = {
+  plain: '#eee',
+  keyword: '#c792ea',
+  string: '#c3e88d',
+  number: '#f78c6c',
+  comment: '#697098',
+};
+
+const JUSTIFY = { center: 'center', right: 'flex-end' };
+
+/**
+ * Lays out parsed LaTeX (see latex.js) as nested rows and columns.
+ */
+function MathNodes({ nodes, size, color }) {
+  return (
+    <View style={styles.mathRow}>
+      {nodes.map((node, i) => {
+        if (node.type === 'frac') {
+          return (
+            <View key={i} style={styles.fraction}>
+              <MathNodes nodes={node.num} size={size * FRACTION_SCALE} color={color} />
+              <View style={[styles.fractionBar, { backgroundColor: color }]} />
+              <MathNodes nodes={node.den} size={size * FRACTION_SCALE} color={color} />
+            </View>
+          );
+        }
+        if (node.type === 'sqrt') {
+          return (
+            <View key={i} style={styles.mathRow}>
+              {node.index && (
+                <View style={styles.rootIndex}>
+                  <MathNodes nodes={node.index} size={size * SCRIPT_SCALE * SCRIPT_SCALE} color={color} />
+                </View>
+              )}
+              <Text style={{ fontSize: size * 1.1, color }}>√</Text>
+              <View style={[styles.radicand, { borderTopColor: color }]}>
+                <MathNodes nodes={node.body} size={size} color={color} />
+              </View>
+            </View>
+          );
+        }
+        if (node.type === 'scripts') {
+          const scriptSize = size * SCRIPT_SCALE;
+          const spacer = <View style={{ height: size * 0.4 }} />;
+          return (
+            <View key={i} style={styles.mathRow}>
+              {node.base && <MathNodes nodes={[node.base]} size={size} color={color} />}
+              <View style={styles.scripts}>
+                {node.sup ? <MathNodes nodes={node.sup} size={scriptSize} color={color} /> : spacer}
+                {node.sub ? <MathNodes nodes={node.sub} size={scriptSize} color={color} /> : spacer}
+              </View>
+            </View>
+          );
+        }
+        return (
+          <Text
+            key={i}
+            style={{
+              fontSize: size,
+              color,
+              fontStyle: node.italic ? 'italic' : 'normal',
+              fontWeight: node.bold ? 'bold' : 'normal',
+            }}
+          >
+            {node.spaced ? ` ${node.text} ` : node.text}
+          </Text>
+        );
+      })}
+    </View>
+  );
+}
+
+function CodeBlock({ code, lang, size }) {
+  return (
+    <ScrollView horizontal style={styles.codeBlock} contentContainerStyle={styles.codeContent}>
+      <Text style={[styles.code, { fontSize: size * 0.75, lineHeight: size * 1.1 }]}>
+        {highlightCode(code, lang).map((token, i) => (
+          <Text key={i} style={[{ color: TOKEN_COLORS[token.type] }, token.type === 'comment' && styles.comment]}>
+            {token.text}
+          </Text>
+        ))}
+      </Text>
+    </ScrollView>
+  );
+}
+
+/**
+ * A paragraph with inline math or code. Words are laid out one by one in a
+ * wrapping row, because math needs Views and Views can't sit inside a Text on web.
+ */
+function Paragraph({ spans, textStyle, justifyContent }) {
+  const { fontSize, color } = textStyle;
+  const pieces = [];
+
+  spans.forEach((span, i) => {
+    if (span.type === 'math') {
+      pieces.push(<MathNodes key={i} nodes={parseLatex(span.tex)} size={fontSize} color={color} />);
+    } else if (span.type === 'code') {
+      pieces.push(
+        <Text key={i} style={[textStyle, styles.inlineCode, { fontSize: fontSize * 0.85 }]}>{span.text}</Text>
+      );
+    } else {
+      span.text.split('\n').forEach((line, l) => {
+        if (l > 0) pieces.push(<View key={`${i}-br${l}`} style={styles.lineBreak} />);
+        (line.match(/\S+\s*|\s+/g) || []).forEach((word, w) => {
+          pieces.push(<Text key={`${i}-${l}-${w}`} style={textStyle}>{word}</Text>);
+        });
+      });
+    }
+  });
+
+  return <View style={[styles.paragraph, { justifyContent }]}>{pieces}</View>;
+}
+
+/**
+ * Question or answer text with $math$, $$display math$$, `code` and ```fenced
+ * code``` (see richText.js). Plain text renders as a single Text, exactly as before.
+ * @param {string} text - what the teacher typed
+ * @param {object} style - a text style (font, color, alignment) plus any margins
+ * @param {number} numberOfLines - only applies to plain text
+ */
+export default function RichText({ text, style, numberOfLines }) {
+  const blocks = parseRichText(text);
+
+  if (isPlainText(blocks)) {
+    return (
+      <Text style={style} numberOfLines={numberOfLines}>
+        {blocks.length ? blocks[0].spans.map(s => s.text).join('') : ''}
+      </Text>
+    );
+  }
+
+  const {
+    fontSize = 16,
+    color = '#fff',
+    fontWeight,
+    fontStyle,
+    textAlign,
+    lineHeight,
+    textDecorationLine,
+    ...containerStyle
+  } = StyleSheet.flatten(style) || {};
+  const textStyle = { fontSize, color, fontWeight, fontStyle, lineHeight, textDecorationLine };
+  const justifyContent = JUSTIFY[textAlign] || 'flex-start';
+
+  return (
+    <View style={[styles.container, containerStyle]}>
+      {blocks.map((block, i) => {
+        if (block.type === 'code') return <CodeBlock key={i} code={block.code} lang={block.lang} size={fontSize} />;
+        if (block.type === 'math') {
+          return (
+            <View key={i} style={styles.displayMath}>
+              <MathNodes nodes={parseLatex(block.tex)} size={fontSize * 1.15} color={color} />
+            </View>
+          );
+        }
+        return <Paragraph key={i} spans={block.spans} textStyle={textStyle} justifyContent={justifyContent} />;
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    alignSelf: 'stretch',
+    gap: 8,
+  },
+  paragraph: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  lineBreak: {
+    width: '100%',
+    height: 0,
+  },
+  mathRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  fraction: {
+    alignItems: 'center',
+    marginHorizontal: 3,
+  },
+  fractionBar: {
+    alignSelf: 'stretch',
+    height: 1.5,
+    marginVertical: 2,
+  },
+  radicand: {
+    borderTopWidth: 1.5,
+    paddingHorizontal: 2,
+  },
+  rootIndex: {
+    alignSelf: 'flex-start',
+    marginRight: -4,
+  },
+  scripts: {
+    justifyContent: 'space-between',
+    marginLeft: 1,
+  },
+  displayMath: {
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  inlineCode: {
+    fontFamily: MONO_FONT,
+    backgroundColor: '#0d0d0d',
+    borderRadius: 4,
+    paddingHorizontal: 4,
+  },
+  codeBlock: {
+    backgroundColor: '#0d0d0d',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  codeContent: {
+    padding: 12,
+  },
+  code: {
+    fontFamily: MONO_FONT,
+    textAlign: 'left',
+  },
+  comment: {
+    fontStyle: 'italic',
+  },
+});
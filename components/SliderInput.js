@@ -0,0 +1,280 @@
+import React, { useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, PanResponder } from 'react-native';
+import { snapToStep, formatSliderValue, describeCorrectValue, isWithinTolerance } from '../utils/slider';
+
+const THUMB_SIZE = 32;
+const DOT_SIZE = 12;
+const TRACK_AREA_HEIGHT = 48;
+
+const toPercent = (question, value) => {
+  const span = question.max - question.min;
+  return span > 0 ? ((value - question.min) / span) * 100 : 0;
+};
+
+/**
+ * The bar itself: optional tolerance band, answer dots and thumb.
+ * Touches land on the track (its children ignore them), so `locationX` is
+ * always measured from the track's left edge.
+ */
+function Track({ question, value = null, band = false, dots = [], panHandlers = {}, onLayout }) {
+  const bandLeft = toPercent(question, Math.max(question.min, question.correctValue - (question.tolerance || 0)));
+  const bandRight = toPercent(question, Math.min(question.max, question.correctValue + (question.tolerance || 0)));
+
+  return (
+    <View style={styles.trackArea} onLayout={onLayout} {...panHandlers}>
+      <View style={styles.track} pointerEvents="none">
+        {value !== null && <View style={[styles.fill, { width: `${toPercent(question, value)}%` }]} />}
+        {band && (
+          <View
+            style={[styles.band, { left: `${bandLeft}%`, width: `${Math.max(bandRight - bandLeft, 1)}%` }]}
+          />
+        )}
+      </View>
+      {dots.map((dot, i) => (
+        <View
+          key={i}
+          pointerEvents="none"
+          style={[styles.dot, { left: `${toPercent(question, dot)}%` }, isWithinTolerance(question, dot) && styles.dotCorrect]}
+        />
+      ))}
+      {value !== null && (
+        <View pointerEvents="none" style={[styles.thumb, { left: `${toPercent(question, value)}%` }]} />
+      )}
+    </View>
+  );
+}
+
+const RangeLabels = ({ question }) => (
+  <View style={styles.rangeRow}>
+    <Text style={styles.rangeText}>{formatSliderValue(question, question.min)}</Text>
+    <Text style={styles.rangeText}>{formatSliderValue(question, question.max)}</Text>
+  </View>
+);
+
+/**
+ * Slider for a numeric answer: drag (touch or mouse) or nudge with −/+, then Submit.
+ * @param {number} value - the current pick, already snapped to the question's step
+ * @param {function} onChange - called with the new snapped value
+ * @param {function} onSubmit - called with the value to submit
+ */
+export default function SliderInput({ question, value, onChange, onSubmit, disabled = false }) {
+  const widthRef = useRef(0);
+  const startXRef = useRef(0);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // The responder is created once; read the latest props through a ref
+  const latest = useRef({ question, onChange, disabled });
+  latest.current = { question, onChange, disabled };
+
+  const valueAt = (x) => {
+    const q = latest.current.question;
+    const share = widthRef.current > 0 ? Math.min(1, Math.max(0, x / widthRef.current)) : 0;
+    return snapToStep(q, q.min + share * (q.max - q.min));
+  };
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => !latest.current.disabled,
+    onMoveShouldSetPanResponder: () => !latest.current.disabled,
+    // Don't let a surrounding ScrollView take over mid-drag
+    onPanResponderTerminationRequest: () => false,
+    onPanResponderGrant: (evt) => {
+      startXRef.current = evt.nativeEvent.locationX;
+      setIsDragging(true);
+      latest.current.onChange(valueAt(startXRef.current));
+    },
+    onPanResponderMove: (_, gesture) => latest.current.onChange(valueAt(startXRef.current + gesture.dx)),
+    onPanResponderRelease: () => setIsDragging(false),
+    onPanResponderTerminate: () => setIsDragging(false),
+  })).current;
+
+  const nudge = (direction) => onChange(snapToStep(question, value + direction * question.step));
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.valueText, isDragging && styles.valueDragging]}>{formatSliderValue(question, value)}</Text>
+
+      <Track
+        question={question}
+        value={value}
+        panHandlers={responder.panHandlers}
+        onLayout={(e) => { widthRef.current = e.nativeEvent.layout.width; }}
+      />
+      <RangeLabels question={question} />
+
+      <View style={styles.nudgeRow}>
+        <TouchableOpacity style={styles.nudgeBtn} onPress={() => nudge(-1)} disabled={disabled || value <= question.min}>
+          <Text style={styles.nudgeText}>−</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.nudgeBtn} onPress={() => nudge(1)} disabled={disabled || value >= question.max}>
+          <Text style={styles.nudgeText}>+</Text>
+        </TouchableOpacity>
+      </View>
+
+      <TouchableOpacity
+        style={[styles.submitBtn, disabled && styles.disabledBtn]}
+        onPress={() => onSubmit(value)}
+        disabled={disabled}
+      >
+        <Text style={styles.submitText}>Submit</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+/**
+ * Reveal for a slider question: the correct value and its tolerance band, plus
+ * either one player's pick (`value`) or every pick as dots (`values`, host view).
+ * @param {number|null} value - the player's answer; null when they didn't answer
+ * @param {number[]} values - everyone's answers
+ * @param {boolean} showAnswers - false hides the correct value (homework set to keep it hidden)
+ */
+export function SliderResult({ question, value, values = null, showAnswers = true }) {
+  const within = values ? values.filter(v => isWithinTolerance(question, v)).length : 0;
+  const average = values?.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+  return (
+    <View style={styles.container}>
+      {value !== undefined && (
+        <Text style={styles.resultLabel}>
+          Your answer: <Text style={styles.resultValue}>{value === null ? '—' : formatSliderValue(question, value)}</Text>
+        </Text>
+      )}
+      {showAnswers && (
+        <Text style={styles.resultLabel}>
+          Answer: <Text style={styles.correctValue}>{describeCorrectValue(question)}</Text>
+        </Text>
+      )}
+
+      <Track question={question} value={value ?? null} band={showAnswers} dots={values || []} />
+      <RangeLabels question={question} />
+
+      {values && (
+        <Text style={styles.resultLabel}>
+          {within} of {values.length} within range
+          {average !== null ? ` • average ${formatSliderValue(question, average)}` : ''}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    alignItems: 'stretch',
+  },
+  valueText: {
+    color: '#fff',
+    fontSize: 48,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  valueDragging: {
+    color: '#00c781',
+  },
+  trackArea: {
+    height: TRACK_AREA_HEIGHT,
+    justifyContent: 'center',
+    marginHorizontal: THUMB_SIZE / 2,
+  },
+  track: {
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#333',
+    overflow: 'hidden',
+  },
+  fill: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    bottom: 0,
+    backgroundColor: '#1368ce',
+  },
+  band: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    backgroundColor: '#00c781',
+  },
+  thumb: {
+    position: 'absolute',
+    width: THUMB_SIZE,
+    height: THUMB_SIZE,
+    borderRadius: THUMB_SIZE / 2,
+    marginLeft: -THUMB_SIZE / 2,
+    top: (TRACK_AREA_HEIGHT - THUMB_SIZE) / 2,
+    backgroundColor: '#fff',
+    borderWidth: 4,
+    borderColor: '#1368ce',
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+    marginLeft: -DOT_SIZE / 2,
+    top: (TRACK_AREA_HEIGHT - DOT_SIZE) / 2,
+    backgroundColor: '#ff6b6b',
+  },
+  dotCorrect: {
+    backgroundColor: '#00c781',
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  rangeText: {
+    color: '#aaa',
+    fontSize: 14,
+  },
+  nudgeRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 20,
+    marginTop: 16,
+  },
+  nudgeBtn: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#333',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  nudgeText: {
+    color: '#fff',
+    fontSize: 28,
+    fontWeight: 'bold',
+  },
+  submitBtn: {
+    backgroundColor: '#00c781',
+    paddingVertical: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  disabledBtn: {
+    opacity: 0.5,
+  },
+  submitText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  resultLabel: {
+    color: '#aaa',
+    fontSize: 18,
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  resultValue: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  correctValue: {
+    color: '#00c781',
+    fontWeight: 'bold',
+  },
+});
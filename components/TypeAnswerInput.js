@@ -0,0 +1,177 @@
+import React from 'react';
+import { View, Text, StyleSheet, TextInput, TouchableOpacity } from 'react-native';
+import { TYPE_ANSWER_MAX_LENGTH, WORD_CLOUD_MAX_LENGTH, isWordCloud } from '../utils/questionTypes';
+import { getAcceptedAnswers, matchesAcceptedAnswer } from '../utils/answerMatching';
+
+/**
+ * Text box and Submit button for a typed-answer or word cloud question.
+ * @param {object} question - word clouds get a shorter box
+ * @param {string} value - what the player has typed so far
+ * @param {function} onSubmit - called with the trimmed text
+ */
+export default function TypeAnswerInput({ question, value, onChangeText, onSubmit, disabled = false }) {
+  const canSubmit = !disabled && !!value.trim();
+  const isShort = isWordCloud(question);
+
+  return (
+    <View style={styles.container}>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChangeText}
+        placeholder={isShort ? 'A word or short phrase' : 'Type your answer'}
+        placeholderTextColor="#666"
+        maxLength={isShort ? WORD_CLOUD_MAX_LENGTH : TYPE_ANSWER_MAX_LENGTH}
+        autoCapitalize="none"
+        autoCorrect={false}
+        autoFocus
+        editable={!disabled}
+        returnKeyType="done"
+        onSubmitEditing={() => canSubmit && onSubmit(value.trim())}
+      />
+      <TouchableOpacity
+        style={[styles.submitBtn, !canSubmit && styles.disabledBtn]}
+        onPress={() => onSubmit(value.trim())}
+        disabled={!canSubmit}
+      >
+        <Text style={styles.submitText}>Submit</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+/**
+ * Reveal for a typed-answer question: the accepted answers, plus either one
+ * player's answer (`text`) or everyone's grouped answers (`groups`, host view).
+ * @param {string|null} text - the player's answer; null when they didn't answer
+ * @param {{ text: string, count: number, correct: boolean }[]} groups - from groupTypedAnswers
+ * @param {boolean} showAnswers - false hides the accepted answers (homework set to keep them hidden)
+ */
+export function TypedAnswerResult({ question, text, groups = null, showAnswers = true }) {
+  const accepted = getAcceptedAnswers(question);
+
+  return (
+    <View style={styles.container}>
+      {text !== undefined && (
+        <View style={[styles.answerBox, matchesAcceptedAnswer(question, text) ? styles.correctBox : styles.wrongBox]}>
+          <Text style={styles.answerLabel}>Your answer</Text>
+          <Text style={styles.answerText}>{text || '—'}</Text>
+        </View>
+      )}
+
+      {showAnswers && (
+        <>
+          <Text style={styles.answerLabel}>{accepted.length === 1 ? 'Answer' : 'Accepted answers'}</Text>
+          <Text style={styles.acceptedText}>{accepted.join(' • ')}</Text>
+        </>
+      )}
+
+      {groups && (
+        <View style={styles.groupList}>
+          {groups.length === 0 && <Text style={styles.answerLabel}>No answers</Text>}
+          {groups.map(g => (
+            <View key={g.text} style={styles.groupRow}>
+              <Text style={[styles.groupText, g.correct && styles.groupCorrect]} numberOfLines={1}>
+                {g.text}{g.correct ? ' ✓' : ''}
+              </Text>
+              <Text style={styles.groupCount}>{g.count}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+  input: {
+    backgroundColor: '#1e1e1e',
+    color: '#fff',
+    fontSize: 22,
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#333',
+    textAlign: 'center',
+  },
+  submitBtn: {
+    backgroundColor: '#00c781',
+    paddingVertical: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  disabledBtn: {
+    opacity: 0.5,
+  },
+  submitText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  answerBox: {
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    alignItems: 'center',
+  },
+  correctBox: {
+    backgroundColor: '#0f2a20',
+    borderWidth: 1,
+    borderColor: '#00c781',
+  },
+  wrongBox: {
+    backgroundColor: '#2a1212',
+    borderWidth: 1,
+    borderColor: '#ff6b6b',
+  },
+  answerLabel: {
+    color: '#aaa',
+    fontSize: 14,
+    fontWeight: 'bold',
+    textTransform: 'uppercase',
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  answerText: {
+    color: '#fff',
+    fontSize: 22,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  acceptedText: {
+    color: '#00c781',
+    fontSize: 22,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  groupList: {
+    backgroundColor: '#1e1e1e',
+    borderRadius: 16,
+    padding: 16,
+  },
+  groupRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  groupText: {
+    flex: 1,
+    color: '#ccc',
+    fontSize: 18,
+  },
+  groupCorrect: {
+    color: '#00c781',
+    fontWeight: 'bold',
+  },
+  groupCount: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginLeft: 12,
+  },
+});
@@ -0,0 +1,77 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { ANSWER_COLORS } from './AnswerGrid';
+
+const MIN_FONT_SIZE = 16;
+const MAX_FONT_SIZE = 48;
+const MAX_WORDS = 50;
+
+/**
+ * Words sized by how many players gave them. Expects duplicates already
+ * merged (see answerMatching.groupTypedAnswers), most common first.
+ * @param {{ text: string, count: number }[]} words
+ */
+export default function WordCloud({ words }) {
+  if (words.length === 0) {
+    return <Text style={styles.empty}>No answers yet</Text>;
+  }
+
+  const shown = words.slice(0, MAX_WORDS);
+  const most = shown[0].count;
+  const fewest = shown[shown.length - 1].count;
+
+  // Most common words in the middle, tailing off to either side
+  const arranged = [];
+  shown.forEach((word, i) => {
+    if (i % 2) arranged.unshift({ ...word, i });
+    else arranged.push({ ...word, i });
+  });
+
+  return (
+    <View style={styles.cloud}>
+      {arranged.map(({ text, count, i }) => {
+        const weight = most === fewest ? 1 : (count - fewest) / (most - fewest);
+        return (
+          <Text
+            key={text}
+            style={[
+              styles.word,
+              {
+                fontSize: MIN_FONT_SIZE + weight * (MAX_FONT_SIZE - MIN_FONT_SIZE),
+                color: ANSWER_COLORS[i % ANSWER_COLORS.length],
+              },
+            ]}
+          >
+            {text}{count > 1 ? <Text style={styles.count}> ×{count}</Text> : null}
+          </Text>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  cloud: {
+    width: '100%',
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 14,
+    backgroundColor: '#1e1e1e',
+    borderRadius: 16,
+    padding: 20,
+  },
+  word: {
+    fontWeight: 'bold',
+  },
+  count: {
+    fontSize: 14,
+    color: '#aaa',
+  },
+  empty: {
+    color: '#aaa',
+    fontSize: 18,
+    textAlign: 'center',
+  },
+});
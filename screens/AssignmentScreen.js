@@ -0,0 +1,443 @@
+/**
+ * AssignmentScreen.js - A student playing a homework assignment at their own pace
+ * One question at a time with its own timer → feedback → next … → results
+ * Progress is saved after every question, so leaving and coming back resumes
+ * at the next unanswered one. Answers land in the same report as a live game.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Image,
+} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import {
+  ASSIGNMENT_STATES,
+  fetchAssignment,
+  fetchStudentProgress,
+  getAssignmentState,
+  getStudentQuestionOrder,
+  markQuestionShown,
+  submitAssignmentAnswer,
+  getAssignmentErrorMessage,
+} from '../utils/assignments';
+import {
+  getAnswerTimeMs,
+  getAnswerOptions,
+  getAnswerImages,
+  getCorrectIndices,
+  getAnswerOrder,
+  isMultiSelect,
+  getSessionQuestions,
+} from '../utils/gameEngine';
+import {
+  isTypeAnswer,
+  isTextQuestion,
+  isWordCloud,
+  isOrdering,
+  isSlider,
+  isHotspot,
+  isScored,
+  hasResponse,
+  countScoredQuestions,
+} from '../utils/questionTypes';
+import { getStartingOrder } from '../utils/ordering';
+import { getStartingValue } from '../utils/slider';
+import { range } from '../utils/shuffle';
+import { recordAssignmentHistory } from '../utils/gameHistory';
+import useCountdown from '../utils/useCountdown';
+import AnswerGrid from '../components/AnswerGrid';
+import RichText from '../components/RichText';
+import QuestionMedia from '../components/QuestionMedia';
+import TypeAnswerInput, { TypedAnswerResult } from '../components/TypeAnswerInput';
+import OrderingList from '../components/OrderingList';
+import SliderInput, { SliderResult } from '../components/SliderInput';
+import HotspotInput, { HotspotResult } from '../components/HotspotInput';
+
+export default function AssignmentScreen({ navigation, route }) {
+  const { assignmentId } = route.params;
+
+  const [playerId, setPlayerId] = useState(null);
+  const [assignment, setAssignment] = useState(null);
+  const [game, setGame] = useState(null);
+  const [me, setMe] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Current question: original option indices picked (or text typed), when it started, and the scored result
+  const [selected, setSelected] = useState([]);
+  const [typedText, setTypedText] = useState('');
+  const [arrangement, setArrangement] = useState(null); // ordering questions; null until moved
+  const [sliderValue, setSliderValue] = useState(null); // slider questions; null until moved
+  const [pin, setPin] = useState(null); // hotspot questions; null until tapped
+  const [startedAt, setStartedAt] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+  const submittingRef = useRef(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const userToken = await AsyncStorage.getItem('userToken');
+        if (!userToken) {
+          navigation.replace('Home');
+          return;
+        }
+
+        const data = await fetchAssignment(assignmentId);
+        const [gameDoc, entry] = await Promise.all([
+          getDoc(doc(db, 'games', data.gameId)),
+          fetchStudentProgress(assignmentId, userToken),
+        ]);
+        if (!gameDoc.exists()) {
+          setError('This game was deleted by its creator.');
+          return;
+        }
+
+        if (!entry) {
+          setError('Add this homework from your dashboard first.');
+          return;
+        }
+
+        setPlayerId(userToken);
+        setAssignment(data);
+        setGame(gameDoc.data());
+        setMe(entry);
+      } catch (err) {
+        console.error('Failed to load homework:', err);
+        setError(getAssignmentErrorMessage(err));
+      }
+    };
+
+    load();
+  }, [assignmentId, navigation]);
+
+  const questions = getSessionQuestions(assignment, game);
+  const order = assignment && playerId ? getStudentQuestionOrder(assignment, playerId, questions.length) : [];
+  const position = me?.answeredCount || 0;
+  const questionIndex = order[position];
+  const question = questions[questionIndex];
+  const isComplete = !!me && position >= questions.length;
+  const state = assignment ? getAssignmentState(assignment) : null;
+  const canPlay = state === ASSIGNMENT_STATES.OPEN && !isComplete;
+
+  // The timer runs from when the question was first shown, saved with the student's
+  // progress, so leaving and coming back doesn't buy more time
+  useEffect(() => {
+    if (!canPlay || feedback) return undefined;
+    let cancelled = false;
+    setSelected([]);
+    setTypedText('');
+    setArrangement(null);
+    setSliderValue(null);
+    setPin(null);
+    setStartedAt(null);
+    markQuestionShown(assignmentId, playerId, position)
+      .then((at) => { if (!cancelled) setStartedAt(at); })
+      .catch((err) => {
+        console.error('Failed to start homework question:', err);
+        if (!cancelled) setError(getAssignmentErrorMessage(err));
+      });
+    return () => { cancelled = true; };
+  }, [canPlay, position, feedback]);
+
+  const answerTimeMs = getAnswerTimeMs(question, assignment?.settings);
+  const secondsLeft = useCountdown(canPlay && !feedback ? answerTimeMs : 0, startedAt);
+
+  // `response` is `{ selected }` or `{ text }` depending on the question type
+  const sendAnswer = async (response) => {
+    if (submittingRef.current || feedback || !question || !startedAt) return;
+
+    submittingRef.current = true;
+    setIsSubmitting(true);
+    try {
+      const answer = hasResponse(question, response) ? { ...response, responseTimeMs: Date.now() - startedAt } : null;
+      const { entry: updated, answer: recorded } = await submitAssignmentAnswer(assignmentId, playerId, {
+        position,
+        questionIndex,
+        answer,
+        question,
+        timeLimitMs: answerTimeMs,
+        totalQuestions: questions.length,
+      });
+      setFeedback({ entry: updated, answer: recorded });
+
+      if (updated.completedAt) {
+        recordAssignmentHistory(assignment, updated, countScoredQuestions(questions))
+          .catch(err => console.warn('Failed to record homework history:', err));
+      }
+    } catch (err) {
+      console.error('Failed to submit homework answer:', err);
+      alert(getAssignmentErrorMessage(err));
+    } finally {
+      submittingRef.current = false;
+      setIsSubmitting(false);
+    }
+  };
+
+  // Running out of time submits whatever was picked or typed so far, if anything.
+  // Ordering, slider and hotspot questions only count once they've been submitted.
+  useEffect(() => {
+    if (canPlay && !feedback && startedAt && secondsLeft === 0) {
+      sendAnswer(isTextQuestion(question) ? { text: typedText.trim() } : { selected });
+    }
+  }, [secondsLeft, canPlay, feedback, startedAt, question, typedText, selected]);
+
+  const handleSelect = (index) => {
+    if (feedback || isSubmitting) return;
+
+    if (!isMultiSelect(question)) {
+      setSelected([index]);
+      sendAnswer({ selected: [index] });
+      return;
+    }
+
+    setSelected(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const handleNext = () => {
+    setStartedAt(null); // so the old question's expired timer can't fire for the next one
+    setMe(feedback.entry);
+    setFeedback(null);
+  };
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.secondaryBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!assignment || !game || !me) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+      </View>
+    );
+  }
+
+  const header = (
+    <View style={styles.header}>
+      <TouchableOpacity onPress={() => navigation.goBack()}>
+        <Text style={styles.backText}>← Back</Text>
+      </TouchableOpacity>
+      <Text style={styles.headerText} numberOfLines={1}>{game.title}</Text>
+      <Text style={styles.headerText}>
+        {canPlay || feedback ? `${Math.min(position + 1, questions.length)} / ${questions.length}` : ''}
+      </Text>
+    </View>
+  );
+
+  if (state === ASSIGNMENT_STATES.UPCOMING) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <Text style={styles.bigTitle}>Not open yet</Text>
+          <Text style={styles.subtitle}>Opens {new Date(assignment.openAt).toLocaleString()}</Text>
+        </View>
+      </View>
+    );
+  }
+
+  if ((isComplete || state === ASSIGNMENT_STATES.CLOSED) && !feedback) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <Text style={styles.bigTitle}>{isComplete ? 'Homework complete!' : 'Homework closed'}</Text>
+          <Text style={styles.pointsText}>{me.score || 0} points</Text>
+          <Text style={styles.subtitle}>
+            {me.correctCount || 0} of {countScoredQuestions(questions)} correct
+            {!isComplete ? ` • ${position} answered before it closed` : ''}
+          </Text>
+          <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.goBack()}>
+            <Text style={styles.secondaryBtnText}>Back to Dashboard</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  // The question stays hidden until its timer has started
+  if (!startedAt && !feedback) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#00c781" />
+        </View>
+      </View>
+    );
+  }
+
+  // Options are shown in this student's order; `selected` stays in original indices
+  const answerSeed = `${assignmentId}:${playerId}:${questionIndex}`;
+  const answerOrder = getAnswerOrder(question, assignment.settings, answerSeed);
+  const itemOrder = arrangement || getStartingOrder(question, answerSeed);
+  const displayOptions = answerOrder.map(i => getAnswerOptions(question)[i]);
+  const displayImages = answerOrder.map(i => getAnswerImages(question)[i]);
+  const toDisplay = (indices) => indices.map(i => answerOrder.indexOf(i));
+  const showAnswers = assignment.settings?.showAnswersAfter !== false;
+
+  return (
+    <View style={styles.container}>
+      {header}
+      <ScrollView contentContainerStyle={styles.content}>
+        <RichText text={question?.question} style={styles.questionText} />
+        {question?.imageUrl && !isHotspot(question) && (
+          <Image source={{ uri: question.imageUrl }} style={styles.questionImage} resizeMode="contain" />
+        )}
+        <QuestionMedia media={question?.media} />
+
+        {feedback && !isScored(question) ? (
+          <View style={styles.centeredBlock}>
+            <Text style={styles.bigTitle}>{feedback.answer ? 'Thanks for sharing!' : "Time's up!"}</Text>
+            {isWordCloud(question) ? (
+              feedback.answer && <Text style={styles.subtitle}>You said "{feedback.answer.text}"</Text>
+            ) : (
+              <AnswerGrid
+                options={displayOptions}
+                images={displayImages}
+                selected={toDisplay(feedback.answer?.selected || [])}
+                disabled
+              />
+            )}
+            <TouchableOpacity style={styles.primaryBtn} onPress={handleNext}>
+              <Text style={styles.primaryBtnText}>
+                {feedback.entry.completedAt ? 'See Results' : 'Next Question'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : feedback ? (
+          <View style={styles.centeredBlock}>
+            <Text style={[styles.bigTitle, { color: feedback.entry.lastCorrect ? '#00c781' : '#ff6b6b' }]}>
+              {!feedback.answer
+                ? "Time's up!"
+                : feedback.entry.lastCorrect ? 'Correct!' : feedback.entry.lastPoints > 0 ? 'Partly correct' : 'Incorrect'}
+            </Text>
+            <Text style={styles.pointsText}>+{feedback.entry.lastPoints || 0}</Text>
+            {isTypeAnswer(question) ? (
+              <TypedAnswerResult question={question} text={feedback.answer?.text ?? null} showAnswers={showAnswers} />
+            ) : isOrdering(question) ? (
+              <OrderingList
+                items={question.items}
+                order={feedback.answer?.order || (showAnswers ? range(question.items.length) : itemOrder)}
+                showCorrect={showAnswers}
+              />
+            ) : isSlider(question) ? (
+              <SliderResult question={question} value={feedback.answer?.value ?? null} showAnswers={showAnswers} />
+            ) : isHotspot(question) ? (
+              <HotspotResult question={question} point={feedback.answer?.point ?? null} showAnswers={showAnswers} />
+            ) : (
+              <AnswerGrid
+                options={displayOptions}
+                images={displayImages}
+                selected={toDisplay(feedback.answer?.selected || [])}
+                correctIndices={showAnswers ? toDisplay(getCorrectIndices(question)) : null}
+                disabled
+              />
+            )}
+            <TouchableOpacity style={styles.primaryBtn} onPress={handleNext}>
+              <Text style={styles.primaryBtnText}>
+                {feedback.entry.completedAt ? 'See Results' : 'Next Question'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.timerText}>{secondsLeft}s</Text>
+            {isTextQuestion(question) ? (
+              <TypeAnswerInput
+                question={question}
+                value={typedText}
+                onChangeText={setTypedText}
+                onSubmit={text => sendAnswer({ text })}
+                disabled={isSubmitting}
+              />
+            ) : isOrdering(question) ? (
+              <OrderingList
+                items={question.items}
+                order={itemOrder}
+                onChange={setArrangement}
+                onSubmit={order => sendAnswer({ order })}
+                disabled={isSubmitting}
+              />
+            ) : isSlider(question) ? (
+              <SliderInput
+                question={question}
+                value={sliderValue ?? getStartingValue(question)}
+                onChange={setSliderValue}
+                onSubmit={value => sendAnswer({ value })}
+                disabled={isSubmitting}
+              />
+            ) : isHotspot(question) ? (
+              <HotspotInput
+                question={question}
+                point={pin}
+                onChange={setPin}
+                onSubmit={point => sendAnswer({ point })}
+                disabled={isSubmitting}
+              />
+            ) : (
+              <>
+                {isMultiSelect(question) && (
+                  <Text style={styles.hintText}>Select all that apply</Text>
+                )}
+                <AnswerGrid
+                  options={displayOptions}
+                  images={displayImages}
+                  selected={toDisplay(selected)}
+                  onSelect={d => handleSelect(answerOrder[d])}
+                  disabled={isSubmitting}
+                />
+              </>
+            )}
+            {isMultiSelect(question) && (
+              <TouchableOpacity
+                style={[styles.primaryBtn, (selected.length === 0 || isSubmitting) && styles.disabledBtn]}
+                onPress={() => sendAnswer({ selected })}
+                disabled={selected.length === 0 || isSubmitting}
+              >
+                <Text style={styles.primaryBtnText}>Submit</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#111' },
+  centered: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#111', padding: 20 },
+  centeredBlock: { alignItems: 'center', width: '100%', paddingVertical: 20 },
+  errorText: { color: '#ff6b6b', fontSize: 20, marginBottom: 20, textAlign: 'center' },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, backgroundColor: '#0d0d0d', borderBottomWidth: 1, borderBottomColor: '#222' },
+  backText: { color: '#00c781', fontSize: 18, fontWeight: 'bold' },
+  headerText: { color: '#fff', fontSize: 18, fontWeight: 'bold', maxWidth: '50%' },
+  timerText: { color: '#00c781', fontSize: 22, fontWeight: 'bold', marginBottom: 12 },
+  content: { padding: 20, alignItems: 'center', maxWidth: 700, width: '100%', alignSelf: 'center' },
+  questionText: { color: '#fff', fontSize: 24, fontWeight: 'bold', textAlign: 'center', marginBottom: 20 },
+  questionImage: { width: '100%', height: 220, marginBottom: 20 },
+  hintText: { color: '#aaa', fontSize: 14, marginBottom: 12 },
+  pointsText: { color: '#fff', fontSize: 22, fontWeight: 'bold', marginBottom: 20 },
+  bigTitle: { color: '#fff', fontSize: 32, fontWeight: 'bold', marginBottom: 12, textAlign: 'center' },
+  subtitle: { color: '#aaa', fontSize: 18, marginTop: 8, marginBottom: 20, textAlign: 'center' },
+  primaryBtn: { backgroundColor: '#00c781', paddingVertical: 16, paddingHorizontal: 40, borderRadius: 16, alignItems: 'center', marginTop: 20, width: '100%' },
+  primaryBtnText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  disabledBtn: { opacity: 0.5 },
+  secondaryBtn: { backgroundColor: '#333', paddingVertical: 12, paddingHorizontal: 24, borderRadius: 12 },
+  secondaryBtnText: { color: '#fff', fontSize: 16 },
+});
@@ -28,6 +28,228 @@ import {
   uploadBytes,
   getDownloadURL
 } from 'firebase/storage';
+import {
+  QUESTION_TYPES,
+  QUESTION_TYPE_LABELS,
+  MAX_ACCEPTED_ANSWERS,
+  TYPE_ANSWER_MAX_LENGTH,
+  MIN_ORDERING_ITEMS,
+  MAX_ORDERING_ITEMS,
+  createQuestion,
+  changeQuestionType,
+  isTypeAnswer,
+  isOrdering,
+  isSlider,
+  isPoll,
+  isWordCloud,
+  isHotspot,
+  isScored,
+} from '../utils/questionTypes';
+import { getAcceptedAnswers, getMatching } from '../utils/answerMatching';
+import {
+  HOTSPOT_SHAPES,
+  HOTSPOT_SHAPE_LABELS,
+  MAX_HOTSPOT_REGIONS,
+  REGION_SIZE_STEP,
+  createRegion,
+  getRegionSize,
+  resizeRegion,
+} from '../utils/hotspot';
+import { HotspotImage } from '../components/HotspotInput';
+import RichText from '../components/RichText';
+import QuestionMedia from '../components/QuestionMedia';
+import { prepareImage } from '../utils/imageProcessing';
+import {
+  MEDIA_KINDS,
+  MEDIA_SOURCES,
+  getMediaKind,
+  getUploadProblem,
+  getMediaProblem,
+  isPlayableLink,
+  parseTimestamp,
+  formatTimestamp,
+  describeMedia,
+  describeUploadLimits,
+} from '../utils/media';
+import { hasMarkup } from '../utils/richText';
+
+// Matching rules a teacher can switch off for a type-answer question
+const MATCHING_OPTIONS = [
+  { key: 'ignoreCase', label: 'Ignore case' },
+  { key: 'ignoreWhitespace', label: 'Ignore spaces' },
+  { key: 'ignorePunctuation', label: 'Ignore punctuation' },
+  { key: 'ignoreAccents', label: 'Ignore accents' },
+];
+const TYPO_TOLERANCES = [0, 1, 2];
+
+// Point modes a question can use (see POINT_MODES in scoring.js)
+const POINT_OPTIONS = [
+  { mode: 'standard', label: 'Standard' },
+  { mode: 'double', label: 'Double' },
+  { mode: 'none', label: 'No points' },
+];
+
+// Slider settings edited as numbers; tolerance is the ± band around the correct value
+const SLIDER_FIELDS = [
+  { key: 'min', label: 'Min' },
+  { key: 'max', label: 'Max' },
+  { key: 'step', label: 'Step' },
+  { key: 'correctValue', label: 'Correct value' },
+  { key: 'tolerance', label: 'Tolerance ±' },
+];
+
+/**
+ * Number box that keeps what's typed (e.g. "-" or "2.") until it parses,
+ * so decimals and negatives can be entered one key at a time.
+ */
+const NumberInput = ({ value, onChange, style }) => {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    if (parseFloat(text) !== value) setText(String(value));
+  }, [value]);
+
+  return (
+    <TextInput
+      style={style}
+      value={text}
+      onChangeText={(t) => {
+        setText(t);
+        const parsed = parseFloat(t);
+        if (Number.isFinite(parsed)) onChange(parsed);
+      }}
+      keyboardType="numeric"
+    />
+  );
+};
+
+/**
+ * Clip start or end typed as "1:30" or "90"; a blank box means `emptyValue`
+ * (0 for the start, null for "to the end").
+ */
+const TimestampInput = ({ value, onChange, emptyValue, placeholder, style }) => {
+  const [text, setText] = useState(value === null ? '' : formatTimestamp(value));
+
+  useEffect(() => {
+    if ((parseTimestamp(text) ?? emptyValue) !== value) setText(value === null ? '' : formatTimestamp(value));
+  }, [value]);
+
+  return (
+    <TextInput
+      style={style}
+      value={text}
+      placeholder={placeholder}
+      onChangeText={(t) => {
+        setText(t);
+        const parsed = t.trim() ? parseTimestamp(t) : emptyValue;
+        if (parsed !== null || !t.trim()) onChange(parsed);
+      }}
+    />
+  );
+};
+
+// How long an audio or video file runs, read by the browser before upload
+const readMediaDuration = (file, kind) => new Promise((resolve, reject) => {
+  const element = document.createElement(kind);
+  const url = URL.createObjectURL(file);
+  element.preload = 'metadata';
+  element.onloadedmetadata = () => {
+    URL.revokeObjectURL(url);
+    resolve(element.duration);
+  };
+  element.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error("the file couldn't be read as " + kind));
+  };
+  element.src = url;
+});
+
+const getSliderProblem = ({ min, max, step, correctValue, tolerance }) => {
+  if (!(min < max)) return 'needs a max greater than its min';
+  if (!(step > 0) || step > max - min) return 'needs a step between 0 and the size of its range';
+  if (correctValue < min || correctValue > max) return 'needs a correct value between its min and max';
+  if (!(tolerance >= 0)) return "can't have a negative tolerance";
+  return null;
+};
+
+// Picture button beside a choice; the × on a picked picture removes it
+const AnswerImageButton = ({ url, onPick, onRemove }) => (
+  <View>
+    <TouchableOpacity style={styles.answerImageBtn} onPress={onPick}>
+      {url ? (
+        <Image source={{ uri: url }} style={styles.answerImageThumb} />
+      ) : (
+        <Text style={styles.answerImageIcon}>🖼</Text>
+      )}
+    </TouchableOpacity>
+    {url && (
+      <TouchableOpacity style={styles.answerImageRemove} onPress={onRemove}>
+        <Text style={styles.answerImageRemoveText}>×</Text>
+      </TouchableOpacity>
+    )}
+  </View>
+);
+
+const getOrderingItems = (question) => (question.items || []).map(item => item.trim()).filter(Boolean);
+
+// A choice counts once it has text or a picture, as in gameEngine's getOptionLabels
+const hasChoice = (question, index) => !!question.answers[index]?.trim() || !!question.answerImages?.[index];
+
+// Choices or items shown under the question in the markup preview, as `{ text, image }`
+const getPreviewAnswers = (question) => {
+  if (isOrdering(question)) return getOrderingItems(question).map(text => ({ text, image: null }));
+  if (isPoll(question) || question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return question.answers
+      .map((text, i) => ({ text, image: question.answerImages?.[i] || null }))
+      .filter((_, i) => hasChoice(question, i));
+  }
+  return [];
+};
+
+// How the question will look in play, shown once it uses math or code markup
+const MarkupPreview = ({ question }) => {
+  const answers = getPreviewAnswers(question);
+  if (![question.question, ...answers.map(a => a.text)].some(hasMarkup)) return null;
+
+  return (
+    <View style={styles.markupPreview}>
+      <Text style={styles.markupPreviewLabel}>Preview</Text>
+      <RichText text={question.question} style={styles.markupPreviewQuestion} />
+      {answers.map((answer, i) => (
+        <View key={i} style={styles.markupPreviewAnswer}>
+          {answer.image && <Image source={{ uri: answer.image }} style={styles.markupPreviewImage} />}
+          {!!answer.text.trim() && <RichText text={answer.text} style={styles.markupPreviewAnswerText} />}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+// Why a question can't be saved yet, or null
+const getQuestionProblem = (question) => {
+  const mediaProblem = getMediaProblem(question.media);
+  if (mediaProblem) return mediaProblem;
+  if (isPoll(question) && question.answers.filter((_, i) => hasChoice(question, i)).length < 2) {
+    return 'needs at least 2 options to vote on';
+  }
+  if (isTypeAnswer(question) && getAcceptedAnswers(question).length === 0) {
+    return 'needs at least one accepted answer';
+  }
+  if (isOrdering(question) && getOrderingItems(question).length < MIN_ORDERING_ITEMS) {
+    return `needs at least ${MIN_ORDERING_ITEMS} items to put in order`;
+  }
+  if (isSlider(question)) return getSliderProblem(question);
+  if (isHotspot(question) && !question.imageUrl) return 'needs an image to pin on';
+  if (isHotspot(question) && question.regions.length === 0) return 'needs at least one correct region';
+  return null;
+};
+
+// Drops the blank rows the editor leaves in answer lists
+const cleanQuestion = (question) => {
+  if (isTypeAnswer(question)) return { ...question, acceptedAnswers: getAcceptedAnswers(question) };
+  if (isOrdering(question)) return { ...question, items: getOrderingItems(question) };
+  return question;
+};
 
 export default function CreateGameMenu({ navigation, route }) {
   const gameId = route.params?.gameId;
@@ -35,24 +257,23 @@ export default function CreateGameMenu({ navigation, route }) {
 
   const [gameTitle, setGameTitle] = useState(initialTitle);
   const [coverImage, setCoverImage] = useState(null);
+  const [coverThumbnail, setCoverThumbnail] = useState(null);
   const [tags, setTags] = useState('');
   const [questions, setQuestions] = useState([]);
   const [selectedQuestionIndex, setSelectedQuestionIndex] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
 
+  const [regionShape, setRegionShape] = useState(HOTSPOT_SHAPES.CIRCLE);
+  const [isUploadingMedia, setIsUploadingMedia] = useState(false);
+
   const coverInputRef = useRef(null);
   const questionInputRef = useRef(null);
+  const answerInputRef = useRef(null);
+  const mediaInputRef = useRef(null);
+  const answerImageIndexRef = useRef(null); // which choice the answer picture is for
 
-  const currentQuestion = questions[selectedQuestionIndex] || {
-    type: 'multipleChoice',
-    question: '',
-    answers: ['', '', '', ''],
-    correctAnswers: [false, false, false, false],
-    imageUrl: null,
-    timeLimit: 20,
-    points: 'standard',
-  };
+  const currentQuestion = questions[selectedQuestionIndex] || createQuestion();
 
   useEffect(() => {
     if (gameId) {
@@ -65,6 +286,7 @@ export default function CreateGameMenu({ navigation, route }) {
           setTags(data.tags?.join(', ') || '');
           setQuestions(data.questions || []);
           setCoverImage(data.coverImage || null);
+          setCoverThumbnail(data.coverThumbnail || null);
           setIsEditing(true);
         }
         setIsLoading(false);
@@ -81,17 +303,48 @@ export default function CreateGameMenu({ navigation, route }) {
     });
   };
 
+  // Hotspot regions are placed on the image, so the question keeps its shape
+  useEffect(() => {
+    const { imageUrl } = currentQuestion;
+    if (!isHotspot(currentQuestion) || !imageUrl) return;
+
+    const index = selectedQuestionIndex;
+    Image.getSize(
+      imageUrl,
+      (width, height) => {
+        if (!width || !height) return;
+        setQuestions(prev => prev.map((q, i) => (
+          i === index && q.imageUrl === imageUrl ? { ...q, imageAspect: width / height } : q
+        )));
+      },
+      err => console.warn('Failed to read image size:', err)
+    );
+  }, [selectedQuestionIndex, currentQuestion.type, currentQuestion.imageUrl]);
+
+  const setAnswerImage = (index, url) => {
+    updateCurrentQuestion({
+      answerImages: currentQuestion.answers.map((_, i) => (i === index ? url : currentQuestion.answerImages?.[i] || null)),
+    });
+  };
+
+  const pickAnswerImage = (index) => {
+    answerImageIndexRef.current = index;
+    answerInputRef.current?.click();
+  };
+
+  const addRegion = (point) => {
+    if (currentQuestion.regions.length >= MAX_HOTSPOT_REGIONS) return;
+    updateCurrentQuestion({ regions: [...currentQuestion.regions, createRegion(currentQuestion, regionShape, point)] });
+  };
+
+  const updateRegions = (index, region) => {
+    updateCurrentQuestion({
+      regions: currentQuestion.regions.flatMap((r, i) => (i !== index ? [r] : region ? [region] : [])),
+    });
+  };
+
   const addQuestion = () => {
-    const newQ = {
-      type: 'multipleChoice',
-      question: '',
-      answers: ['', '', '', ''],
-      correctAnswers: [false, false, false, false],
-      imageUrl: null,
-      timeLimit: 20,
-      points: 'standard',
-    };
-    setQuestions(prev => [...prev, newQ]);
+    setQuestions(prev => [...prev, createQuestion()]);
     setSelectedQuestionIndex(questions.length);
   };
 
@@ -122,7 +375,8 @@ export default function CreateGameMenu({ navigation, route }) {
     setSelectedQuestionIndex(index + 1);
   };
 
-  const handleImageUpload = async (e, isCover = false) => {
+  // `target` is 'cover', 'question' or 'answer' (the choice in answerImageIndexRef)
+  const handleImageUpload = async (e, target) => {
     const file = e.target.files[0];
     if (!file) return;
 
@@ -133,19 +387,24 @@ export default function CreateGameMenu({ navigation, route }) {
         return;
       }
 
-      const ext = file.name.split('.').pop() || 'jpg';
-      const fileName = `${isCover ? 'cover' : 'question'}-${Date.now()}.${ext}`;
-      const storagePath = `games/${user.uid}/${fileName}`;
+      // Cropped to the slot's shape and shrunk before upload (see imageProcessing.js)
+      const slot = target === 'question' && isHotspot(currentQuestion) ? 'hotspot' : target;
+      const { image, thumbnail } = await prepareImage(file, slot);
+      const stamp = Date.now();
 
       // Explicitly get storage instance
       const storageInstance = getStorage();
-      const storageRefPath = storageRef(storageInstance, storagePath);
-      // Upload
-      const snapshot = await uploadBytes(storageRefPath, file);
-      const url = await getDownloadURL(snapshot.ref);
+      const upload = async ({ blob, type, ext }, name) => {
+        const snapshot = await uploadBytes(storageRef(storageInstance, `games/${user.uid}/${name}.${ext}`), blob, { contentType: type });
+        return getDownloadURL(snapshot.ref);
+      };
+      const url = await upload(image, `${target}-${stamp}`);
 
-      if (isCover) {
+      if (target === 'cover') {
         setCoverImage(url);
+        setCoverThumbnail(thumbnail ? await upload(thumbnail, `cover-${stamp}-thumb`) : null);
+      } else if (target === 'answer') {
+        setAnswerImage(answerImageIndexRef.current, url);
       } else {
         updateCurrentQuestion({ imageUrl: url });
       }
@@ -158,6 +417,54 @@ export default function CreateGameMenu({ navigation, route }) {
     }
   };
 
+  const updateMedia = (updates) => {
+    updateCurrentQuestion({ media: { ...currentQuestion.media, ...updates } });
+  };
+
+  const addMediaLink = () => {
+    updateCurrentQuestion({
+      media: { kind: MEDIA_KINDS.VIDEO, source: MEDIA_SOURCES.LINK, url: '', start: 0, end: null, onDevices: false },
+    });
+  };
+
+  // Size and length are checked here, before anything reaches Storage
+  const handleMediaUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const kind = getMediaKind(file.type);
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        alert('User not authenticated');
+        return;
+      }
+
+      const duration = kind ? await readMediaDuration(file, kind) : 0;
+      const problem = getUploadProblem({ kind, size: file.size, duration });
+      if (problem) {
+        alert(problem);
+        return;
+      }
+
+      setIsUploadingMedia(true);
+      const ext = file.name.split('.').pop() || (kind === MEDIA_KINDS.AUDIO ? 'mp3' : 'mp4');
+      const storagePath = `games/${user.uid}/media-${Date.now()}.${ext}`;
+      const snapshot = await uploadBytes(storageRef(getStorage(), storagePath), file, { contentType: file.type });
+      const url = await getDownloadURL(snapshot.ref);
+
+      updateCurrentQuestion({
+        media: { kind, source: MEDIA_SOURCES.UPLOAD, url, start: 0, end: null, onDevices: false },
+      });
+    } catch (err) {
+      console.error('Media upload failed:', err);
+      alert('Failed to upload media: ' + err.message);
+    } finally {
+      setIsUploadingMedia(false);
+    }
+  };
+
   const saveGame = async (host = false) => {
     if (!gameTitle.trim()) {
       alert('Please enter a game title');
@@ -167,14 +474,21 @@ export default function CreateGameMenu({ navigation, route }) {
       alert('Please add at least one question');
       return;
     }
+    const problemIndex = questions.findIndex(q => getQuestionProblem(q));
+    if (problemIndex !== -1) {
+      setSelectedQuestionIndex(problemIndex);
+      alert(`Question ${problemIndex + 1} ${getQuestionProblem(questions[problemIndex])}`);
+      return;
+    }
 
     const gameData = {
       title: gameTitle.trim(),
       titleLower: gameTitle.trim().toLowerCase(),
       tags: tags.split(',').map(t => t.trim().toLowerCase()).filter(t => t),
-      questions,
+      questions: questions.map(cleanQuestion),
       numQuestions: questions.length,
       coverImage,
+      coverThumbnail,
       creatorId: auth.currentUser.uid,
       updatedAt: new Date().toISOString(),
       isPublished: false,
@@ -215,14 +529,28 @@ export default function CreateGameMenu({ navigation, route }) {
         accept="image/*"
         ref={coverInputRef}
         style={{ display: 'none' }}
-        onChange={(e) => handleImageUpload(e, true)}
+        onChange={(e) => handleImageUpload(e, 'cover')}
       />
       <input
         type="file"
         accept="image/*"
         ref={questionInputRef}
         style={{ display: 'none' }}
-        onChange={(e) => handleImageUpload(e, false)}
+        onChange={(e) => handleImageUpload(e, 'question')}
+      />
+      <input
+        type="file"
+        accept="image/*"
+        ref={answerInputRef}
+        style={{ display: 'none' }}
+        onChange={(e) => handleImageUpload(e, 'answer')}
+      />
+      <input
+        type="file"
+        accept="audio/*,video/*"
+        ref={mediaInputRef}
+        style={{ display: 'none' }}
+        onChange={handleMediaUpload}
       />
 
       {/* Header */}
@@ -314,6 +642,8 @@ export default function CreateGameMenu({ navigation, route }) {
             placeholder="Enter your question..."
             multiline
           />
+          <Text style={styles.markupHint}>$…$ math, $$…$$ math block, `code`, ``` code block</Text>
+          <MarkupPreview question={currentQuestion} />
 
           {/* Question Image Upload */}
           <TouchableOpacity style={styles.imageUpload} onPress={() => questionInputRef.current?.click()}>
@@ -329,8 +659,329 @@ export default function CreateGameMenu({ navigation, route }) {
             </View>
           </TouchableOpacity>
 
+          {/* Question Audio / Video */}
+          {currentQuestion.media ? (
+            <View style={styles.mediaSection}>
+              <View style={styles.mediaHeader}>
+                <Text style={styles.settingLabel}>{describeMedia(currentQuestion.media)}</Text>
+                <TouchableOpacity onPress={() => updateCurrentQuestion({ media: null })}>
+                  <Text style={styles.mediaRemoveText}>Remove</Text>
+                </TouchableOpacity>
+              </View>
+              {currentQuestion.media.source === MEDIA_SOURCES.LINK && (
+                <TextInput
+                  style={[styles.answerInput, styles.mediaLinkInput]}
+                  value={currentQuestion.media.url}
+                  onChangeText={(url) => updateMedia({ url: url.trim() })}
+                  placeholder="YouTube link or link to a video file"
+                  autoCapitalize="none"
+                />
+              )}
+              {(currentQuestion.media.source === MEDIA_SOURCES.UPLOAD || isPlayableLink(currentQuestion.media.url)) && (
+                <QuestionMedia media={currentQuestion.media} />
+              )}
+              <View style={styles.sliderFields}>
+                <View style={styles.sliderField}>
+                  <Text style={styles.settingLabel}>Start</Text>
+                  <TimestampInput
+                    key={`${selectedQuestionIndex}-start`}
+                    style={styles.sliderInput}
+                    value={currentQuestion.media.start}
+                    emptyValue={0}
+                    placeholder="0:00"
+                    onChange={(start) => updateMedia({ start })}
+                  />
+                </View>
+                <View style={styles.sliderField}>
+                  <Text style={styles.settingLabel}>End</Text>
+                  <TimestampInput
+                    key={`${selectedQuestionIndex}-end`}
+                    style={styles.sliderInput}
+                    value={currentQuestion.media.end}
+                    emptyValue={null}
+                    placeholder="end"
+                    onChange={(end) => updateMedia({ end })}
+                  />
+                </View>
+              </View>
+              <View style={styles.typeRow}>
+                <Text style={styles.settingLabel}>Plays on</Text>
+                {[false, true].map(onDevices => (
+                  <TouchableOpacity
+                    key={String(onDevices)}
+                    style={[styles.typeBtn, !!currentQuestion.media.onDevices === onDevices && styles.typeBtnActive]}
+                    onPress={() => updateMedia({ onDevices })}
+                  >
+                    <Text style={styles.typeBtnText}>{onDevices ? 'Host and players' : 'Host screen only'}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {getMediaProblem(currentQuestion.media) && (
+                <Text style={[styles.matchingHint, styles.problemText]}>
+                  This media {getMediaProblem(currentQuestion.media)}.
+                </Text>
+              )}
+            </View>
+          ) : (
+            <View style={styles.typeRow}>
+              <TouchableOpacity
+                style={styles.typeBtn}
+                onPress={() => mediaInputRef.current?.click()}
+                disabled={isUploadingMedia}
+              >
+                <Text style={styles.typeBtnText}>{isUploadingMedia ? 'Uploading...' : '+ Audio or Video File'}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.typeBtn} onPress={addMediaLink}>
+                <Text style={styles.typeBtnText}>+ Video Link</Text>
+              </TouchableOpacity>
+              <Text style={styles.matchingHint}>Uploads: {describeUploadLimits()}</Text>
+            </View>
+          )}
+
+          {/* Question Type */}
+          <View style={styles.typeRow}>
+            {Object.values(QUESTION_TYPES).map(type => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.typeBtn, currentQuestion.type === type && styles.typeBtnActive]}
+                onPress={() => currentQuestion.type !== type && updateCurrentQuestion(changeQuestionType(currentQuestion, type))}
+              >
+                <Text style={styles.typeBtnText}>{QUESTION_TYPE_LABELS[type]}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
           {/* Answer Choices */}
-          {currentQuestion.type === 'multipleChoice' ? (
+          {isTypeAnswer(currentQuestion) ? (
+            <View>
+              <Text style={styles.editorLabel}>Accepted answers</Text>
+              {currentQuestion.acceptedAnswers.map((ans, i) => (
+                <View key={i} style={styles.answerRow}>
+                  <TextInput
+                    style={styles.answerInput}
+                    value={ans}
+                    onChangeText={(t) => {
+                      const newAccepted = [...currentQuestion.acceptedAnswers];
+                      newAccepted[i] = t;
+                      updateCurrentQuestion({ acceptedAnswers: newAccepted });
+                    }}
+                    placeholder={i === 0 ? 'Answer' : 'Also accept...'}
+                    maxLength={TYPE_ANSWER_MAX_LENGTH}
+                  />
+                  <TouchableOpacity
+                    style={styles.correctToggle}
+                    onPress={() => updateCurrentQuestion({
+                      acceptedAnswers: currentQuestion.acceptedAnswers.filter((_, j) => j !== i),
+                    })}
+                    disabled={currentQuestion.acceptedAnswers.length === 1}
+                  >
+                    <Text style={[styles.toggleIcon, currentQuestion.acceptedAnswers.length === 1 && styles.disabledRemove]}>×</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {currentQuestion.acceptedAnswers.length < MAX_ACCEPTED_ANSWERS && (
+                <TouchableOpacity
+                  style={styles.addAnswerBtn}
+                  onPress={() => updateCurrentQuestion({ acceptedAnswers: [...currentQuestion.acceptedAnswers, ''] })}
+                >
+                  <Text style={styles.addAnswerText}>+ Add another accepted answer</Text>
+                </TouchableOpacity>
+              )}
+
+              <Text style={styles.editorLabel}>Matching</Text>
+              <View style={styles.typeRow}>
+                {MATCHING_OPTIONS.map(({ key, label }) => {
+                  const matching = getMatching(currentQuestion);
+                  return (
+                    <TouchableOpacity
+                      key={key}
+                      style={[styles.typeBtn, matching[key] && styles.typeBtnActive]}
+                      onPress={() => updateCurrentQuestion({ matching: { ...matching, [key]: !matching[key] } })}
+                    >
+                      <Text style={styles.typeBtnText}>{label}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <View style={styles.typeRow}>
+                <Text style={styles.settingLabel}>Allow typos</Text>
+                {TYPO_TOLERANCES.map((tolerance) => {
+                  const matching = getMatching(currentQuestion);
+                  return (
+                    <TouchableOpacity
+                      key={tolerance}
+                      style={[styles.typeBtn, matching.typoTolerance === tolerance && styles.typeBtnActive]}
+                      onPress={() => updateCurrentQuestion({ matching: { ...matching, typoTolerance: tolerance } })}
+                    >
+                      <Text style={styles.typeBtnText}>{tolerance === 0 ? 'Off' : tolerance}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <Text style={styles.matchingHint}>
+                Typos are only forgiven in answers of at least 4 characters (8 for two typos).
+              </Text>
+            </View>
+          ) : isOrdering(currentQuestion) ? (
+            <View>
+              <Text style={styles.editorLabel}>Items, in the correct order</Text>
+              {currentQuestion.items.map((item, i) => (
+                <View key={i} style={styles.answerRow}>
+                  <Text style={styles.itemNumber}>{i + 1}</Text>
+                  <TextInput
+                    style={styles.answerInput}
+                    value={item}
+                    onChangeText={(t) => {
+                      const newItems = [...currentQuestion.items];
+                      newItems[i] = t;
+                      updateCurrentQuestion({ items: newItems });
+                    }}
+                    placeholder={`Item ${i + 1}`}
+                    multiline
+                  />
+                  <TouchableOpacity
+                    style={styles.correctToggle}
+                    onPress={() => updateCurrentQuestion({
+                      items: currentQuestion.items.filter((_, j) => j !== i),
+                    })}
+                    disabled={currentQuestion.items.length <= MIN_ORDERING_ITEMS}
+                  >
+                    <Text style={[styles.toggleIcon, currentQuestion.items.length <= MIN_ORDERING_ITEMS && styles.disabledRemove]}>×</Text>
+                  </TouchableOpacity>
+                </View>
+              ))}
+              {currentQuestion.items.length < MAX_ORDERING_ITEMS && (
+                <TouchableOpacity
+                  style={styles.addAnswerBtn}
+                  onPress={() => updateCurrentQuestion({ items: [...currentQuestion.items, ''] })}
+                >
+                  <Text style={styles.addAnswerText}>+ Add item</Text>
+                </TouchableOpacity>
+              )}
+
+              <Text style={styles.editorLabel}>Scoring</Text>
+              <View style={styles.typeRow}>
+                {[false, true].map(partial => (
+                  <TouchableOpacity
+                    key={String(partial)}
+                    style={[styles.typeBtn, !!currentQuestion.partialCredit === partial && styles.typeBtnActive]}
+                    onPress={() => updateCurrentQuestion({ partialCredit: partial })}
+                  >
+                    <Text style={styles.typeBtnText}>{partial ? 'Partial credit' : 'All or nothing'}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.matchingHint}>
+                {currentQuestion.partialCredit
+                  ? 'Players earn a share of the points for each item in its right place.'
+                  : 'Players only score if every item is in its right place.'}
+              </Text>
+            </View>
+          ) : isSlider(currentQuestion) ? (
+            <View>
+              <Text style={styles.editorLabel}>Slider</Text>
+              <View style={styles.sliderFields}>
+                {SLIDER_FIELDS.map(({ key, label }) => (
+                  <View key={`${selectedQuestionIndex}-${key}`} style={styles.sliderField}>
+                    <Text style={styles.settingLabel}>{label}</Text>
+                    <NumberInput
+                      style={styles.sliderInput}
+                      value={currentQuestion[key]}
+                      onChange={(n) => updateCurrentQuestion({ [key]: n })}
+                    />
+                  </View>
+                ))}
+              </View>
+              <Text style={[styles.matchingHint, getSliderProblem(currentQuestion) && styles.problemText]}>
+                {getSliderProblem(currentQuestion)
+                  ? `This question ${getSliderProblem(currentQuestion)}.`
+                  : 'Full points within the tolerance; nearby answers earn fewer points the further off they are.'}
+              </Text>
+            </View>
+          ) : isPoll(currentQuestion) ? (
+            <View>
+              {currentQuestion.answers.map((ans, i) => (
+                <View key={i} style={styles.answerRow}>
+                  <TextInput
+                    style={styles.answerInput}
+                    value={ans}
+                    onChangeText={(t) => {
+                      const newAnswers = [...currentQuestion.answers];
+                      newAnswers[i] = t;
+                      updateCurrentQuestion({ answers: newAnswers });
+                    }}
+                    placeholder={`Option ${i + 1}`}
+                    multiline
+                  />
+                  <AnswerImageButton
+                    url={currentQuestion.answerImages?.[i]}
+                    onPick={() => pickAnswerImage(i)}
+                    onRemove={() => setAnswerImage(i, null)}
+                  />
+                </View>
+              ))}
+              <Text style={styles.matchingHint}>
+                No right answer and no points: players vote and the host sees the results live.
+              </Text>
+            </View>
+          ) : isWordCloud(currentQuestion) ? (
+            <Text style={styles.matchingHint}>
+              Players answer with a word or short phrase. Matching answers are merged into a live word cloud on the
+              host screen. No points are given.
+            </Text>
+          ) : isHotspot(currentQuestion) ? (
+            <View>
+              <Text style={styles.editorLabel}>Correct regions</Text>
+              {currentQuestion.imageUrl && (
+                <>
+                  <View style={styles.typeRow}>
+                    {Object.values(HOTSPOT_SHAPES).map(shape => (
+                      <TouchableOpacity
+                        key={shape}
+                        style={[styles.typeBtn, regionShape === shape && styles.typeBtnActive]}
+                        onPress={() => setRegionShape(shape)}
+                      >
+                        <Text style={styles.typeBtnText}>{HOTSPOT_SHAPE_LABELS[shape]}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <View style={styles.hotspotBoard}>
+                    <HotspotImage question={currentQuestion} showRegions onPick={addRegion} />
+                  </View>
+                  {currentQuestion.regions.map((region, i) => (
+                    <View key={i} style={styles.answerRow}>
+                      <Text style={styles.itemNumber}>{i + 1}</Text>
+                      <Text style={styles.regionLabel}>
+                        {HOTSPOT_SHAPE_LABELS[region.shape]} • {Math.round(getRegionSize(region) * 100)}% wide
+                      </Text>
+                      {[-1, 1].map(direction => (
+                        <TouchableOpacity
+                          key={direction}
+                          style={styles.correctToggle}
+                          onPress={() => updateRegions(
+                            i,
+                            resizeRegion(currentQuestion, region, getRegionSize(region) + direction * REGION_SIZE_STEP)
+                          )}
+                        >
+                          <Text style={styles.toggleIcon}>{direction < 0 ? '−' : '+'}</Text>
+                        </TouchableOpacity>
+                      ))}
+                      <TouchableOpacity style={styles.correctToggle} onPress={() => updateRegions(i, null)}>
+                        <Text style={styles.toggleIcon}>×</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+                </>
+              )}
+              <Text style={styles.matchingHint}>
+                {!currentQuestion.imageUrl
+                  ? 'Upload an image above, then tap it to mark the correct regions.'
+                  : currentQuestion.regions.length >= MAX_HOTSPOT_REGIONS
+                    ? `Up to ${MAX_HOTSPOT_REGIONS} regions. Remove one to add another.`
+                    : `Tap the image to add a ${HOTSPOT_SHAPE_LABELS[regionShape].toLowerCase()}. Players score if their pin lands in any region.`}
+              </Text>
+            </View>
+          ) : currentQuestion.type === QUESTION_TYPES.MULTIPLE_CHOICE ? (
             currentQuestion.answers.map((ans, i) => (
               <View key={i} style={styles.answerRow}>
                 <TextInput
@@ -342,6 +993,12 @@ export default function CreateGameMenu({ navigation, route }) {
                     updateCurrentQuestion({ answers: newAnswers });
                   }}
                   placeholder={`Answer ${i + 1}`}
+                  multiline
+                />
+                <AnswerImageButton
+                  url={currentQuestion.answerImages?.[i]}
+                  onPick={() => pickAnswerImage(i)}
+                  onRemove={() => setAnswerImage(i, null)}
                 />
                 <TouchableOpacity
                   style={[
@@ -387,12 +1044,20 @@ export default function CreateGameMenu({ navigation, route }) {
               />
               <Text style={styles.seconds}>seconds</Text>
             </View>
-            <View style={styles.pointsSetting}>
-              <Text style={styles.settingLabel}>Points</Text>
-              <TouchableOpacity style={styles.pointsBtn}>
-                <Text style={styles.pointsText}>{currentQuestion.points}</Text>
-              </TouchableOpacity>
-            </View>
+            {isScored(currentQuestion) && (
+              <View style={styles.pointsSetting}>
+                <Text style={styles.settingLabel}>Points</Text>
+                {POINT_OPTIONS.map(({ mode, label }) => (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[styles.pointsBtn, (currentQuestion.points || 'standard') === mode && styles.pointsBtnActive]}
+                    onPress={() => updateCurrentQuestion({ points: mode })}
+                  >
+                    <Text style={styles.pointsText}>{label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
           </View>
         </ScrollView>
 
@@ -450,7 +1115,14 @@ const styles = StyleSheet.create({
   deleteThumbText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
   centerEditor: { flex: 1, padding: 40, backgroundColor: '#111' },
   editorLabel: { fontSize: 18, color: '#aaa', marginBottom: 20 },
-  questionInput: { fontSize: 28, color: '#fff', backgroundColor: '#1e1e1e', padding: 20, borderRadius: 16, minHeight: 120, marginBottom: 20 },
+  questionInput: { fontSize: 28, color: '#fff', backgroundColor: '#1e1e1e', padding: 20, borderRadius: 16, minHeight: 120, marginBottom: 8 },
+  markupHint: { color: '#666', fontSize: 13, marginBottom: 20 },
+  markupPreview: { backgroundColor: '#0d0d0d', borderRadius: 16, borderWidth: 1, borderColor: '#333', padding: 20, marginBottom: 20, gap: 10 },
+  markupPreviewLabel: { color: '#aaa', fontSize: 12, fontWeight: 'bold', textTransform: 'uppercase' },
+  markupPreviewQuestion: { color: '#fff', fontSize: 24, fontWeight: 'bold', textAlign: 'center' },
+  markupPreviewAnswer: { backgroundColor: '#1e1e1e', borderRadius: 10, padding: 12, flexDirection: 'row', alignItems: 'center', gap: 12 },
+  markupPreviewImage: { width: 48, height: 48, borderRadius: 6 },
+  markupPreviewAnswerText: { color: '#fff', fontSize: 18, fontWeight: 'bold', flexShrink: 1 },
   imageUpload: { height: 200, backgroundColor: '#1e1e1e', borderRadius: 16, justifyContent: 'center', alignItems: 'center', marginBottom: 20, position: 'relative' },
   imageUploadText: { color: '#666', fontSize: 16 },
   questionImage: { width: '100%', height: '100%', borderRadius: 16 },
@@ -462,6 +1134,30 @@ const styles = StyleSheet.create({
   correctToggleActive: { backgroundColor: '#00c781' },
   toggleIcon: { color: '#fff', fontSize: 24, fontWeight: 'bold' },
   trueFalseRow: { flexDirection: 'row', gap: 20, marginBottom: 20 },
+  typeRow: { flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center', gap: 10, marginBottom: 20 },
+  typeBtn: { backgroundColor: '#1e1e1e', paddingHorizontal: 16, paddingVertical: 10, borderRadius: 8 },
+  typeBtnActive: { backgroundColor: '#00c781' },
+  typeBtnText: { color: '#fff', fontWeight: 'bold' },
+  addAnswerBtn: { padding: 12, borderRadius: 12, borderWidth: 1, borderColor: '#333', borderStyle: 'dashed', alignItems: 'center', marginBottom: 20 },
+  addAnswerText: { color: '#00c781', fontWeight: 'bold' },
+  matchingHint: { color: '#666', fontSize: 14 },
+  disabledRemove: { opacity: 0.3 },
+  sliderFields: { flexDirection: 'row', flexWrap: 'wrap', gap: 16, marginBottom: 12 },
+  sliderField: { flexDirection: 'row', alignItems: 'center' },
+  sliderInput: { backgroundColor: '#1e1e1e', color: '#fff', width: 90, padding: 10, borderRadius: 8, textAlign: 'center' },
+  problemText: { color: '#ff6b6b' },
+  itemNumber: { color: '#00c781', fontWeight: 'bold', fontSize: 18, width: 30 },
+  answerImageBtn: { width: 50, height: 50, backgroundColor: '#333', borderRadius: 12, marginLeft: 12, justifyContent: 'center', alignItems: 'center', overflow: 'hidden' },
+  answerImageThumb: { width: '100%', height: '100%' },
+  answerImageIcon: { fontSize: 22 },
+  answerImageRemove: { position: 'absolute', top: -6, right: -6, width: 22, height: 22, backgroundColor: '#c0392b', borderRadius: 11, justifyContent: 'center', alignItems: 'center' },
+  answerImageRemoveText: { color: '#fff', fontSize: 14, fontWeight: 'bold' },
+  mediaSection: { backgroundColor: '#1e1e1e', borderRadius: 16, padding: 16, marginBottom: 20 },
+  mediaHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 },
+  mediaRemoveText: { color: '#ff6b6b', fontWeight: 'bold' },
+  mediaLinkInput: { flex: 0, backgroundColor: '#111', marginBottom: 12 },
+  hotspotBoard: { maxWidth: 600, marginBottom: 16 },
+  regionLabel: { flex: 1, color: '#fff', fontSize: 16 },
   tfBtn: { flex: 1, backgroundColor: '#1e1e1e', padding: 20, borderRadius: 16, alignItems: 'center' },
   tfBtnCorrect: { backgroundColor: '#00c781' },
   tfText: { color: '#fff', fontSize: 20, fontWeight: 'bold' },
@@ -470,8 +1166,9 @@ const styles = StyleSheet.create({
   settingLabel: { color: '#aaa', marginRight: 12 },
   timeInput: { backgroundColor: '#1e1e1e', color: '#fff', width: 60, padding: 10, borderRadius: 8, textAlign: 'center' },
   seconds: { color: '#aaa', marginLeft: 8 },
-  pointsSetting: { flexDirection: 'row', alignItems: 'center' },
+  pointsSetting: { flexDirection: 'row', alignItems: 'center', gap: 8 },
   pointsBtn: { backgroundColor: '#1e1e1e', paddingHorizontal: 20, paddingVertical: 10, borderRadius: 8 },
+  pointsBtnActive: { backgroundColor: '#00c781' },
   pointsText: { color: '#fff' },
   rightSidebar: { width: 400, backgroundColor: '#0d0d0d', padding: 30, borderLeftWidth: 1, borderLeftColor: '#222' },
   summary: { flex: 1 },
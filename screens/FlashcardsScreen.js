@@ -0,0 +1,242 @@
+/**
+ * FlashcardsScreen.js - Study a game's questions as flashcards
+ * Tap to flip → "Know it" / "Don't know" → next card … → round summary
+ * A round starts with the cards due under SM-2 (spacedRepetition.js). Only due cards
+ * move their schedule; going over misses or studying ahead is extra practice, as in SM-2.
+ * Guests can study too, but nothing is saved for them.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Image,
+} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import { buildDeck, fetchStudyProgress, saveCardSchedule } from '../utils/flashcards';
+import { GRADES, reviewSchedule, isDue, getNextDueAt } from '../utils/spacedRepetition';
+import { shuffle } from '../utils/shuffle';
+import RichText from '../components/RichText';
+
+export default function FlashcardsScreen({ navigation, route }) {
+  const { gameId } = route.params;
+
+  const [title, setTitle] = useState('');
+  const [deck, setDeck] = useState(null);
+  const [schedules, setSchedules] = useState({});
+  const [userId, setUserId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // The current round and how it's going
+  const [queue, setQueue] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [isFlipped, setIsFlipped] = useState(false);
+  const [known, setKnown] = useState([]);
+  const [unknown, setUnknown] = useState([]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const gameDoc = await getDoc(doc(db, 'games', gameId));
+        if (!gameDoc.exists()) {
+          setError('Game not found');
+          return;
+        }
+
+        const userToken = await AsyncStorage.getItem('userToken');
+        const cards = buildDeck(gameDoc.data());
+        const progress = userToken ? await fetchStudyProgress(userToken, gameId, cards) : {};
+
+        setTitle(gameDoc.data().title || 'Flashcards');
+        setUserId(userToken);
+        setSchedules(progress);
+        setDeck(cards);
+        startRound(cards.filter(card => isDue(progress[card.id])));
+      } catch (err) {
+        console.error('Failed to load flashcards:', err);
+        setError('Failed to load flashcards');
+      }
+    };
+
+    load();
+  }, [gameId]);
+
+  const startRound = (cards) => {
+    setQueue(cards);
+    setIndex(0);
+    setIsFlipped(false);
+    setKnown([]);
+    setUnknown([]);
+  };
+
+  const handleShuffle = () => {
+    setQueue(prev => [...prev.slice(0, index), ...shuffle(prev.slice(index))]);
+    setIsFlipped(false);
+  };
+
+  const handleGrade = (grade) => {
+    const card = queue[index];
+
+    if (isDue(schedules[card.id])) {
+      const next = reviewSchedule(schedules[card.id], grade);
+      setSchedules(prev => ({ ...prev, [card.id]: next }));
+      if (userId) {
+        saveCardSchedule(userId, gameId, card.id, next)
+          .catch(err => console.warn('Failed to save flashcard progress:', err));
+      }
+    }
+
+    if (grade >= GRADES.KNOW) setKnown(prev => [...prev, card]);
+    else setUnknown(prev => [...prev, card]);
+    setIsFlipped(false);
+    setIndex(prev => prev + 1);
+  };
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.secondaryBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!deck) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+      </View>
+    );
+  }
+
+  const card = queue[index];
+  const nextDueAt = getNextDueAt(deck.map(c => schedules[c.id]));
+
+  const header = (
+    <View style={styles.header}>
+      <TouchableOpacity onPress={() => navigation.goBack()}>
+        <Text style={styles.backText}>← Back</Text>
+      </TouchableOpacity>
+      <Text style={styles.headerText} numberOfLines={1}>{title}</Text>
+      <Text style={styles.headerText}>{card ? `${index + 1} / ${queue.length}` : ''}</Text>
+    </View>
+  );
+
+  if (deck.length === 0) {
+    return (
+      <View style={styles.container}>
+        {header}
+        <View style={styles.centered}>
+          <Text style={styles.subtitle}>This game has no questions with answers to study.</Text>
+        </View>
+      </View>
+    );
+  }
+
+  // End of the round (or nothing was due)
+  if (!card) {
+    const nothingDue = queue.length === 0;
+
+    return (
+      <View style={styles.container}>
+        {header}
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.bigTitle}>{nothingDue ? 'All caught up!' : 'Round complete'}</Text>
+          {!nothingDue && (
+            <Text style={styles.subtitle}>
+              Knew {known.length} • Still learning {unknown.length}
+            </Text>
+          )}
+          {nextDueAt && nextDueAt > Date.now() && (
+            <Text style={styles.subtitle}>Next review: {new Date(nextDueAt).toLocaleString()}</Text>
+          )}
+
+          {unknown.length > 0 && (
+            <TouchableOpacity style={styles.primaryBtn} onPress={() => startRound(unknown)}>
+              <Text style={styles.primaryBtnText}>Go Over the {unknown.length} I Missed</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={[styles.secondaryBtn, styles.spacedBtn]} onPress={() => startRound(deck)}>
+            <Text style={styles.secondaryBtnText}>Study All {deck.length} Cards</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.secondaryBtn, styles.spacedBtn]} onPress={() => navigation.goBack()}>
+            <Text style={styles.secondaryBtnText}>Done</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {header}
+      <ScrollView contentContainerStyle={styles.content}>
+        <TouchableOpacity
+          style={[styles.card, isFlipped && styles.cardFlipped]}
+          onPress={() => setIsFlipped(prev => !prev)}
+          activeOpacity={0.8}
+        >
+          <Text style={styles.cardSide}>{isFlipped ? 'Answer' : 'Question'}</Text>
+          {!isFlipped && card.imageUrl && (
+            <Image source={{ uri: card.imageUrl }} style={styles.cardImage} resizeMode="contain" />
+          )}
+          <RichText text={isFlipped ? card.back : card.front} style={styles.cardText} />
+          <Text style={styles.cardHint}>Tap to flip</Text>
+        </TouchableOpacity>
+
+        {isFlipped ? (
+          <View style={styles.gradeRow}>
+            <TouchableOpacity style={[styles.gradeBtn, styles.dontKnowBtn]} onPress={() => handleGrade(GRADES.DONT_KNOW)}>
+              <Text style={styles.primaryBtnText}>Don't Know</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.gradeBtn, styles.knowBtn]} onPress={() => handleGrade(GRADES.KNOW)}>
+              <Text style={styles.primaryBtnText}>Know It</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <TouchableOpacity style={[styles.secondaryBtn, styles.spacedBtn]} onPress={handleShuffle}>
+            <Text style={styles.secondaryBtnText}>Shuffle Remaining</Text>
+          </TouchableOpacity>
+        )}
+
+        <Text style={styles.pileText}>Knew {known.length} • Still learning {unknown.length}</Text>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#111' },
+  centered: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#111', padding: 20 },
+  errorText: { color: '#ff6b6b', fontSize: 20, marginBottom: 20, textAlign: 'center' },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, backgroundColor: '#0d0d0d', borderBottomWidth: 1, borderBottomColor: '#222' },
+  backText: { color: '#00c781', fontSize: 18, fontWeight: 'bold' },
+  headerText: { color: '#fff', fontSize: 18, fontWeight: 'bold', maxWidth: '50%' },
+  content: { padding: 20, alignItems: 'center', maxWidth: 700, width: '100%', alignSelf: 'center' },
+  card: { width: '100%', minHeight: 280, backgroundColor: '#1e1e1e', borderRadius: 20, padding: 24, borderWidth: 1, borderColor: '#333', justifyContent: 'center', alignItems: 'center' },
+  cardFlipped: { backgroundColor: '#0f2a20', borderColor: '#00c781' },
+  cardSide: { color: '#aaa', fontSize: 14, fontWeight: 'bold', textTransform: 'uppercase', marginBottom: 16 },
+  cardImage: { width: '100%', height: 160, marginBottom: 16 },
+  cardText: { color: '#fff', fontSize: 24, fontWeight: 'bold', textAlign: 'center' },
+  cardHint: { color: '#666', fontSize: 14, marginTop: 20 },
+  gradeRow: { flexDirection: 'row', gap: 12, width: '100%', marginTop: 20 },
+  gradeBtn: { flex: 1, paddingVertical: 16, borderRadius: 16, alignItems: 'center' },
+  dontKnowBtn: { backgroundColor: '#c0392b' },
+  knowBtn: { backgroundColor: '#00c781' },
+  pileText: { color: '#aaa', fontSize: 16, marginTop: 20 },
+  bigTitle: { color: '#fff', fontSize: 32, fontWeight: 'bold', marginBottom: 12, textAlign: 'center' },
+  subtitle: { color: '#aaa', fontSize: 18, marginTop: 8, marginBottom: 12, textAlign: 'center' },
+  primaryBtn: { backgroundColor: '#00c781', paddingVertical: 16, paddingHorizontal: 40, borderRadius: 16, alignItems: 'center', marginTop: 20, width: '100%' },
+  primaryBtnText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  secondaryBtn: { backgroundColor: '#333', paddingVertical: 12, paddingHorizontal: 24, borderRadius: 12, alignItems: 'center' },
+  secondaryBtnText: { color: '#fff', fontSize: 16 },
+  spacedBtn: { marginTop: 12 },
+});
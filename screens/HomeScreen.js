@@ -13,6 +13,7 @@ import AsyncStorage from "@react-native-async-storage/async-storage";
 import { auth, db } from "../firebaseConfig";
 import { doc, getDoc } from "firebase/firestore";
 import { onAuthStateChanged } from "firebase/auth";
+import RejoinPrompt from "../components/RejoinPrompt";
 
 export default function HomeScreen({ navigation }) {
   const [hoveredButton, setHoveredButton] = useState(null);
@@ -206,6 +207,7 @@ export default function HomeScreen({ navigation }) {
       {/* Scrollable Content */}
       <View style={styles.scrollContainer}>
         <View style={styles.hero}>
+          <RejoinPrompt navigation={navigation} />
           <Text style={styles.heroTitle}>Welcome To Brain Board!</Text>
           <Text style={styles.heroSubtitle}>
             A free educational online <Text style={styles.italic}>board game</Text>{" "}
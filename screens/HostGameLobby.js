@@ -0,0 +1,499 @@
+/**
+ * HostGameLobby.js - Waiting room shown to the host after Launch Lobby
+ * Live PIN + roster (with online/offline dots) → Start moves the session from 'lobby' to 'inProgress' → HostGame
+ * Moderation: lock the lobby, hide nicknames, remove or ban players
+ * While open, the lobby keeps its PIN reservation alive; once abandoned it expires
+ * Team mode groups the roster by team
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import {
+  SESSION_STATUS,
+  subscribeToSession,
+  startSession,
+  removePlayer,
+  setSessionLocked,
+  setNamesHidden,
+  refreshLobby,
+  PIN_KEEPALIVE_MS,
+} from '../utils/gameSession';
+import { isSessionExpired } from '../utils/gameEngine';
+import { getTeams } from '../utils/teams';
+import { maskNicknames } from '../utils/nicknames';
+import { useOnlinePlayers } from '../utils/usePresence';
+import PlayerModeration from '../components/PlayerModeration';
+
+export default function HostGameLobby({ navigation, route }) {
+  const { sessionId, gameId, pin } = route.params;
+
+  const [session, setSession] = useState(null);
+  const [gameTitle, setGameTitle] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const [isManaging, setIsManaging] = useState(false);
+  const onlineIds = useOnlinePlayers(sessionId);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSession(
+      sessionId,
+      (data) => {
+        if (data) {
+          setSession(data);
+        } else {
+          setError('This session no longer exists');
+        }
+        setIsLoading(false);
+      },
+      () => {
+        setError('Lost connection to the session');
+        setIsLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [sessionId]);
+
+  useEffect(() => {
+    const fetchGame = async () => {
+      try {
+        const gameDoc = await getDoc(doc(db, 'games', gameId));
+        if (gameDoc.exists()) setGameTitle(gameDoc.data().title || '');
+      } catch (err) {
+        console.warn('Failed to fetch game title:', err);
+      }
+    };
+
+    fetchGame();
+  }, [gameId]);
+
+  const sessionPin = pin || session?.pin;
+  const isOpen = session?.status === SESSION_STATUS.LOBBY;
+
+  // Keep the PIN reserved while the host has the lobby open
+  useEffect(() => {
+    if (!isOpen || !sessionPin) return undefined;
+
+    const keepAlive = () =>
+      refreshLobby(sessionId, sessionPin).catch(err => console.warn('Failed to refresh lobby:', err));
+
+    keepAlive();
+    const interval = setInterval(keepAlive, PIN_KEEPALIVE_MS);
+    return () => clearInterval(interval);
+  }, [isOpen, sessionId, sessionPin]);
+
+  // Once started, hand over to the in-game host view
+  useEffect(() => {
+    if (session?.status === SESSION_STATUS.IN_PROGRESS) {
+      navigation.replace('HostGame', { sessionId, gameId });
+    }
+  }, [session?.status, navigation, sessionId, gameId]);
+
+  const players = maskNicknames(session?.players || [], session?.namesHidden);
+
+  const handleStart = async () => {
+    if (players.length === 0 || isStarting) return;
+
+    setIsStarting(true);
+    try {
+      await startSession(sessionId, sessionPin);
+    } catch (err) {
+      console.error('Failed to start game:', err);
+      alert(err.code ? err.message : 'Failed to start the game. Please try again.');
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleToggleLock = async () => {
+    try {
+      await setSessionLocked(sessionId, !session.locked);
+    } catch (err) {
+      console.error('Failed to lock lobby:', err);
+      alert('Failed to update the lobby. Please try again.');
+    }
+  };
+
+  const handleToggleNames = async () => {
+    try {
+      await setNamesHidden(sessionId, !session.namesHidden);
+    } catch (err) {
+      console.error('Failed to hide names:', err);
+      alert('Failed to update the lobby. Please try again.');
+    }
+  };
+
+  const handleRemove = async (player, { ban }) => {
+    try {
+      await removePlayer(sessionId, player.id, { ban });
+    } catch (err) {
+      console.error('Failed to remove player:', err);
+      alert(`Failed to remove ${player.nickname}. Please try again.`);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+        <Text style={styles.loadingText}>Opening lobby...</Text>
+      </View>
+    );
+  }
+
+  if (error || !session) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error || 'Session not found'}</Text>
+        <TouchableOpacity style={styles.backBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.backBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (isSessionExpired(session)) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>This lobby expired</Text>
+        <Text style={styles.loadingText}>Its PIN was released. Launch a new lobby to host this game.</Text>
+        <TouchableOpacity style={[styles.backBtn, { marginTop: 20 }]} onPress={() => navigation.goBack()}>
+          <Text style={styles.backBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const hasStarted = session.status !== SESSION_STATUS.LOBBY;
+  const teams = getTeams(session.settings);
+  const unassigned = players.filter(p => !teams.some(t => t.id === p.team));
+
+  const renderPlayerChip = (player) => {
+    const online = onlineIds.has(player.id);
+    return (
+      <View key={player.id} style={[styles.playerChip, !online && styles.playerChipOffline]}>
+        <View style={[styles.presenceDot, online && styles.presenceDotOnline]} />
+        <Text style={styles.playerName} numberOfLines={1}>{player.nickname}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>{gameTitle || 'Game Lobby'}</Text>
+        <View style={{ width: 60 }} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* PIN */}
+        <View style={styles.pinCard}>
+          <Text style={styles.pinLabel}>Join with Game PIN</Text>
+          <Text style={styles.pinText}>{sessionPin}</Text>
+          {session.locked && (
+            <Text style={styles.lockedText}>🔒 Lobby locked: no new players can join</Text>
+          )}
+        </View>
+
+        {/* Roster */}
+        <View style={styles.rosterCard}>
+          <View style={styles.rosterHeader}>
+            <Text style={styles.sectionTitle}>Players</Text>
+            <View style={styles.countBadge}>
+              <Text style={styles.countText}>{players.length}</Text>
+            </View>
+            <View style={styles.rosterActions}>
+              <TouchableOpacity style={styles.rosterBtn} onPress={() => setIsManaging(prev => !prev)}>
+                <Text style={styles.rosterBtnText}>{isManaging ? 'Done' : 'Manage'}</Text>
+              </TouchableOpacity>
+              {!hasStarted && (
+                <TouchableOpacity
+                  style={[styles.rosterBtn, session.locked && styles.rosterBtnActive]}
+                  onPress={handleToggleLock}
+                >
+                  <Text style={styles.rosterBtnText}>{session.locked ? 'Unlock' : 'Lock'}</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[styles.rosterBtn, session.namesHidden && styles.rosterBtnActive]}
+                onPress={handleToggleNames}
+              >
+                <Text style={styles.rosterBtnText}>{session.namesHidden ? 'Show Names' : 'Hide Names'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {isManaging ? (
+            <PlayerModeration players={players} onlineIds={onlineIds} onRemove={handleRemove} />
+          ) : players.length === 0 ? (
+            <Text style={styles.emptyText}>Waiting for players to join...</Text>
+          ) : teams.length > 0 ? (
+            <>
+              {teams.map((team) => {
+                const members = players.filter(p => p.team === team.id);
+                return (
+                  <View key={team.id} style={[styles.teamGroup, { borderLeftColor: team.color }]}>
+                    <Text style={[styles.teamName, { color: team.color }]}>
+                      {team.name} ({members.length})
+                    </Text>
+                    <View style={styles.playerGrid}>{members.map(renderPlayerChip)}</View>
+                  </View>
+                );
+              })}
+              {unassigned.length > 0 && (
+                <View style={[styles.teamGroup, { borderLeftColor: '#666' }]}>
+                  <Text style={styles.teamName}>Choosing a team ({unassigned.length})</Text>
+                  <View style={styles.playerGrid}>{unassigned.map(renderPlayerChip)}</View>
+                </View>
+              )}
+            </>
+          ) : (
+            <View style={styles.playerGrid}>{players.map(renderPlayerChip)}</View>
+          )}
+        </View>
+
+        {/* Start Button */}
+        {hasStarted ? (
+          <Text style={styles.startedText}>Game in progress</Text>
+        ) : (
+          <TouchableOpacity
+            style={[styles.startButton, players.length === 0 && styles.startButtonDisabled]}
+            onPress={handleStart}
+            disabled={players.length === 0 || isStarting}
+          >
+            {isStarting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.startText}>Start Game</Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#111',
+  },
+  loadingText: {
+    color: '#fff',
+    marginTop: 20,
+    fontSize: 18,
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 20,
+    marginBottom: 20,
+  },
+  backBtn: {
+    backgroundColor: '#333',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+  },
+  backBtnText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: '#0d0d0d',
+    borderBottomWidth: 1,
+    borderBottomColor: '#222',
+  },
+  backText: {
+    color: '#00c781',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+    textAlign: 'center',
+  },
+  content: {
+    padding: 30,
+    alignItems: 'center',
+  },
+  pinCard: {
+    backgroundColor: '#1e1e1e',
+    borderRadius: 20,
+    paddingVertical: 30,
+    paddingHorizontal: 40,
+    width: '100%',
+    maxWidth: 700,
+    alignItems: 'center',
+    marginBottom: 30,
+    borderWidth: 2,
+    borderColor: '#00c781',
+  },
+  pinLabel: {
+    fontSize: 20,
+    color: '#aaa',
+    marginBottom: 8,
+  },
+  pinText: {
+    fontSize: 96,
+    fontWeight: 'bold',
+    color: '#fff',
+    letterSpacing: 12,
+  },
+  lockedText: {
+    color: '#ff9f43',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginTop: 8,
+  },
+  rosterCard: {
+    backgroundColor: '#1e1e1e',
+    borderRadius: 20,
+    padding: 24,
+    width: '100%',
+    maxWidth: 700,
+    marginBottom: 30,
+    borderWidth: 1,
+    borderColor: '#333',
+  },
+  rosterHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  countBadge: {
+    backgroundColor: '#00c781',
+    borderRadius: 14,
+    minWidth: 28,
+    paddingHorizontal: 10,
+    paddingVertical: 2,
+    marginLeft: 12,
+    alignItems: 'center',
+  },
+  countText: {
+    color: '#fff',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  rosterActions: {
+    flexDirection: 'row',
+    marginLeft: 'auto',
+    gap: 8,
+  },
+  rosterBtn: {
+    backgroundColor: '#333',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+  },
+  rosterBtnActive: {
+    backgroundColor: '#ff9f43',
+  },
+  rosterBtnText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    color: '#666',
+    fontSize: 16,
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  playerGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  teamGroup: {
+    borderLeftWidth: 4,
+    paddingLeft: 12,
+    marginBottom: 16,
+  },
+  teamName: {
+    color: '#aaa',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 10,
+  },
+  playerChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2a2a2a',
+    borderRadius: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    maxWidth: 200,
+  },
+  playerChipOffline: {
+    opacity: 0.5,
+  },
+  presenceDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#666',
+    marginRight: 8,
+  },
+  presenceDotOnline: {
+    backgroundColor: '#00c781',
+  },
+  playerName: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  startButton: {
+    backgroundColor: '#00c781',
+    paddingVertical: 20,
+    paddingHorizontal: 40,
+    borderRadius: 16,
+    alignItems: 'center',
+    width: '100%',
+    maxWidth: 700,
+  },
+  startButtonDisabled: {
+    opacity: 0.5,
+  },
+  startText: {
+    color: '#fff',
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  startedText: {
+    color: '#00c781',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
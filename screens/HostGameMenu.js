@@ -1,6 +1,7 @@
 /**
  * HostGameMenu.js - Intermediary screen before launching the lobby
- * Review game → optional settings → Launch Lobby
+ * Review game → optional settings (incl. team mode) → Launch Lobby
+ * …or set it as self-paced homework with an open and close date
  */
 
 import React, { useState, useEffect } from 'react';
@@ -11,10 +12,18 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   ScrollView,
+  Image,
   Switch,
 } from 'react-native';
-import { db, auth } from '../firebaseConfig';
-import { doc, getDoc, addDoc, collection, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import { createSession } from '../utils/gameSession';
+import { DEFAULT_ASSIGNMENT_DAYS, createAssignment, getAssignmentErrorMessage } from '../utils/assignments';
+import { NICKNAME_MODES } from '../utils/nicknames';
+import { TEAM_ASSIGNMENT, TEAM_COUNTS } from '../utils/teams';
+import DateTimeField from '../components/DateTimeField';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export default function HostGameMenu({ navigation, route }) {
   const { gameId } = route.params;
@@ -23,6 +32,16 @@ export default function HostGameMenu({ navigation, route }) {
   const [isLoading, setIsLoading] = useState(true);
   const [timeMultiplier, setTimeMultiplier] = useState(1); // 0.5x, 1x, 1.5x, 2x
   const [showAnswersAfter, setShowAnswersAfter] = useState(true);
+  const [friendlyNames, setFriendlyNames] = useState(false);
+  const [teamMode, setTeamMode] = useState(false);
+  const [teamCount, setTeamCount] = useState(2);
+  const [teamAssignment, setTeamAssignment] = useState(TEAM_ASSIGNMENT.AUTO);
+  const [shuffleQuestions, setShuffleQuestions] = useState(false);
+  const [shuffleAnswers, setShuffleAnswers] = useState(false);
+  const [openAt, setOpenAt] = useState(() => Date.now());
+  const [closeAt, setCloseAt] = useState(() => Date.now() + DEFAULT_ASSIGNMENT_DAYS * DAY_MS);
+  const [isAssigning, setIsAssigning] = useState(false);
+  const [assigned, setAssigned] = useState(null); // { pin, closeAt } once created
   const [error, setError] = useState(null);
 
   useEffect(() => {
@@ -49,33 +68,47 @@ export default function HostGameMenu({ navigation, route }) {
     if (!game) return;
 
     try {
-      // Generate a simple 6-digit PIN (you can make it more unique later)
-      const pin = Math.floor(100000 + Math.random() * 900000).toString();
-
-      // Create a new game session
-      const sessionRef = await addDoc(collection(db, 'gameSessions'), {
-        gameId,
-        hostId: auth.currentUser.uid,
-        pin,
-        status: 'lobby',
-        players: [],
-        currentQuestionIndex: 0,
-        settings: {
-          timeMultiplier,
-          showAnswersAfter,
-        },
-        createdAt: serverTimestamp(),
-      });
+      // Reserves a PIN no other active session is using
+      const { sessionId, pin } = await createSession(gameId, {
+        timeMultiplier,
+        showAnswersAfter,
+        nicknameMode: friendlyNames ? NICKNAME_MODES.GENERATED : NICKNAME_MODES.CUSTOM,
+        teamCount: teamMode ? teamCount : 0,
+        teamAssignment,
+        shuffleQuestions,
+        shuffleAnswers,
+      }, game.questions || []);
 
       // Navigate to the actual lobby screen
       navigation.navigate('HostGameLobby', {
-        sessionId: sessionRef.id,
+        sessionId,
         gameId,
         pin,
       });
     } catch (err) {
       console.error('Failed to launch lobby:', err);
-      alert('Failed to start hosting. Please try again.');
+      alert(err.code === 'session/no-pin' ? err.message : 'Failed to start hosting. Please try again.');
+    }
+  };
+
+  // Team mode and nicknames only apply to live games; students play homework under their username
+  const assignHomework = async () => {
+    if (!game || isAssigning) return;
+
+    setIsAssigning(true);
+    try {
+      const { pin } = await createAssignment(gameId, {
+        timeMultiplier,
+        showAnswersAfter,
+        shuffleQuestions,
+        shuffleAnswers,
+      }, openAt, closeAt, game.questions || []);
+      setAssigned({ pin, closeAt });
+    } catch (err) {
+      console.error('Failed to assign homework:', err);
+      alert(getAssignmentErrorMessage(err));
+    } finally {
+      setIsAssigning(false);
     }
   };
 
@@ -114,7 +147,11 @@ export default function HostGameMenu({ navigation, route }) {
         {/* Game Overview */}
         <View style={styles.gameCard}>
           <View style={styles.gameCover}>
-            <Text style={{ fontSize: 60 }}>🎯</Text>
+            {game.coverThumbnail || game.coverImage ? (
+              <Image source={{ uri: game.coverThumbnail || game.coverImage }} style={styles.gameCoverImage} resizeMode="cover" />
+            ) : (
+              <Text style={{ fontSize: 60 }}>🎯</Text>
+            )}
           </View>
           <Text style={styles.gameTitle}>{game.title}</Text>
           <Text style={styles.gameInfo}>
@@ -153,6 +190,83 @@ export default function HostGameMenu({ navigation, route }) {
               thumbColor={showAnswersAfter ? '#fff' : '#ccc'}
             />
           </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Shuffle question order</Text>
+            <Switch
+              value={shuffleQuestions}
+              onValueChange={setShuffleQuestions}
+              trackColor={{ false: '#333', true: '#00c781' }}
+              thumbColor={shuffleQuestions ? '#fff' : '#ccc'}
+            />
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Shuffle answer order for each player</Text>
+            <Switch
+              value={shuffleAnswers}
+              onValueChange={setShuffleAnswers}
+              trackColor={{ false: '#333', true: '#00c781' }}
+              thumbColor={shuffleAnswers ? '#fff' : '#ccc'}
+            />
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Assign friendly nicknames (e.g. "Brave Falcon")</Text>
+            <Switch
+              value={friendlyNames}
+              onValueChange={setFriendlyNames}
+              trackColor={{ false: '#333', true: '#00c781' }}
+              thumbColor={friendlyNames ? '#fff' : '#ccc'}
+            />
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={styles.settingLabel}>Team mode</Text>
+            <Switch
+              value={teamMode}
+              onValueChange={setTeamMode}
+              trackColor={{ false: '#333', true: '#00c781' }}
+              thumbColor={teamMode ? '#fff' : '#ccc'}
+            />
+          </View>
+
+          {teamMode && (
+            <>
+              <View style={styles.settingRow}>
+                <Text style={styles.settingLabel}>Number of teams</Text>
+                <View style={styles.multiplierButtons}>
+                  {TEAM_COUNTS.map((count) => (
+                    <TouchableOpacity
+                      key={count}
+                      style={[styles.multiplierBtn, teamCount === count && styles.multiplierBtnActive]}
+                      onPress={() => setTeamCount(count)}
+                    >
+                      <Text style={styles.multiplierText}>{count}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+
+              <View style={styles.settingRow}>
+                <Text style={styles.settingLabel}>Team selection</Text>
+                <View style={styles.multiplierButtons}>
+                  {[
+                    { value: TEAM_ASSIGNMENT.AUTO, label: 'Auto-assign' },
+                    { value: TEAM_ASSIGNMENT.CHOOSE, label: 'Players choose' },
+                  ].map(({ value, label }) => (
+                    <TouchableOpacity
+                      key={value}
+                      style={[styles.multiplierBtn, teamAssignment === value && styles.multiplierBtnActive]}
+                      onPress={() => setTeamAssignment(value)}
+                    >
+                      <Text style={styles.multiplierText}>{label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            </>
+          )}
         </View>
 
         {/* Launch Button */}
@@ -160,6 +274,41 @@ export default function HostGameMenu({ navigation, route }) {
           <Text style={styles.launchText}>Launch Lobby</Text>
           <Text style={styles.launchSubtext}>Students will join with a PIN</Text>
         </TouchableOpacity>
+
+        {/* Homework */}
+        <View style={[styles.settingsCard, styles.homeworkCard]}>
+          <Text style={styles.sectionTitle}>Assign as Homework</Text>
+          <Text style={styles.homeworkHint}>
+            Students play on their own from their dashboard. Results show up in Reports.
+          </Text>
+
+          {assigned ? (
+            <View style={styles.assignedBox}>
+              <Text style={styles.assignedLabel}>Homework code</Text>
+              <Text style={styles.assignedCode}>{assigned.pin}</Text>
+              <Text style={styles.homeworkHint}>
+                Open until {new Date(assigned.closeAt).toLocaleString()}
+              </Text>
+              <TouchableOpacity style={styles.backBtn} onPress={() => setAssigned(null)}>
+                <Text style={styles.backBtnText}>Assign Again</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <>
+              <DateTimeField label="Opens" value={openAt} onChange={setOpenAt} />
+              <DateTimeField label="Closes" value={closeAt} onChange={setCloseAt} minimumDate={new Date(openAt)} />
+              <TouchableOpacity
+                style={[styles.multiplierBtn, styles.multiplierBtnActive, styles.assignBtn]}
+                onPress={assignHomework}
+                disabled={isAssigning}
+              >
+                {isAssigning
+                  ? <ActivityIndicator color="#fff" />
+                  : <Text style={styles.multiplierText}>Assign Homework</Text>}
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
       </ScrollView>
     </View>
   );
@@ -244,6 +393,11 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
     marginBottom: 16,
+    overflow: 'hidden',
+  },
+  gameCoverImage: {
+    width: '100%',
+    height: '100%',
   },
   gameTitle: {
     fontSize: 28,
@@ -324,4 +478,29 @@ const styles = StyleSheet.create({
     opacity: 0.8,
     marginTop: 4,
   },
+  homeworkCard: {
+    marginTop: 30,
+  },
+  homeworkHint: {
+    fontSize: 14,
+    color: '#aaa',
+    marginBottom: 20,
+  },
+  assignBtn: {
+    alignItems: 'center',
+  },
+  assignedBox: {
+    alignItems: 'center',
+  },
+  assignedLabel: {
+    fontSize: 16,
+    color: '#ddd',
+  },
+  assignedCode: {
+    fontSize: 40,
+    fontWeight: 'bold',
+    color: '#00c781',
+    letterSpacing: 4,
+    marginVertical: 8,
+  },
 });
\ No newline at end of file
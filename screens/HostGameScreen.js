@@ -0,0 +1,477 @@
+/**
+ * HostGameScreen.js - Host view of a live session
+ * Drives the phase state machine in utils/gameEngine.js: timers and the Next
+ * button write the session doc, every player device follows it.
+ * A presence bar under the header shows which players have dropped; the host can
+ * pause the timers, hide nicknames and remove or ban players mid-game.
+ * In team mode the leaderboard and podium rank teams, with top players underneath.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Image,
+} from 'react-native';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import {
+  SESSION_STATUS,
+  subscribeToSession,
+  subscribeToAnswers,
+  advanceSession,
+  closeAnswering,
+  setNamesHidden,
+  removePlayer,
+  releasePin,
+} from '../utils/gameSession';
+import {
+  PHASES,
+  QUESTION_INTRO_MS,
+  getAnswerTimeMs,
+  getAnswerOptions,
+  getAnswerImages,
+  getCorrectIndices,
+  getQuestionIndex,
+  getSessionQuestions,
+  getNextPhaseUpdates,
+  getFinishUpdates,
+  getPauseUpdates,
+  getResumeUpdates,
+} from '../utils/gameEngine';
+import { applyQuestionScores } from '../utils/scoring';
+import {
+  QUESTION_TYPES,
+  isTypeAnswer,
+  isOrdering,
+  isSlider,
+  isHotspot,
+  isPoll,
+  isScored,
+  countScoredQuestions,
+} from '../utils/questionTypes';
+import { groupTypedAnswers } from '../utils/answerMatching';
+import { getStartingOrder, countInPlace } from '../utils/ordering';
+import { range } from '../utils/shuffle';
+import { formatSliderValue } from '../utils/slider';
+import { isValidPoint } from '../utils/hotspot';
+import { assignRanks, toLeaderboardEntries } from '../utils/leaderboard';
+import { recordSessionHistory } from '../utils/gameHistory';
+import { isTeamMode, toTeamLeaderboardEntries } from '../utils/teams';
+import { maskNicknames } from '../utils/nicknames';
+import useCountdown from '../utils/useCountdown';
+import { useOnlinePlayers } from '../utils/usePresence';
+import AnswerGrid from '../components/AnswerGrid';
+import RichText from '../components/RichText';
+import QuestionMedia from '../components/QuestionMedia';
+import { TypedAnswerResult } from '../components/TypeAnswerInput';
+import OrderingList from '../components/OrderingList';
+import { SliderResult } from '../components/SliderInput';
+import { HotspotImage, HotspotResult } from '../components/HotspotInput';
+import PollChart from '../components/PollChart';
+import WordCloud from '../components/WordCloud';
+import Leaderboard from '../components/Leaderboard';
+import Podium from '../components/Podium';
+import PresenceBar from '../components/PresenceBar';
+import PlayerModeration from '../components/PlayerModeration';
+
+export default function HostGameScreen({ navigation, route }) {
+  const { sessionId, gameId } = route.params;
+
+  const [session, setSession] = useState(null);
+  const [game, setGame] = useState(null);
+  const [answers, setAnswers] = useState([]);
+  const [error, setError] = useState(null);
+  const [isManaging, setIsManaging] = useState(false);
+  const onlineIds = useOnlinePlayers(sessionId);
+
+  // Latest session for timer callbacks + the phase we've already advanced from
+  const sessionRef = useRef(null);
+  const advancedFromRef = useRef(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSession(
+      sessionId,
+      (data) => {
+        if (!data) setError('This session no longer exists');
+        sessionRef.current = data;
+        setSession(data);
+      },
+      () => setError('Lost connection to the session')
+    );
+
+    return () => unsubscribe();
+  }, [sessionId]);
+
+  useEffect(() => {
+    const fetchGame = async () => {
+      try {
+        const gameDoc = await getDoc(doc(db, 'games', gameId));
+        if (gameDoc.exists()) {
+          setGame(gameDoc.data());
+        } else {
+          setError('Game not found');
+        }
+      } catch (err) {
+        console.error('Error fetching game:', err);
+        setError('Failed to load game');
+      }
+    };
+
+    fetchGame();
+  }, [gameId]);
+
+  // Play position vs. index into the game's questions (they differ when shuffled)
+  const position = session?.currentQuestionIndex || 0;
+  const questionIndex = getQuestionIndex(session);
+
+  useEffect(() => {
+    setAnswers([]);
+    const unsubscribe = subscribeToAnswers(sessionId, questionIndex, setAnswers);
+    return () => unsubscribe();
+  }, [sessionId, questionIndex]);
+
+  const questions = getSessionQuestions(session, game);
+  const question = questions[questionIndex];
+  const players = maskNicknames(session?.players || [], session?.namesHidden);
+
+  const advance = useCallback(async () => {
+    const current = sessionRef.current;
+    if (!current || current.status !== SESSION_STATUS.IN_PROGRESS || current.paused || !questions.length) return;
+
+    // Timers, "everyone answered" and the Next button can all fire for the same phase
+    const key = `${current.currentQuestionIndex}:${current.phase}`;
+    if (advancedFromRef.current === key) return;
+    advancedFromRef.current = key;
+
+    const updates = getNextPhaseUpdates(current, questions.length);
+    try {
+      if (current.phase === PHASES.ANSWERING) {
+        // Leaving the answer window is when the question gets scored, from the
+        // answers saved by then rather than whatever the listener has seen
+        const questionIndex = getQuestionIndex(current);
+        const closing = questions[questionIndex];
+        const timeLimitMs = getAnswerTimeMs(closing, current.settings);
+        await closeAnswering(sessionId, updates, questionIndex, (players, answers) =>
+          assignRanks(applyQuestionScores(players, closing, answers, timeLimitMs))
+        );
+      } else {
+        await advanceSession(sessionId, updates);
+      }
+    } catch (err) {
+      console.error('Failed to advance game:', err);
+      advancedFromRef.current = null;
+      alert('Failed to move to the next step. Please try again.');
+    }
+  }, [sessionId, questions]);
+
+  // Auto-advance out of the timed phases
+  const answerTimeMs = getAnswerTimeMs(question, session?.settings);
+  const phase = session?.phase;
+  const phaseStartedAt = session?.phaseStartedAt;
+  const paused = !!session?.paused;
+  const pausedAt = paused ? session.pausedAt : null;
+
+  useEffect(() => {
+    if (!game || !phaseStartedAt || paused) return undefined;
+
+    let duration = null;
+    if (phase === PHASES.QUESTION) duration = QUESTION_INTRO_MS;
+    if (phase === PHASES.ANSWERING) duration = answerTimeMs;
+    if (duration === null) return undefined;
+
+    const timeout = setTimeout(advance, Math.max(0, phaseStartedAt + duration - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [game, phase, phaseStartedAt, paused, answerTimeMs, advance]);
+
+  // Removed players' answers stay in the subcollection but no longer count
+  const rosterAnswers = answers.filter(a => players.some(p => p.id === a.playerId));
+  const answeredCount = rosterAnswers.length;
+
+  // Close answering early once every player has answered
+  useEffect(() => {
+    if (phase === PHASES.ANSWERING && players.length > 0 && answeredCount >= players.length) {
+      advance();
+    }
+  }, [phase, answeredCount, players.length, advance]);
+
+  // Finished sessions land in every signed-in player's gameHistory (Recent tab)
+  const historyRecordedRef = useRef(false);
+  useEffect(() => {
+    if (session?.status !== SESSION_STATUS.FINISHED || !game || historyRecordedRef.current) return;
+    historyRecordedRef.current = true;
+
+    recordSessionHistory(session, countScoredQuestions(getSessionQuestions(session, game))).catch((err) => {
+      console.error('Failed to record game history:', err);
+      historyRecordedRef.current = false;
+    });
+  }, [session, game]);
+
+  // Finished games give their PIN back for other sessions
+  const isFinished = session?.status === SESSION_STATUS.FINISHED;
+  const sessionPin = session?.pin;
+  useEffect(() => {
+    if (!isFinished || !sessionPin) return;
+    releasePin(sessionId, sessionPin).catch(err => console.warn('Failed to release PIN:', err));
+  }, [isFinished, sessionId, sessionPin]);
+
+  const introSecondsLeft = useCountdown(phase === PHASES.QUESTION ? QUESTION_INTRO_MS : 0, phaseStartedAt, pausedAt);
+  const answerSecondsLeft = useCountdown(phase === PHASES.ANSWERING ? answerTimeMs : 0, phaseStartedAt, pausedAt);
+
+  const handleTogglePause = async () => {
+    const current = sessionRef.current;
+    if (!current) return;
+
+    try {
+      await advanceSession(sessionId, current.paused ? getResumeUpdates(current) : getPauseUpdates());
+    } catch (err) {
+      console.error('Failed to pause game:', err);
+      alert('Failed to pause the game. Please try again.');
+    }
+  };
+
+  const handleToggleNames = async () => {
+    try {
+      await setNamesHidden(sessionId, !session.namesHidden);
+    } catch (err) {
+      console.error('Failed to hide names:', err);
+      alert('Failed to update the game. Please try again.');
+    }
+  };
+
+  const handleRemove = async (player, { ban }) => {
+    try {
+      await removePlayer(sessionId, player.id, { ban });
+    } catch (err) {
+      console.error('Failed to remove player:', err);
+      alert(`Failed to remove ${player.nickname}. Please try again.`);
+    }
+  };
+
+  const handleEndGame = async () => {
+    try {
+      await advanceSession(sessionId, getFinishUpdates());
+    } catch (err) {
+      console.error('Failed to end game:', err);
+      alert('Failed to end the game. Please try again.');
+    }
+  };
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.secondaryBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!session || !game) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+      </View>
+    );
+  }
+
+  const teamMode = isTeamMode(session.settings);
+
+  if (session.status === SESSION_STATUS.FINISHED) {
+    return (
+      <View style={styles.centered}>
+        {teamMode ? (
+          <>
+            <Podium title={game.title} entries={toTeamLeaderboardEntries(players, session.settings)} />
+            <View style={styles.topPlayers}>
+              <Leaderboard title="Top Players" entries={toLeaderboardEntries(players)} limit={3} />
+            </View>
+          </>
+        ) : (
+          <Podium title={game.title} entries={toLeaderboardEntries(players)} />
+        )}
+        <TouchableOpacity style={styles.primaryBtn} onPress={() => navigation.navigate('TeacherDashboard')}>
+          <Text style={styles.primaryBtnText}>Back to Dashboard</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const options = getAnswerOptions(question);
+  const images = getAnswerImages(question);
+  const counts = options.map((_, i) => rosterAnswers.filter(a => (a.selected || []).includes(i)).length);
+  const isLastQuestion = position + 1 >= questions.length;
+  // Polls and word clouds have no right answer; their results build up live
+  let liveResults = null;
+  if (isPoll(question)) liveResults = <PollChart options={options} images={images} counts={counts} />;
+  else if (!isScored(question)) liveResults = <WordCloud words={groupTypedAnswers(question, rosterAnswers)} />;
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.headerText}>
+          Question {position + 1} / {questions.length}
+        </Text>
+        <Text style={styles.headerText}>PIN {session.pin}</Text>
+        <View style={styles.headerActions}>
+          <TouchableOpacity onPress={() => setIsManaging(prev => !prev)}>
+            <Text style={styles.headerLink}>{isManaging ? 'Hide Players' : 'Players'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleTogglePause}>
+            <Text style={styles.headerLink}>{paused ? 'Resume' : 'Pause'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleToggleNames}>
+            <Text style={styles.headerLink}>{session.namesHidden ? 'Show Names' : 'Hide Names'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={handleEndGame}>
+            <Text style={styles.endText}>End Game</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+      <PresenceBar players={players} onlineIds={onlineIds} />
+      {paused && (
+        <View style={styles.pausedBanner}>
+          <Text style={styles.pausedText}>Game paused</Text>
+        </View>
+      )}
+      {isManaging && (
+        <View style={styles.managePanel}>
+          <PlayerModeration players={players} onlineIds={onlineIds} onRemove={handleRemove} />
+        </View>
+      )}
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {phase !== PHASES.LEADERBOARD && (
+          <>
+            <RichText text={question?.question} style={styles.questionText} />
+            {question?.imageUrl && !isHotspot(question) && (
+              <Image source={{ uri: question.imageUrl }} style={styles.questionImage} resizeMode="contain" />
+            )}
+            <QuestionMedia media={question?.media} />
+          </>
+        )}
+
+        {phase === PHASES.QUESTION && (
+          <Text style={styles.getReady}>Get ready... {introSecondsLeft}</Text>
+        )}
+
+        {phase === PHASES.ANSWERING && (
+          <>
+            <View style={styles.statusRow}>
+              <View style={styles.timerCircle}>
+                <Text style={styles.timerText}>{answerSecondsLeft}</Text>
+              </View>
+              <Text style={styles.answeredText}>
+                {answeredCount} / {players.length} answered
+              </Text>
+              <TouchableOpacity style={styles.secondaryBtn} onPress={advance}>
+                <Text style={styles.secondaryBtnText}>Skip</Text>
+              </TouchableOpacity>
+            </View>
+            {!isScored(question) ? (
+              liveResults
+            ) : isTypeAnswer(question) ? (
+              <Text style={styles.hintText}>Players are typing their answers</Text>
+            ) : isOrdering(question) ? (
+              <OrderingList items={question.items} order={getStartingOrder(question, `${sessionId}:${questionIndex}`)} />
+            ) : isSlider(question) ? (
+              <Text style={styles.hintText}>
+                Players pick a value from {formatSliderValue(question, question.min)} to {formatSliderValue(question, question.max)}
+              </Text>
+            ) : isHotspot(question) ? (
+              <HotspotImage question={question} />
+            ) : (
+              <AnswerGrid options={options} images={images} />
+            )}
+            {session.settings?.shuffleAnswers && question?.type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+              <Text style={styles.hintText}>Answers are in a different order on each player's device</Text>
+            )}
+          </>
+        )}
+
+        {phase === PHASES.REVEAL && (
+          <>
+            {!isScored(question) ? (
+              liveResults
+            ) : isTypeAnswer(question) ? (
+              <TypedAnswerResult question={question} groups={groupTypedAnswers(question, rosterAnswers)} />
+            ) : isOrdering(question) ? (
+              <>
+                <OrderingList items={question.items} order={range(question.items.length)} showCorrect />
+                <Text style={styles.hintText}>
+                  {rosterAnswers.filter(a => countInPlace(a.order) === question.items.length).length} of {players.length} got the whole order right
+                </Text>
+              </>
+            ) : isSlider(question) ? (
+              <SliderResult question={question} values={rosterAnswers.map(a => a.value).filter(v => typeof v === 'number')} />
+            ) : isHotspot(question) ? (
+              <HotspotResult question={question} points={rosterAnswers.map(a => a.point).filter(isValidPoint)} />
+            ) : (
+              <AnswerGrid options={options} images={images} correctIndices={getCorrectIndices(question)} counts={counts} />
+            )}
+            <TouchableOpacity style={styles.primaryBtn} onPress={advance}>
+              <Text style={styles.primaryBtnText}>Next</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        {phase === PHASES.LEADERBOARD && (
+          <View style={styles.centeredBlock}>
+            {teamMode ? (
+              <>
+                <Leaderboard
+                  key={`teams-${questionIndex}`}
+                  title="Team Standings"
+                  entries={toTeamLeaderboardEntries(players, session.settings)}
+                />
+                <View style={styles.topPlayers}>
+                  <Leaderboard key={questionIndex} title="Top Players" entries={toLeaderboardEntries(players)} limit={3} />
+                </View>
+              </>
+            ) : (
+              <Leaderboard key={questionIndex} entries={toLeaderboardEntries(players)} />
+            )}
+            <TouchableOpacity style={styles.primaryBtn} onPress={advance}>
+              <Text style={styles.primaryBtnText}>{isLastQuestion ? 'Finish Game' : 'Next Question'}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#111' },
+  centered: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#111', padding: 20 },
+  centeredBlock: { alignItems: 'center', width: '100%', paddingVertical: 40 },
+  errorText: { color: '#ff6b6b', fontSize: 20, marginBottom: 20 },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, backgroundColor: '#0d0d0d', borderBottomWidth: 1, borderBottomColor: '#222' },
+  headerText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  endText: { color: '#ff6b6b', fontSize: 16, fontWeight: 'bold' },
+  headerActions: { flexDirection: 'row', alignItems: 'center', gap: 20 },
+  headerLink: { color: '#00c781', fontSize: 16, fontWeight: 'bold' },
+  pausedBanner: { backgroundColor: '#ff9f43', paddingVertical: 10, alignItems: 'center' },
+  pausedText: { color: '#111', fontSize: 18, fontWeight: 'bold' },
+  managePanel: { backgroundColor: '#1e1e1e', paddingHorizontal: 20, paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#222' },
+  content: { padding: 30, alignItems: 'center', maxWidth: 1000, width: '100%', alignSelf: 'center' },
+  questionText: { color: '#fff', fontSize: 36, fontWeight: 'bold', textAlign: 'center', marginBottom: 24 },
+  questionImage: { width: '100%', height: 280, borderRadius: 16, marginBottom: 24 },
+  getReady: { color: '#00c781', fontSize: 28, fontWeight: 'bold', marginTop: 20 },
+  statusRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', width: '100%', marginBottom: 24 },
+  timerCircle: { width: 80, height: 80, borderRadius: 40, backgroundColor: '#00c781', justifyContent: 'center', alignItems: 'center' },
+  timerText: { color: '#fff', fontSize: 32, fontWeight: 'bold' },
+  answeredText: { color: '#ccc', fontSize: 20, fontWeight: 'bold' },
+  hintText: { color: '#aaa', fontSize: 14, marginTop: 12, textAlign: 'center' },
+  topPlayers: { width: '100%', marginTop: 30 },
+  primaryBtn: { backgroundColor: '#00c781', paddingVertical: 16, paddingHorizontal: 40, borderRadius: 16, alignItems: 'center', marginTop: 30 },
+  primaryBtnText: { color: '#fff', fontSize: 20, fontWeight: 'bold' },
+  secondaryBtn: { backgroundColor: '#333', paddingVertical: 12, paddingHorizontal: 24, borderRadius: 12 },
+  secondaryBtnText: { color: '#fff', fontSize: 16 },
+});
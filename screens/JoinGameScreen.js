@@ -17,12 +17,18 @@
  *    • Enforces 6-character limit via `maxLength`
  *    • Uses `keyboardType="numeric"` for mobile number pad
  * 
- * 3. Button behavior:
- *    • Logs entered code to console (for demo/debugging)
- *    • Navigation to Game screen is **commented out**:
- *      ```js
- *      // navigation.navigate("Game", { code: gameCode });
- *      ```
+ * 3. Two-step join flow:
+ *    • Step 1 – PIN: follows the PIN's `gamePins` reservation to its
+ *      `gameSessions` doc, which must still be an open lobby
+ *      (see utils/gameSession.js)
+ *    • Step 2 – Nickname: adds the player to the session's `players`
+ *      and opens the PlayerLobby waiting room. Nicknames are checked by
+ *      utils/nicknames.js; a taken name prefills a suggested alternative,
+ *      and in "friendly names" sessions the host assigns one instead
+ *    • Unknown PIN, already-started games and locked lobbies show an
+ *      inline error under the input
+ *    • A player who dropped out of a game (reload, closed tab) gets a
+ *      "Rejoin" prompt above the input (components/RejoinPrompt.js)
  * 
  * 4. Web-specific UX:
  *    • Hover effects on button and "Home" link
@@ -30,14 +36,8 @@
  *    • `onMouseEnter`/`onMouseLeave` handlers for interactive feedback
  * 
  * 5. Navigation:
- *    • "Join Game" → (future) Game screen with `code` param
+ *    • "Join Game" → PlayerLobby with `sessionId` + `playerId` params
  *    • "Home" → navigates to guest landing page
- * 
- * Important: This is a **demo implementation**. For production use:
- *    • Uncomment navigation line
- *    • Add Firebase validation (check if code exists & is active)
- *    • Implement loading, success, and error states
- *    • Add input validation feedback (e.g., "Invalid code")
  */
 
 import React, { useState } from "react";
@@ -48,7 +48,11 @@ import {
   TouchableOpacity,
   StyleSheet,
   SafeAreaView,
+  ActivityIndicator,
 } from "react-native";
+import { findSessionByPin, joinSession, getJoinErrorMessage } from "../utils/gameSession";
+import { NICKNAME_MODES, NICKNAME_MAX_LENGTH } from "../utils/nicknames";
+import RejoinPrompt from "../components/RejoinPrompt";
 
 /**
  * JoinGameScreen – main component for joining games via 6-digit code
@@ -61,18 +65,58 @@ export default function JoinGameScreen({ navigation }) {
   // State: tracks which interactive element is hovered (used for web hover styles)
   const [hoveredButton, setHoveredButton] = useState(null);
 
+  // State: session found for the PIN (null until step 1 succeeds)
+  const [session, setSession] = useState(null);
+
+  // State: nickname typed in step 2
+  const [nickname, setNickname] = useState("");
+
+  // State: request in flight + inline error message
+  const [isLoading, setIsLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
   /**
    * Handles "Join Game" button press
    * 
-   * Current behavior (demo mode):
-   *   - Logs the entered game code to console
-   * 
-   * Future behavior (production):
-   *   - Uncomment navigation to go to Game screen with code as parameter
+   * Step 1: validates the PIN and looks up the lobby
+   * Step 2: joins the lobby under the chosen nickname and
+   *         opens the PlayerLobby waiting room
+   */
+  const handleJoinGame = async () => {
+    if (isLoading) return;
+
+    if (!session && gameCode.length !== 6) {
+      setErrorMessage("Game code must be 6 digits");
+      return;
+    }
+
+    setIsLoading(true);
+    setErrorMessage("");
+    try {
+      if (!session) {
+        setSession(await findSessionByPin(gameCode));
+      } else {
+        const player = await joinSession(session.id, nickname);
+        navigation.navigate("PlayerLobby", { sessionId: session.id, playerId: player.id });
+        handleChangeCode();
+      }
+    } catch (error) {
+      console.error("Join failed:", error);
+      setErrorMessage(getJoinErrorMessage(error));
+      // Duplicate nickname → prefill the suggested alternative
+      if (error.suggestion) setNickname(error.suggestion);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Returns to step 1 so a different PIN can be entered
    */
-  const handleJoinGame = () => {
-    console.log("Joining game with code:", gameCode);
-    // navigation.navigate("Game", { code: gameCode });
+  const handleChangeCode = () => {
+    setSession(null);
+    setNickname("");
+    setErrorMessage("");
   };
 
   /**
@@ -88,6 +132,7 @@ export default function JoinGameScreen({ navigation }) {
   const handleInputChange = (text) => {
     const numericText = text.replace(/[^0-9]/g, "");
     setGameCode(numericText);
+    setErrorMessage("");
   };
 
   /**
@@ -124,30 +169,70 @@ export default function JoinGameScreen({ navigation }) {
       {/* App Title / Logo */}
       <Text style={styles.title}>Brain Board</Text>
 
-      {/* Game Code Input Field */}
-      <TextInput
-        style={styles.input}
-        placeholder="Enter Game Code"
-        placeholderTextColor="#666"
-        value={gameCode}
-        onChangeText={handleInputChange}
-        keyboardType="numeric"           // Shows numeric keypad on mobile
-        textAlign="center"               // Centers text horizontally
-        maxLength={6}                    // Enforces 6-character limit
-        autoCapitalize="none"            // Prevents auto-capitalization
-      />
+      {/* Rejoin the game this device dropped out of (hidden when there is none) */}
+      <RejoinPrompt navigation={navigation} />
+
+      {session?.settings?.nicknameMode === NICKNAME_MODES.GENERATED ? (
+        /* Step 2 (host assigns names): nothing to type */
+        <Text style={styles.promptText}>The host will give you a fun nickname!</Text>
+      ) : session ? (
+        /* Step 2: Nickname Input Field */
+        <TextInput
+          style={styles.input}
+          placeholder="Enter a nickname"
+          placeholderTextColor="#666"
+          value={nickname}
+          onChangeText={(text) => {
+            setNickname(text);
+            setErrorMessage("");
+          }}
+          textAlign="center"
+          maxLength={NICKNAME_MAX_LENGTH}
+          autoFocus
+          onSubmitEditing={handleJoinGame}
+        />
+      ) : (
+        /* Step 1: Game Code Input Field */
+        <TextInput
+          style={styles.input}
+          placeholder="Enter Game Code"
+          placeholderTextColor="#666"
+          value={gameCode}
+          onChangeText={handleInputChange}
+          keyboardType="numeric"           // Shows numeric keypad on mobile
+          textAlign="center"               // Centers text horizontally
+          maxLength={6}                    // Enforces 6-character limit
+          autoCapitalize="none"            // Prevents auto-capitalization
+          onSubmitEditing={handleJoinGame}
+        />
+      )}
+
+      {/* Inline error (unknown PIN, game started, lobby locked, ...) */}
+      {errorMessage ? <Text style={styles.errorText}>{errorMessage}</Text> : null}
 
       {/* Join Game Button */}
       <TouchableOpacity
         style={getJoinButtonStyle()}
         activeOpacity={0.7}              // Visual press feedback
         onPress={handleJoinGame}
+        disabled={isLoading}
         onMouseEnter={() => setHoveredButton("joinGame")}   // Web: start hover
         onMouseLeave={() => setHoveredButton(null)}         // Web: end hover
       >
-        <Text style={styles.buttonText}>Join Game</Text>
+        {isLoading ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>{session ? "Enter Lobby" : "Join Game"}</Text>
+        )}
       </TouchableOpacity>
 
+      {/* Back to step 1 */}
+      {session && (
+        <TouchableOpacity onPress={handleChangeCode}>
+          <Text style={styles.promptText}>Use a different code</Text>
+        </TouchableOpacity>
+      )}
+
       {/* Bottom Navigation Link: "Go to Home" */}
       <View style={styles.homeLinkContainer}>
         <Text style={styles.promptText}>Go to </Text>
@@ -197,6 +282,15 @@ const styles = StyleSheet.create({
     textAlign: "center",
   },
   
+  // Inline error under the input
+  errorText: {
+    width: 400,
+    color: "#ff4d4d",
+    fontSize: 14,
+    marginTop: 8,
+    textAlign: "center",
+  },
+  
   // Join Game button
   button: {
     width: 400,
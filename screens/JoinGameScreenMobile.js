@@ -10,7 +10,7 @@
  * What it does:
  * 1. **Guest Mode (Logged Out)**:
  *    - Prominent 6-digit game code input
- *    - "Join Game" button (demo: logs code)
+ *    - "Join Game" button (PIN lookup → nickname → PlayerLobby)
  *    - "Log In" and "Sign Up" buttons below
  *    - "Go to Home" link at bottom
  * 
@@ -31,7 +31,7 @@
  *    • Will be ignored by React Native — kept only for code parity with web
  * 
  * 5. Navigation:
- *    • "Join Game" → (future) Game screen with code param
+ *    • "Join Game" → PlayerLobby with `sessionId` + `playerId` params
  *    • "Log In" → Login screen
  *    • "Sign Up" → SignUp screen
  *    • "Home" → Home screen (guest landing)
@@ -39,8 +39,9 @@
  * 
  * Important:
  *    • This screen **replaces the web JoinGameScreen** on iOS/Android
- *    • Currently in **demo mode** — navigation and auth are commented out
- *    • For production: integrate Firebase Auth + Firestore user data
+ *    • Joining goes through utils/gameSession.js (same flow as web)
+ *    • Players who dropped out of a game get a "Rejoin" prompt
+ *    • Gold balance is still mocked — integrate Firestore user data
  */
 
 import React, { useState, useEffect } from "react";
@@ -52,9 +53,13 @@ import {
   StyleSheet,
   SafeAreaView,
   Platform,
+  ActivityIndicator,
 } from "react-native";
 import { auth } from "../firebaseConfig"; // Firebase auth instance
 import { onAuthStateChanged } from "firebase/auth";
+import { findSessionByPin, joinSession, getJoinErrorMessage } from "../utils/gameSession";
+import { NICKNAME_MODES, NICKNAME_MAX_LENGTH } from "../utils/nicknames";
+import RejoinPrompt from "../components/RejoinPrompt";
 
 /**
  * JoinGameScreenMobile – mobile-first entry screen with auth-aware UI
@@ -64,6 +69,10 @@ export default function JoinGameScreenMobile({ navigation }) {
   // Form state
   const [gameCode, setGameCode] = useState("");              // 6-digit game code
   const [hoveredButton, setHoveredButton] = useState(null);  // Web hover (ignored on mobile)
+  const [session, setSession] = useState(null);              // Lobby found for the PIN
+  const [nickname, setNickname] = useState("");              // Nickname for step 2
+  const [isJoining, setIsJoining] = useState(false);         // Request in flight
+  const [joinError, setJoinError] = useState("");            // Inline error message
 
   // Auth state
   const [user, setUser] = useState(null);                    // Firebase user object
@@ -96,21 +105,50 @@ export default function JoinGameScreenMobile({ navigation }) {
   const handleInputChange = (text) => {
     const numericText = text.replace(/[^0-9]/g, "").slice(0, 6);
     setGameCode(numericText);
+    setJoinError("");
   };
 
   // ——————————————————————————————————————
-  // 3. JOIN GAME (DEMO MODE)
+  // 3. JOIN GAME
   // ——————————————————————————————————————
   /**
-   * Logs code to console; navigation commented for testing
+   * Step 1 looks up the lobby for the PIN; step 2 joins it under
+   * the chosen nickname and opens the PlayerLobby waiting room
    */
-  const handleJoinGame = () => {
-    if (gameCode.length !== 6) {
-      console.warn("Game code must be 6 digits");
+  const handleJoinGame = async () => {
+    if (isJoining) return;
+    if (!session && gameCode.length !== 6) {
+      setJoinError("Game code must be 6 digits");
       return;
     }
-    console.log("Joining game with code:", gameCode);
-    // navigation.navigate("Game", { code: gameCode });
+
+    setIsJoining(true);
+    setJoinError("");
+    try {
+      if (!session) {
+        setSession(await findSessionByPin(gameCode));
+      } else {
+        const player = await joinSession(session.id, nickname);
+        navigation.navigate("PlayerLobby", { sessionId: session.id, playerId: player.id });
+        handleChangeCode();
+      }
+    } catch (error) {
+      console.error("Join failed:", error);
+      setJoinError(getJoinErrorMessage(error));
+      // Duplicate nickname → prefill the suggested alternative
+      if (error.suggestion) setNickname(error.suggestion);
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  /**
+   * Returns to the PIN step so a different code can be entered
+   */
+  const handleChangeCode = () => {
+    setSession(null);
+    setNickname("");
+    setJoinError("");
   };
 
   // ——————————————————————————————————————
@@ -150,42 +188,94 @@ export default function JoinGameScreenMobile({ navigation }) {
       {/* App Title */}
       <Text style={styles.title}>Brain Board</Text>
 
-      {/* Game Code Input */}
-      <TextInput
-        style={[
-          styles.input,
-          gameCode.length === 6 && styles.inputValid,
-        ]}
-        placeholder="Enter 6-digit Game Code"
-        placeholderTextColor="#666"
-        value={gameCode}
-        onChangeText={handleInputChange}
-        keyboardType="number-pad"
-        textAlign="center"
-        maxLength={6}
-        autoCapitalize="none"
-        returnKeyType="done"
-        onSubmitEditing={handleJoinGame}
-      />
-
-      {/* Character Counter */}
-      <Text style={styles.counterText}>{gameCode.length}/6</Text>
+      {/* Rejoin the game this device dropped out of (hidden when there is none) */}
+      <RejoinPrompt navigation={navigation} />
+
+      {session?.settings?.nicknameMode === NICKNAME_MODES.GENERATED ? (
+        <>
+          {/* Host assigns names: nothing to type */}
+          <Text style={styles.promptText}>The host will give you a fun nickname!</Text>
+          <Text style={styles.counterText}>Game {session.pin}</Text>
+        </>
+      ) : session ? (
+        <>
+          {/* Nickname Input */}
+          <TextInput
+            style={[styles.input, nickname.trim() && styles.inputValid]}
+            placeholder="Enter a nickname"
+            placeholderTextColor="#666"
+            value={nickname}
+            onChangeText={(text) => {
+              setNickname(text);
+              setJoinError("");
+            }}
+            textAlign="center"
+            maxLength={NICKNAME_MAX_LENGTH}
+            autoFocus
+            returnKeyType="done"
+            onSubmitEditing={handleJoinGame}
+          />
+          <Text style={styles.counterText}>Game {session.pin}</Text>
+        </>
+      ) : (
+        <>
+          {/* Game Code Input */}
+          <TextInput
+            style={[
+              styles.input,
+              gameCode.length === 6 && styles.inputValid,
+            ]}
+            placeholder="Enter 6-digit Game Code"
+            placeholderTextColor="#666"
+            value={gameCode}
+            onChangeText={handleInputChange}
+            keyboardType="number-pad"
+            textAlign="center"
+            maxLength={6}
+            autoCapitalize="none"
+            returnKeyType="done"
+            onSubmitEditing={handleJoinGame}
+          />
+
+          {/* Character Counter */}
+          <Text style={styles.counterText}>{gameCode.length}/6</Text>
+        </>
+      )}
+
+      {/* Join Error (unknown PIN, game started, lobby locked, ...) */}
+      {joinError ? <Text style={styles.errorText}>{joinError}</Text> : null}
 
       {/* Join Game Button */}
       <TouchableOpacity
         style={getJoinButtonStyle()}
         activeOpacity={0.7}
         onPress={handleJoinGame}
-        disabled={gameCode.length !== 6}
+        disabled={
+          isJoining ||
+          (session
+            ? session.settings?.nicknameMode !== NICKNAME_MODES.GENERATED && !nickname.trim()
+            : gameCode.length !== 6)
+        }
         // Web hover (no effect on mobile)
         onMouseEnter={() => Platform.OS === "web" && setHoveredButton("joinGame")}
         onMouseLeave={() => Platform.OS === "web" && setHoveredButton(null)}
       >
-        <Text style={styles.buttonText}>
-          {gameCode.length === 6 ? "Join Game" : "Enter 6 digits"}
-        </Text>
+        {isJoining ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>
+            {session ? "Enter Lobby" : gameCode.length === 6 ? "Join Game" : "Enter 6 digits"}
+          </Text>
+        )}
       </TouchableOpacity>
 
+      {/* Back to PIN entry */}
+      {session && (
+        <TouchableOpacity onPress={handleChangeCode}>
+          <Text style={styles.promptText}>Use a different code</Text>
+        </TouchableOpacity>
+      )}
+
       {/* ——————— AUTH-DEPENDENT UI ——————— */}
       {user ? (
         /* ——— LOGGED IN: USER DASHBOARD ——— */
@@ -303,6 +393,15 @@ const styles = StyleSheet.create({
     marginBottom: 15,
   },
 
+  // Inline join error
+  errorText: {
+    width: 350,
+    color: "#ff4d4d",
+    fontSize: 14,
+    marginBottom: 8,
+    textAlign: "center",
+  },
+
   // Join Game button
   button: {
     width: 350,
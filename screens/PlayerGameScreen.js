@@ -0,0 +1,466 @@
+/**
+ * PlayerGameScreen.js - Player view of a live session
+ * Renders whatever phase the host's session doc is in and submits this player's answers.
+ * Also the rejoin target after a reload: an answer already sent for the current question is restored.
+ * Follows host moderation: the answer clock stops while paused, and a removed player is sent out.
+ * In team mode the leaderboard and final screens also show how this player's team is doing.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import {
+  SESSION_STATUS,
+  subscribeToSession,
+  submitAnswer,
+  fetchPlayerAnswer,
+  clearActiveSession,
+} from '../utils/gameSession';
+import {
+  PHASES,
+  getAnswerTimeMs,
+  getAnswerOptions,
+  getAnswerImages,
+  getCorrectIndices,
+  getQuestionIndex,
+  getSessionQuestions,
+  getAnswerOrder,
+  isMultiSelect,
+} from '../utils/gameEngine';
+import {
+  isTypeAnswer,
+  isTextQuestion,
+  isWordCloud,
+  isOrdering,
+  isSlider,
+  isHotspot,
+  isScored,
+  hasResponse,
+} from '../utils/questionTypes';
+import { getStartingOrder } from '../utils/ordering';
+import { getStartingValue } from '../utils/slider';
+import { range } from '../utils/shuffle';
+import { rankPlayers } from '../utils/leaderboard';
+import { maskNicknames } from '../utils/nicknames';
+import { getTeam, getTeamStandings } from '../utils/teams';
+import useCountdown from '../utils/useCountdown';
+import { usePresenceHeartbeat } from '../utils/usePresence';
+import AnswerGrid from '../components/AnswerGrid';
+import RichText from '../components/RichText';
+import QuestionMedia from '../components/QuestionMedia';
+import TypeAnswerInput, { TypedAnswerResult } from '../components/TypeAnswerInput';
+import OrderingList from '../components/OrderingList';
+import SliderInput, { SliderResult } from '../components/SliderInput';
+import HotspotInput, { HotspotResult } from '../components/HotspotInput';
+
+export default function PlayerGameScreen({ navigation, route }) {
+  const { sessionId, playerId } = route.params;
+
+  const [session, setSession] = useState(null);
+  const [game, setGame] = useState(null);
+  const [error, setError] = useState(null);
+
+  // This player's answer for the current question
+  const [selected, setSelected] = useState([]);
+  const [typedText, setTypedText] = useState('');
+  const [arrangement, setArrangement] = useState(null); // ordering questions; null until moved
+  const [sliderValue, setSliderValue] = useState(null); // slider questions; null until moved
+  const [pin, setPin] = useState(null); // hotspot questions; null until tapped
+  const [submitted, setSubmitted] = useState(false);
+  const [answeringStartedAt, setAnsweringStartedAt] = useState(null);
+  const answeringKeyRef = useRef(null);
+
+  usePresenceHeartbeat(sessionId, playerId);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSession(
+      sessionId,
+      (data) => {
+        if (!data) setError('The host closed this game');
+        setSession(data);
+      },
+      () => setError('Lost connection to the game')
+    );
+
+    return () => unsubscribe();
+  }, [sessionId]);
+
+  const gameId = session?.gameId;
+
+  useEffect(() => {
+    if (!gameId) return;
+
+    const fetchGame = async () => {
+      try {
+        const gameDoc = await getDoc(doc(db, 'games', gameId));
+        if (gameDoc.exists()) setGame(gameDoc.data());
+      } catch (err) {
+        console.error('Error fetching game:', err);
+        setError('Failed to load game');
+      }
+    };
+
+    fetchGame();
+  }, [gameId]);
+
+  // Play position vs. index into the game's questions (they differ when shuffled)
+  const position = session?.currentQuestionIndex || 0;
+  const questionIndex = getQuestionIndex(session);
+  const phase = session?.phase;
+  const phaseStartedAt = session?.phaseStartedAt;
+  const isFinished = session?.status === SESSION_STATUS.FINISHED;
+  const paused = !!session?.paused && !isFinished;
+  const isRemoved = !!session && !isFinished && !(session.players || []).some(p => p.id === playerId);
+  const [pausedAt, setPausedAt] = useState(null);
+  const pausedAtRef = useRef(null);
+
+  // New question → clear the previous answer, or restore it if this player
+  // already answered before reconnecting
+  useEffect(() => {
+    setSelected([]);
+    setTypedText('');
+    setArrangement(null);
+    setSliderValue(null);
+    setPin(null);
+    setSubmitted(false);
+
+    let cancelled = false;
+    fetchPlayerAnswer(sessionId, playerId, questionIndex)
+      .then((answer) => {
+        if (cancelled || !answer) return;
+        setSelected(answer.selected || []);
+        setTypedText(answer.text || '');
+        setArrangement(answer.order || null);
+        setSliderValue(answer.value ?? null);
+        setPin(answer.point ?? null);
+        setSubmitted(true);
+      })
+      .catch(err => console.warn('Failed to restore answer:', err));
+
+    return () => { cancelled = true; };
+  }, [sessionId, playerId, questionIndex]);
+
+  // Response time is measured on this device from when answers opened, so clock skew
+  // between the host and players never affects scoring. Rejoining mid-question falls
+  // back to the host's start time so a reload doesn't reset the clock.
+  useEffect(() => {
+    if (!phase) return;
+
+    const key = `${questionIndex}:${phase}`;
+    const isRejoin = answeringKeyRef.current === null;
+    if (phase === PHASES.ANSWERING && answeringKeyRef.current !== key) {
+      setAnsweringStartedAt(isRejoin && phaseStartedAt ? Math.min(phaseStartedAt, Date.now()) : Date.now());
+    }
+    answeringKeyRef.current = key;
+  }, [questionIndex, phase, phaseStartedAt]);
+
+  // Time spent paused doesn't count towards this player's response time
+  useEffect(() => {
+    if (paused) {
+      pausedAtRef.current = Date.now();
+    } else if (pausedAtRef.current) {
+      const pausedFor = Date.now() - pausedAtRef.current;
+      pausedAtRef.current = null;
+      setAnsweringStartedAt(prev => (prev ? prev + pausedFor : prev));
+    }
+    setPausedAt(pausedAtRef.current);
+  }, [paused]);
+
+  // Nothing left to rejoin once the game is over or the host removed this player
+  useEffect(() => {
+    if (isFinished || isRemoved) clearActiveSession();
+  }, [isFinished, isRemoved]);
+
+  const questions = getSessionQuestions(session, game);
+  const question = questions[questionIndex];
+  // `selected` holds original option indices; the grid works in display positions
+  const answerSeed = `${sessionId}:${playerId}:${questionIndex}`;
+  const answerOrder = getAnswerOrder(question, session?.settings, answerSeed);
+  const itemOrder = arrangement || getStartingOrder(question, answerSeed);
+  const displayOptions = answerOrder.map(i => getAnswerOptions(question)[i]);
+  const displayImages = answerOrder.map(i => getAnswerImages(question)[i]);
+  const toDisplay = (indices) => indices.map(i => answerOrder.indexOf(i));
+  const answerTimeMs = getAnswerTimeMs(question, session?.settings);
+  const secondsLeft = useCountdown(phase === PHASES.ANSWERING ? answerTimeMs : 0, answeringStartedAt, pausedAt);
+
+  // `response` is `{ selected }` or `{ text }` depending on the question type
+  const sendAnswer = async (response) => {
+    if (submitted || paused || !hasResponse(question, response)) return;
+
+    setSubmitted(true);
+    try {
+      await submitAnswer(sessionId, playerId, questionIndex, response, Date.now() - answeringStartedAt);
+    } catch (err) {
+      console.error('Failed to submit answer:', err);
+      setSubmitted(false);
+      alert(err?.code === 'session/answer-closed' ? err.message : 'Your answer could not be sent. Please try again.');
+    }
+  };
+
+  const handleSelect = (index) => {
+    if (submitted) return;
+
+    if (!isMultiSelect(question)) {
+      setSelected([index]);
+      sendAnswer({ selected: [index] });
+      return;
+    }
+
+    setSelected(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.navigate('Home')}>
+          <Text style={styles.secondaryBtnText}>Home</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (isRemoved) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.bigTitle}>Removed from game</Text>
+        <Text style={styles.subtitle}>The host removed you from this game.</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.navigate('Home')}>
+          <Text style={styles.secondaryBtnText}>Home</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!session || !game) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+      </View>
+    );
+  }
+
+  const players = session.players || [];
+  const myRank = rankPlayers(players).find(p => p.id === playerId)?.rank;
+  const myTeam = getTeam(session.settings, players.find(p => p.id === playerId)?.team);
+  const teamStandings = myTeam ? getTeamStandings(players, session.settings) : [];
+  const myTeamRank = teamStandings.find(t => t.id === myTeam?.id)?.rank;
+
+  if (isFinished) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.bigTitle}>Game Over</Text>
+        {myRank && (
+          <Text style={[styles.finalRankText, myRank <= 3 && styles.podiumRank]}>
+            {myRank <= 3 ? `You made the podium: #${myRank}!` : `You finished #${myRank} of ${players.length}`}
+          </Text>
+        )}
+        {myTeam && myTeamRank && (
+          <Text style={[styles.teamRankText, { color: myTeam.color }]}>
+            {myTeam.name} finished #{myTeamRank} of {teamStandings.length}
+          </Text>
+        )}
+        <Text style={styles.subtitle}>Thanks for playing!</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.navigate('Home')}>
+          <Text style={styles.secondaryBtnText}>Home</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  // Scores are written by the host when the answer window closes
+  const me = players.find(p => p.id === playerId);
+  const shownAs = session.namesHidden ? maskNicknames(players, true).find(p => p.id === playerId)?.nickname : null;
+  const correctIndices = getCorrectIndices(question);
+  const isCorrect = !!me?.lastCorrect;
+  const pointsGained = me?.lastPoints || 0;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerText}>
+          Question {position + 1} / {questions.length}
+        </Text>
+        {myTeam && (
+          <View style={[styles.teamChip, { backgroundColor: myTeam.color }]}>
+            <Text style={styles.teamChipText}>{myTeam.name}</Text>
+          </View>
+        )}
+        {phase === PHASES.ANSWERING && !submitted && (
+          <Text style={styles.timerText}>{secondsLeft}s</Text>
+        )}
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {paused && (
+          <View style={styles.centeredBlock}>
+            <Text style={styles.bigTitle}>Paused</Text>
+            <Text style={styles.subtitle}>The host paused the game. Hang tight!</Text>
+          </View>
+        )}
+
+        {!paused && phase === PHASES.QUESTION && (
+          <View style={styles.centeredBlock}>
+            <RichText text={question?.question} style={styles.questionText} />
+            <ActivityIndicator size="small" color="#00c781" />
+            <Text style={styles.subtitle}>Get ready...</Text>
+          </View>
+        )}
+
+        {!paused && phase === PHASES.ANSWERING && (
+          submitted ? (
+            <View style={styles.centeredBlock}>
+              <Text style={styles.bigTitle}>Answer locked in!</Text>
+              <Text style={styles.subtitle}>Waiting for everyone else...</Text>
+            </View>
+          ) : secondsLeft === 0 ? (
+            <View style={styles.centeredBlock}>
+              <Text style={styles.bigTitle}>Time's up!</Text>
+            </View>
+          ) : (
+            <>
+              <RichText text={question?.question} style={styles.questionText} />
+              {question?.media?.onDevices && <QuestionMedia media={question.media} />}
+              {isTextQuestion(question) ? (
+                <TypeAnswerInput
+                  question={question}
+                  value={typedText}
+                  onChangeText={setTypedText}
+                  onSubmit={text => sendAnswer({ text })}
+                />
+              ) : isOrdering(question) ? (
+                <OrderingList
+                  items={question.items}
+                  order={itemOrder}
+                  onChange={setArrangement}
+                  onSubmit={order => sendAnswer({ order })}
+                />
+              ) : isSlider(question) ? (
+                <SliderInput
+                  question={question}
+                  value={sliderValue ?? getStartingValue(question)}
+                  onChange={setSliderValue}
+                  onSubmit={value => sendAnswer({ value })}
+                />
+              ) : isHotspot(question) ? (
+                <HotspotInput question={question} point={pin} onChange={setPin} onSubmit={point => sendAnswer({ point })} />
+              ) : (
+                <>
+                  {isMultiSelect(question) && (
+                    <Text style={styles.hintText}>Select all that apply</Text>
+                  )}
+                  <AnswerGrid
+                    options={displayOptions}
+                    images={displayImages}
+                    selected={toDisplay(selected)}
+                    onSelect={d => handleSelect(answerOrder[d])}
+                  />
+                </>
+              )}
+              {isMultiSelect(question) && (
+                <TouchableOpacity
+                  style={[styles.primaryBtn, selected.length === 0 && styles.disabledBtn]}
+                  onPress={() => sendAnswer({ selected })}
+                  disabled={selected.length === 0}
+                >
+                  <Text style={styles.primaryBtnText}>Submit</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )
+        )}
+
+        {!paused && phase === PHASES.REVEAL && !isScored(question) && (
+          <View style={styles.centeredBlock}>
+            <Text style={styles.bigTitle}>{submitted ? 'Thanks for sharing!' : 'No answer'}</Text>
+            {isWordCloud(question) ? (
+              submitted && <Text style={styles.subtitle}>You said "{typedText}"</Text>
+            ) : (
+              <AnswerGrid options={displayOptions} images={displayImages} selected={toDisplay(selected)} />
+            )}
+          </View>
+        )}
+
+        {!paused && phase === PHASES.REVEAL && isScored(question) && (
+          <View style={styles.centeredBlock}>
+            <Text style={[styles.bigTitle, { color: isCorrect ? '#00c781' : '#ff6b6b' }]}>
+              {!submitted ? 'No answer' : isCorrect ? 'Correct!' : pointsGained > 0 ? 'Partly correct' : 'Incorrect'}
+            </Text>
+            <Text style={styles.pointsText}>+{pointsGained}</Text>
+            {isTypeAnswer(question) ? (
+              <TypedAnswerResult question={question} text={submitted ? typedText : null} />
+            ) : isOrdering(question) ? (
+              <OrderingList items={question.items} order={submitted ? itemOrder : range(question.items.length)} showCorrect />
+            ) : isSlider(question) ? (
+              <SliderResult question={question} value={submitted ? sliderValue ?? getStartingValue(question) : null} />
+            ) : isHotspot(question) ? (
+              <HotspotResult question={question} point={submitted ? pin : null} />
+            ) : (
+              <AnswerGrid
+                options={displayOptions}
+                images={displayImages}
+                selected={toDisplay(selected)}
+                correctIndices={toDisplay(correctIndices)}
+              />
+            )}
+          </View>
+        )}
+
+        {!paused && phase === PHASES.LEADERBOARD && (
+          <View style={styles.centeredBlock}>
+            <Text style={styles.rankText}>#{myRank || '-'}</Text>
+            <Text style={styles.subtitle}>of {players.length} players</Text>
+            {shownAs && <Text style={styles.hiddenNameText}>Names are hidden: you show up as {shownAs}</Text>}
+            <Text style={styles.pointsText}>+{pointsGained} points</Text>
+            <Text style={styles.subtitle}>Total: {me?.score || 0}</Text>
+            {(me?.streak || 0) > 1 && (
+              <Text style={styles.streakText}>🔥 {me.streak} answer streak</Text>
+            )}
+            {myTeam && myTeamRank && (
+              <Text style={[styles.teamRankText, { color: myTeam.color }]}>
+                {myTeam.name} is #{myTeamRank} of {teamStandings.length}
+              </Text>
+            )}
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#111' },
+  centered: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#111', padding: 20 },
+  centeredBlock: { alignItems: 'center', width: '100%', paddingVertical: 40 },
+  errorText: { color: '#ff6b6b', fontSize: 20, marginBottom: 20, textAlign: 'center' },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, backgroundColor: '#0d0d0d', borderBottomWidth: 1, borderBottomColor: '#222' },
+  headerText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  timerText: { color: '#00c781', fontSize: 22, fontWeight: 'bold' },
+  content: { padding: 20, alignItems: 'center', maxWidth: 700, width: '100%', alignSelf: 'center' },
+  questionText: { color: '#fff', fontSize: 24, fontWeight: 'bold', textAlign: 'center', marginBottom: 20 },
+  hintText: { color: '#aaa', fontSize: 14, marginBottom: 12 },
+  rankText: { color: '#fff', fontSize: 56, fontWeight: 'bold', textAlign: 'center' },
+  finalRankText: { color: '#fff', fontSize: 24, fontWeight: 'bold', marginBottom: 12, textAlign: 'center' },
+  podiumRank: { color: '#FFD700' },
+  teamChip: { paddingVertical: 4, paddingHorizontal: 12, borderRadius: 12 },
+  teamChipText: { color: '#fff', fontSize: 14, fontWeight: 'bold' },
+  teamRankText: { fontSize: 20, fontWeight: 'bold', marginTop: 12, textAlign: 'center' },
+  streakText: { color: '#ff9f43', fontSize: 20, fontWeight: 'bold' },
+  pointsText: { color: '#fff', fontSize: 22, fontWeight: 'bold', marginBottom: 20 },
+  bigTitle: { color: '#fff', fontSize: 32, fontWeight: 'bold', marginBottom: 12, textAlign: 'center' },
+  subtitle: { color: '#aaa', fontSize: 18, marginTop: 8, marginBottom: 20, textAlign: 'center' },
+  hiddenNameText: { color: '#888', fontSize: 14, marginTop: -12, marginBottom: 20, textAlign: 'center' },
+  primaryBtn: { backgroundColor: '#00c781', paddingVertical: 16, paddingHorizontal: 40, borderRadius: 16, alignItems: 'center', marginTop: 20, width: '100%' },
+  primaryBtnText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  disabledBtn: { opacity: 0.5 },
+  secondaryBtn: { backgroundColor: '#333', paddingVertical: 12, paddingHorizontal: 24, borderRadius: 12 },
+  secondaryBtnText: { color: '#fff', fontSize: 16 },
+});
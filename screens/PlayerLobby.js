@@ -0,0 +1,315 @@
+/**
+ * PlayerLobby.js - Waiting room for a player who joined by PIN
+ * Follows the session doc until the host starts the game; sends presence heartbeats for the host
+ * and leaves if the host removes this player or the lobby expires.
+ * Team mode shows this player's team, or team buttons when players choose.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import {
+  SESSION_STATUS,
+  subscribeToSession,
+  leaveSession,
+  clearActiveSession,
+  chooseTeam,
+  getJoinErrorMessage,
+} from '../utils/gameSession';
+import { TEAM_ASSIGNMENT, getTeams, getTeam, canJoinTeam } from '../utils/teams';
+import { isSessionExpired } from '../utils/gameEngine';
+import { maskNicknames } from '../utils/nicknames';
+import { usePresenceHeartbeat } from '../utils/usePresence';
+
+export default function PlayerLobby({ navigation, route }) {
+  const { sessionId, playerId } = route.params;
+
+  const [session, setSession] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  usePresenceHeartbeat(sessionId, playerId);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToSession(
+      sessionId,
+      (data) => {
+        if (data) {
+          setSession(data);
+        } else {
+          setError('The host closed this game');
+        }
+        setIsLoading(false);
+      },
+      () => {
+        setError('Lost connection to the game');
+        setIsLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [sessionId]);
+
+  const isRemoved = !!session && !(session.players || []).some(p => p.id === playerId);
+
+  // An abandoned lobby expires without any further writes, so check the clock too
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+  const isExpired = isSessionExpired(session, now);
+
+  useEffect(() => {
+    if (isRemoved || isExpired) clearActiveSession();
+  }, [isRemoved, isExpired]);
+
+  // The host pressed Start → follow the game
+  useEffect(() => {
+    if (session?.status === SESSION_STATUS.IN_PROGRESS && !isRemoved) {
+      navigation.replace('PlayerGame', { sessionId, playerId });
+    }
+  }, [session?.status, isRemoved, navigation, sessionId, playerId]);
+
+  const handleChooseTeam = async (teamId) => {
+    try {
+      await chooseTeam(sessionId, playerId, teamId);
+    } catch (err) {
+      console.warn('Failed to choose team:', err);
+      alert(getJoinErrorMessage(err));
+    }
+  };
+
+  // Go back first so dropping off the roster doesn't flash the "removed" screen
+  const handleLeave = async () => {
+    navigation.goBack();
+    try {
+      await leaveSession(sessionId, playerId);
+    } catch (err) {
+      console.warn('Failed to leave session:', err);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.container}>
+        <ActivityIndicator size="large" color="#00c781" />
+      </View>
+    );
+  }
+
+  if (error || !session) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.errorText}>{error || 'Game not found'}</Text>
+        <TouchableOpacity style={styles.leaveBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.leaveText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (isExpired) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.errorText}>This game expired before it started</Text>
+        <TouchableOpacity style={styles.leaveBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.leaveText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (isRemoved) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.errorText}>The host removed you from this game</Text>
+        <TouchableOpacity style={styles.leaveBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.leaveText}>Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const players = session.players || [];
+  const me = players.find(p => p.id === playerId);
+  const teams = getTeams(session.settings);
+  const myTeam = getTeam(session.settings, me?.team);
+  const shownAs = session.namesHidden ? maskNicknames(players, true).find(p => p.id === playerId)?.nickname : null;
+  const canChooseTeam = teams.length > 0
+    && session.settings?.teamAssignment === TEAM_ASSIGNMENT.CHOOSE
+    && session.status === SESSION_STATUS.LOBBY;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>You're in!</Text>
+      <View style={[styles.nicknameCard, myTeam && { borderColor: myTeam.color }]}>
+        <Text style={styles.nicknameText} numberOfLines={1}>{me?.nickname || 'Player'}</Text>
+      </View>
+      {shownAs && (
+        <Text style={styles.hiddenNameText}>The host has hidden names. You show up as {shownAs}.</Text>
+      )}
+
+      {myTeam && (
+        <Text style={[styles.teamText, { color: myTeam.color }]}>You're on the {myTeam.name}</Text>
+      )}
+
+      {canChooseTeam && (
+        <View style={styles.teamPicker}>
+          <Text style={styles.waitingText}>{myTeam ? 'Switch team' : 'Pick a team'}</Text>
+          <View style={styles.teamButtons}>
+            {teams.map((team) => {
+              const count = players.filter(p => p.team === team.id).length;
+              const isMine = myTeam?.id === team.id;
+              const isOpen = isMine || canJoinTeam(players, teams, team.id, playerId);
+              return (
+                <TouchableOpacity
+                  key={team.id}
+                  style={[
+                    styles.teamBtn,
+                    { backgroundColor: team.color },
+                    isMine && styles.teamBtnSelected,
+                    !isOpen && styles.teamBtnFull,
+                  ]}
+                  onPress={() => handleChooseTeam(team.id)}
+                  disabled={isMine || !isOpen}
+                >
+                  <Text style={styles.teamBtnText}>{team.name}</Text>
+                  <Text style={styles.teamBtnCount}>{count} {count === 1 ? 'player' : 'players'}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      )}
+
+      {session.status === SESSION_STATUS.LOBBY ? (
+        <>
+          <ActivityIndicator size="small" color="#00c781" style={{ marginBottom: 12 }} />
+          <Text style={styles.waitingText}>Waiting for the host to start...</Text>
+        </>
+      ) : (
+        <Text style={styles.waitingText}>Game starting...</Text>
+      )}
+
+      <Text style={styles.countText}>
+        {players.length} {players.length === 1 ? 'player' : 'players'} in the lobby
+      </Text>
+
+      <TouchableOpacity style={styles.leaveBtn} onPress={handleLeave}>
+        <Text style={styles.leaveText}>Leave</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#111',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#fff',
+    marginBottom: 20,
+  },
+  nicknameCard: {
+    backgroundColor: '#1e1e1e',
+    borderRadius: 16,
+    paddingVertical: 16,
+    paddingHorizontal: 32,
+    borderWidth: 2,
+    borderColor: '#00c781',
+    marginBottom: 30,
+    maxWidth: 350,
+  },
+  nicknameText: {
+    color: '#fff',
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  teamText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: -16,
+    marginBottom: 24,
+  },
+  teamPicker: {
+    alignItems: 'center',
+    marginBottom: 24,
+    maxWidth: 500,
+    width: '100%',
+  },
+  teamButtons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 10,
+    marginTop: 8,
+  },
+  teamBtn: {
+    paddingVertical: 12,
+    paddingHorizontal: 18,
+    borderRadius: 12,
+    alignItems: 'center',
+    minWidth: 120,
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  teamBtnSelected: {
+    borderColor: '#fff',
+  },
+  teamBtnFull: {
+    opacity: 0.4,
+  },
+  teamBtnText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  teamBtnCount: {
+    color: '#fff',
+    fontSize: 12,
+    marginTop: 2,
+  },
+  waitingText: {
+    color: '#ccc',
+    fontSize: 18,
+    marginBottom: 8,
+  },
+  hiddenNameText: {
+    color: '#888',
+    fontSize: 14,
+    marginTop: -12,
+    marginBottom: 16,
+  },
+  countText: {
+    color: '#888',
+    fontSize: 14,
+    marginBottom: 40,
+  },
+  errorText: {
+    color: '#ff6b6b',
+    fontSize: 20,
+    marginBottom: 20,
+    textAlign: 'center',
+  },
+  leaveBtn: {
+    backgroundColor: '#333',
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 12,
+  },
+  leaveText: {
+    color: '#fff',
+    fontSize: 16,
+  },
+});
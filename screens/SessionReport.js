@@ -0,0 +1,312 @@
+/**
+ * SessionReport.js - Post-game report for a finished live session or a homework assignment
+ * Summary → most-missed questions → per-question accuracy → player scores → answer picks
+ * Header buttons export the same data as CSV / XLSX (web only)
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import { SESSION_STATUS, fetchSessionAnswers } from '../utils/gameSession';
+import { fetchAssignmentPlayers } from '../utils/assignments';
+import { buildSessionReport, formatSeconds, formatPercent } from '../utils/reports';
+import { exportReportCsv, exportReportXlsx } from '../utils/reportExport';
+import { QUESTION_TYPES, QUESTION_TYPE_LABELS } from '../utils/questionTypes';
+
+const optionLetter = (i) => String.fromCharCode(65 + i);
+
+// How each question type labels its report rows: typed, word cloud and slider
+// answers as they were given, hotspot regions by name, ordering items by their
+// place, choices by letter
+const FREE_ANSWER_TYPES = [
+  QUESTION_TYPES.TYPE_ANSWER,
+  QUESTION_TYPES.WORD_CLOUD,
+  QUESTION_TYPES.SLIDER,
+  QUESTION_TYPES.HOTSPOT,
+];
+
+const optionPrefix = (q, i) => {
+  if (FREE_ANSWER_TYPES.includes(q.type)) return '';
+  if (q.type === QUESTION_TYPES.ORDERING) return `${i + 1}. `;
+  return `${optionLetter(i)}. `;
+};
+
+// What a player picked, as shown in the answer picks table
+const pickLabel = (r) => {
+  if (r.text !== null) return r.text;
+  if (r.order) return r.order.map(i => i + 1).join('');
+  if (r.value !== null) return String(r.value);
+  if (r.point) return `${Math.round(r.point.x * 100)},${Math.round(r.point.y * 100)}`;
+  return r.selected.map(optionLetter).join(',');
+};
+
+export default function SessionReport({ navigation, route }) {
+  const { sessionId } = route.params;
+
+  const [session, setSession] = useState(null);
+  const [game, setGame] = useState(null);
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadReport = async () => {
+      try {
+        const sessionDoc = await getDoc(doc(db, 'gameSessions', sessionId));
+        if (!sessionDoc.exists()) {
+          setError('Session not found');
+          return;
+        }
+        const sessionData = { id: sessionDoc.id, ...sessionDoc.data() };
+        // Homework keeps each student's progress in its own doc
+        if (sessionData.status === SESSION_STATUS.ASSIGNED) {
+          sessionData.players = await fetchAssignmentPlayers(sessionId);
+        }
+
+        const [gameDoc, answers] = await Promise.all([
+          getDoc(doc(db, 'games', sessionData.gameId)),
+          fetchSessionAnswers(sessionId),
+        ]);
+        const gameData = gameDoc.exists() ? gameDoc.data() : { title: 'Deleted game', questions: [] };
+
+        setSession(sessionData);
+        setGame(gameData);
+        setReport(buildSessionReport(sessionData, gameData, answers));
+      } catch (err) {
+        console.error('Failed to load report:', err);
+        setError('Failed to load report');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadReport();
+  }, [sessionId]);
+
+  if (isLoading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+        <Text style={styles.loadingText}>Building report...</Text>
+      </View>
+    );
+  }
+
+  if (error || !report) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error || 'Report unavailable'}</Text>
+        <TouchableOpacity style={styles.backBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.backBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  const handleExport = (exporter) => {
+    try {
+      exporter(report, game.title);
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert('Failed to export report: ' + err.message);
+    }
+  };
+
+  const { summary, players, questions, mostMissed } = report;
+  const isAssignment = session.status === SESSION_STATUS.ASSIGNED;
+  const playedOn = session.finishedAt ? new Date(session.finishedAt).toLocaleString() : '';
+  const completedCount = (session.players || []).filter(p => p.completedAt).length;
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.backText}>← Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{game.title}</Text>
+          <Text style={styles.headerSubtitle}>
+            {isAssignment
+              ? `Homework ${session.pin} • Due ${new Date(session.closeAt).toLocaleString()} • ${completedCount}/${summary.playerCount} finished`
+              : `PIN ${session.pin} • ${playedOn}`}
+          </Text>
+        </View>
+        <View style={styles.exportButtons}>
+          <TouchableOpacity style={styles.exportBtn} onPress={() => handleExport(exportReportCsv)}>
+            <Text style={styles.exportBtnText}>CSV</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.exportBtn} onPress={() => handleExport(exportReportXlsx)}>
+            <Text style={styles.exportBtnText}>XLSX</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {/* Summary */}
+        <View style={styles.summaryRow}>
+          {[
+            { label: 'Players', value: summary.playerCount },
+            { label: 'Questions', value: summary.questionCount },
+            { label: 'Avg. score', value: summary.averageScore === null ? '—' : Math.round(summary.averageScore) },
+            { label: 'Accuracy', value: formatPercent(summary.averageAccuracy) },
+            { label: 'Avg. response', value: formatSeconds(summary.averageResponseMs) },
+          ].map(card => (
+            <View key={card.label} style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{card.value}</Text>
+              <Text style={styles.summaryLabel}>{card.label}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Most Missed */}
+        <Text style={styles.section}>Most Missed Questions</Text>
+        {mostMissed.length === 0 ? (
+          <Text style={styles.emptyText}>Everyone got everything right!</Text>
+        ) : (
+          mostMissed.map(q => (
+            <View key={q.index} style={styles.missedRow}>
+              <Text style={styles.missedNumber}>Q{q.index + 1}</Text>
+              <Text style={styles.missedText} numberOfLines={2}>{q.question || 'Untitled question'}</Text>
+              <Text style={styles.missedAccuracy}>{formatPercent(q.accuracy)} correct</Text>
+            </View>
+          ))
+        )}
+
+        {/* Per-question accuracy */}
+        <Text style={styles.section}>Questions</Text>
+        {questions.map(q => (
+          <View key={q.index} style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle} numberOfLines={2}>
+                {q.index + 1}. {q.question || 'Untitled question'}
+              </Text>
+              <Text style={styles.cardMeta}>
+                {q.scored ? formatPercent(q.accuracy) : QUESTION_TYPE_LABELS[q.type]} • {formatSeconds(q.averageResponseMs)} avg
+              </Text>
+            </View>
+            {q.scored && (
+              <View style={styles.accuracyTrack}>
+                <View style={[styles.accuracyFill, { width: `${Math.round((q.accuracy || 0) * 100)}%` }]} />
+              </View>
+            )}
+            {q.options.map((label, i) => (label ? (
+              <View key={i} style={styles.optionRow}>
+                <Text style={[styles.optionLabel, q.correctIndices.includes(i) && styles.optionCorrect]} numberOfLines={1}>
+                  {optionPrefix(q, i)}{label}{q.correctIndices.includes(i) ? ' ✓' : ''}
+                </Text>
+                <Text style={styles.optionCount}>{q.optionCounts[i]}</Text>
+              </View>
+            ) : null))}
+          </View>
+        ))}
+
+        {/* Player scores */}
+        <Text style={styles.section}>Players</Text>
+        <View style={styles.card}>
+          <View style={[styles.tableRow, styles.tableHeader]}>
+            <Text style={[styles.cellRank, styles.headerCell]}>#</Text>
+            <Text style={[styles.cellName, styles.headerCell]}>Player</Text>
+            <Text style={[styles.cellNum, styles.headerCell]}>Score</Text>
+            <Text style={[styles.cellNum, styles.headerCell]}>Correct</Text>
+            <Text style={[styles.cellNum, styles.headerCell]}>Avg. time</Text>
+          </View>
+          {players.map(p => (
+            <View key={p.id} style={styles.tableRow}>
+              <Text style={styles.cellRank}>{p.rank}</Text>
+              <Text style={styles.cellName} numberOfLines={1}>{p.nickname}</Text>
+              <Text style={styles.cellNum}>{p.score}</Text>
+              <Text style={styles.cellNum}>{p.correctCount}/{summary.scoredQuestionCount}</Text>
+              <Text style={styles.cellNum}>{formatSeconds(p.averageResponseMs)}</Text>
+            </View>
+          ))}
+        </View>
+
+        {/* Answer picks */}
+        <Text style={styles.section}>Answer Picks</Text>
+        <ScrollView horizontal style={styles.card}>
+          <View>
+            <View style={[styles.tableRow, styles.tableHeader]}>
+              <Text style={[styles.cellName, styles.headerCell]}>Player</Text>
+              {questions.map(q => (
+                <Text key={q.index} style={[styles.pickCell, styles.headerCell]}>Q{q.index + 1}</Text>
+              ))}
+            </View>
+            {players.map(p => (
+              <View key={p.id} style={styles.tableRow}>
+                <Text style={styles.cellName} numberOfLines={1}>{p.nickname}</Text>
+                {p.responses.map((r, qIndex) => (
+                  <Text
+                    key={qIndex}
+                    style={[
+                      styles.pickCell,
+                      r && questions[qIndex].scored && (r.correct ? styles.pickCorrect : styles.pickWrong),
+                    ]}
+                    numberOfLines={1}
+                  >
+                    {r ? pickLabel(r) : '—'}
+                  </Text>
+                ))}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#111' },
+  centered: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#111' },
+  loadingText: { color: '#fff', marginTop: 20, fontSize: 18 },
+  errorText: { color: '#ff6b6b', fontSize: 20, marginBottom: 20 },
+  backBtn: { backgroundColor: '#333', paddingVertical: 12, paddingHorizontal: 24, borderRadius: 12 },
+  backBtnText: { color: '#fff', fontSize: 16 },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, backgroundColor: '#0d0d0d', borderBottomWidth: 1, borderBottomColor: '#222' },
+  backText: { color: '#00c781', fontSize: 18, fontWeight: 'bold' },
+  headerCenter: { flex: 1, alignItems: 'center' },
+  headerTitle: { fontSize: 24, fontWeight: 'bold', color: '#fff' },
+  headerSubtitle: { fontSize: 14, color: '#aaa', marginTop: 4 },
+  exportButtons: { flexDirection: 'row', gap: 8 },
+  exportBtn: { backgroundColor: '#00c781', paddingVertical: 10, paddingHorizontal: 16, borderRadius: 10 },
+  exportBtnText: { color: '#fff', fontWeight: 'bold' },
+  content: { padding: 30, maxWidth: 1100, width: '100%', alignSelf: 'center' },
+  summaryRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 16, marginBottom: 10 },
+  summaryCard: { flex: 1, minWidth: 150, backgroundColor: '#1e1e1e', borderRadius: 16, padding: 20, borderWidth: 1, borderColor: '#333', alignItems: 'center' },
+  summaryValue: { color: '#00c781', fontSize: 28, fontWeight: 'bold' },
+  summaryLabel: { color: '#aaa', fontSize: 14, marginTop: 4 },
+  section: { fontSize: 24, fontWeight: 'bold', color: '#fff', marginTop: 30, marginBottom: 16 },
+  emptyText: { color: '#666', fontSize: 16 },
+  missedRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#2a1a1a', borderRadius: 12, padding: 16, marginBottom: 10, borderWidth: 1, borderColor: '#c0392b' },
+  missedNumber: { color: '#ff6b6b', fontWeight: 'bold', fontSize: 18, width: 50 },
+  missedText: { flex: 1, color: '#fff', fontSize: 16 },
+  missedAccuracy: { color: '#ff6b6b', fontWeight: 'bold', marginLeft: 12 },
+  card: { backgroundColor: '#1e1e1e', borderRadius: 16, padding: 20, marginBottom: 16, borderWidth: 1, borderColor: '#333' },
+  cardHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: 12 },
+  cardTitle: { flex: 1, color: '#fff', fontSize: 18, fontWeight: 'bold', marginRight: 12 },
+  cardMeta: { color: '#aaa', fontSize: 14 },
+  accuracyTrack: { height: 8, backgroundColor: '#333', borderRadius: 4, marginBottom: 12, overflow: 'hidden' },
+  accuracyFill: { height: 8, backgroundColor: '#00c781' },
+  optionRow: { flexDirection: 'row', justifyContent: 'space-between', paddingVertical: 6 },
+  optionLabel: { flex: 1, color: '#ccc', fontSize: 15 },
+  optionCorrect: { color: '#00c781', fontWeight: 'bold' },
+  optionCount: { color: '#fff', fontWeight: 'bold', marginLeft: 12 },
+  tableRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: '#2a2a2a' },
+  tableHeader: { borderBottomColor: '#444' },
+  headerCell: { color: '#aaa', fontWeight: 'bold' },
+  cellRank: { width: 40, color: '#00c781', fontWeight: 'bold' },
+  cellName: { width: 200, color: '#fff', fontSize: 15, paddingRight: 12 },
+  cellNum: { flex: 1, color: '#fff', fontSize: 15, textAlign: 'right' },
+  pickCell: { width: 60, color: '#888', textAlign: 'center', fontWeight: 'bold' },
+  pickCorrect: { color: '#00c781' },
+  pickWrong: { color: '#ff6b6b' },
+});
@@ -48,47 +48,11 @@ import {
 } from "firebase/auth";
 import { doc, setDoc, collection, query, where, getDocs, getDoc } from "firebase/firestore";
 import { GoogleSignin, statusCodes } from "@react-native-google-signin/google-signin";
+import { generateRandomUsername } from "../utils/randomNames";
 
 // Initialize Stack Navigator for navigating between sign-up screens
 const Stack = createStackNavigator();
 
-// Arrays for random username generation
-const adjectives = [
-  "Adventurous", "Agile", "Alert", "Ambitious", "Ancient", "Artistic", "Astonishing", "Authentic",
-  "Blazing", "Bold", "Brave", "Bright", "Brilliant", "Calm", "Cautious", "Charming", "Cheerful",
-  "Clever", "Colorful", "Confident", "Cool", "Cosmic", "Creative", "Cunning", "Curious", "Daring",
-  "Dazzling", "Defiant", "Delightful", "Dynamic", "Eager", "Elegant", "Energetic", "Enigmatic",
-  "Epic", "Fabulous", "Famous", "Fearless", "Fierce", "Fiery", "Flamboyant", "Flashy", "Friendly",
-  "Gallant", "Gleaming", "Glorious", "Graceful", "Grand", "Happy", "Harmonious", "Heroic",
-  "Imaginative", "Immense", "Incredible", "Inquisitive", "Intrepid", "Jolly", "Joyful", "Keen",
-  "Lively", "Luminous", "Majestic", "Mighty", "Mystic", "Noble", "Optimistic", "Playful",
-  "Powerful", "Proud", "Quick", "Radiant", "Resilient", "Robust", "Sassy", "Serene", "Sharp",
-  "Shimmering", "Silent", "Sleek", "Smart", "Sparkling", "Spirited", "Splendid", "Steadfast",
-  "Stellar", "Striking", "Strong", "Stunning", "Swift", "Tenacious", "Thrilling", "Valiant",
-  "Vibrant", "Vigorous", "Vivid", "Witty", "Wonderful", "Zealous", "Zesty"
-];
-
-const nouns = [
-  "Arrow", "Aurora", "Badger", "Beacon", "Bear", "Blaze", "Bolt", "Breeze", "Cactus", "Castle",
-  "Cat", "Cheetah", "Circuit", "Cloud", "Comet", "Crest", "Crow", "Crystal", "Dawn", "Deer",
-  "Dragon", "Drift", "Eagle", "Echo", "Ember", "Falcon", "Fawn", "Flame", "Fox", "Galaxy",
-  "Gem", "Ghost", "Glider", "Goblin", "Gorilla", "Grove", "Hawk", "Horizon", "Horse", "Hound",
-  "Island", "Jaguar", "Jewel", "Knight", "Lake", "Lantern", "Leaf", "Leopard", "Lion", "Lunar",
-  "Mage", "Meadow", "Meteor", "Mist", "Moon", "Mountain", "Nebula", "Ninja", "Oak", "Ocean",
-  "Owl", "Panther", "Peak", "Pegasus", "Phantom", "Phoenix", "Pine", "Pixel", "Puma", "Quest",
-  "Raven", "Ridge", "River", "Robot", "Rocket", "Rose", "Saber", "Shadow", "Shark", "Sky",
-  "Slime", "Sparrow", "Spear", "Star", "Storm", "Sword", "Tiger", "Titan", "Tree", "Viper",
-  "Voyage", "Wave", "Weasel", "Whale", "Wind", "Wizard", "Wolf", "Wraith", "Zephyr", "Zone"
-];
-
-// Generates a random username by combining a random adjective, noun, and number
-function generateRandomUsername() {
-  const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-  const noun = nouns[Math.floor(Math.random() * nouns.length)];
-  const num = Math.floor(Math.random() * 10000);
-  return `${adj}${noun}${num}`;
-}
-
 // Custom Dropdown Component for selecting date components (Month, Day, Year)
 function CustomDropdown({ label, value, onValueChange, items, placeholder }) {
   // State for controlling dropdown visibility, hover state, and position
@@ -0,0 +1,422 @@
+/**
+ * SoloGameScreen.js - Single-player practice of any game, played entirely on this device
+ * Question with a timer → feedback → next … → score + review of the ones missed
+ * Uses the same time-weighted scoring as live games; a practice entry is written
+ * to gameHistory for signed-in players when the run ends.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Image,
+} from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db } from '../firebaseConfig';
+import { doc, getDoc } from 'firebase/firestore';
+import {
+  getAnswerTimeMs,
+  getAnswerOptions,
+  getAnswerImages,
+  getOptionLabels,
+  getCorrectIndices,
+  isMultiSelect,
+} from '../utils/gameEngine';
+import {
+  isTypeAnswer,
+  isTextQuestion,
+  isWordCloud,
+  isOrdering,
+  isSlider,
+  isHotspot,
+  isScored,
+  hasResponse,
+  countScoredQuestions,
+} from '../utils/questionTypes';
+import { getStartingOrder } from '../utils/ordering';
+import { getStartingValue, formatSliderValue, describeCorrectValue } from '../utils/slider';
+import { range } from '../utils/shuffle';
+import { getAcceptedAnswers } from '../utils/answerMatching';
+import { scoreAnswer } from '../utils/scoring';
+import { recordPracticeHistory } from '../utils/gameHistory';
+import useCountdown from '../utils/useCountdown';
+import AnswerGrid from '../components/AnswerGrid';
+import RichText from '../components/RichText';
+import QuestionMedia from '../components/QuestionMedia';
+import TypeAnswerInput, { TypedAnswerResult } from '../components/TypeAnswerInput';
+import OrderingList from '../components/OrderingList';
+import SliderInput, { SliderResult } from '../components/SliderInput';
+import HotspotInput, { HotspotResult } from '../components/HotspotInput';
+
+const optionLabels = (question, indices) => {
+  const options = getOptionLabels(question);
+  return indices.map(i => options[i]).filter(Boolean).join(', ');
+};
+
+const orderLabel = (question, order) => order.map(i => question.items[i]).join(' → ');
+
+const answerLabel = (question, answer) => {
+  if (!answer) return 'No answer';
+  if (isTypeAnswer(question)) return answer.text;
+  if (isOrdering(question)) return orderLabel(question, answer.order);
+  if (isSlider(question)) return formatSliderValue(question, answer.value);
+  if (isHotspot(question)) return 'A pin outside the marked regions';
+  return optionLabels(question, answer.selected);
+};
+
+const correctLabel = (question) => {
+  if (isTypeAnswer(question)) return getAcceptedAnswers(question).join(', ');
+  if (isOrdering(question)) return orderLabel(question, range(question.items.length));
+  if (isSlider(question)) return describeCorrectValue(question);
+  if (isHotspot(question)) return 'A pin inside a marked region';
+  return optionLabels(question, getCorrectIndices(question));
+};
+
+export default function SoloGameScreen({ navigation, route }) {
+  const { gameId } = route.params;
+
+  const [game, setGame] = useState(null);
+  const [error, setError] = useState(null);
+
+  // One entry per answered question: { questionIndex, answer, correct, points }
+  // where `answer` is `{ selected }` / `{ text }` / `{ order }` / `{ value }`, or null when time ran out
+  const [results, setResults] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [selected, setSelected] = useState([]);
+  const [typedText, setTypedText] = useState('');
+  const [arrangement, setArrangement] = useState(null); // ordering questions; null until moved
+  const [sliderValue, setSliderValue] = useState(null); // slider questions; null until moved
+  const [pin, setPin] = useState(null); // hotspot questions; null until tapped
+  const [startedAt, setStartedAt] = useState(null);
+  const [streak, setStreak] = useState(0);
+  const recordedRef = useRef(false);
+
+  useEffect(() => {
+    const fetchGame = async () => {
+      try {
+        const gameDoc = await getDoc(doc(db, 'games', gameId));
+        if (gameDoc.exists()) {
+          setGame(gameDoc.data());
+        } else {
+          setError('Game not found');
+        }
+      } catch (err) {
+        console.error('Error fetching game:', err);
+        setError('Failed to load game');
+      }
+    };
+
+    fetchGame();
+  }, [gameId]);
+
+  const questions = game?.questions || [];
+  const question = questions[position];
+  const answered = results.length > position ? results[position] : null;
+  const isFinished = !!game && position >= questions.length;
+  const totalScore = results.reduce((sum, r) => sum + r.points, 0);
+  const correctCount = results.filter(r => r.correct).length;
+
+  // Each question's timer starts when it's shown
+  useEffect(() => {
+    if (!game || isFinished) return;
+    setSelected([]);
+    setTypedText('');
+    setArrangement(null);
+    setSliderValue(null);
+    setPin(null);
+    setStartedAt(Date.now());
+  }, [game, position, isFinished]);
+
+  const answerTimeMs = getAnswerTimeMs(question);
+  const secondsLeft = useCountdown(game && !isFinished && !answered ? answerTimeMs : 0, startedAt);
+
+  // `response` is `{ selected }` or `{ text }` depending on the question type
+  const sendAnswer = useCallback((response) => {
+    if (answered || !question) return;
+
+    const answer = hasResponse(question, response) ? response : null;
+    const { correct, points } = scoreAnswer(
+      question,
+      answer && { ...answer, responseTimeMs: Date.now() - startedAt },
+      answerTimeMs
+    );
+    setResults(prev => [...prev, { questionIndex: position, answer, correct, points }]);
+    // Polls and word clouds have no right answer, so they leave the streak alone
+    if (isScored(question)) setStreak(prev => (correct ? prev + 1 : 0));
+  }, [answered, question, startedAt, answerTimeMs, position]);
+
+  // Running out of time submits whatever was picked or typed so far, if anything.
+  // Ordering, slider and hotspot questions only count once they've been submitted.
+  useEffect(() => {
+    if (game && !isFinished && !answered && startedAt && secondsLeft === 0) {
+      sendAnswer(isTextQuestion(question) ? { text: typedText.trim() } : { selected });
+    }
+  }, [secondsLeft, game, isFinished, answered, startedAt, question, typedText, selected, sendAnswer]);
+
+  const handleSelect = (index) => {
+    if (answered) return;
+
+    if (!isMultiSelect(question)) {
+      setSelected([index]);
+      sendAnswer({ selected: [index] });
+      return;
+    }
+
+    setSelected(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const handleNext = () => {
+    setStartedAt(null); // so the old question's expired timer can't fire for the next one
+    setPosition(prev => prev + 1);
+  };
+
+  const handlePlayAgain = () => {
+    recordedRef.current = false;
+    setResults([]);
+    setStreak(0);
+    setStartedAt(null);
+    setPosition(0);
+  };
+
+  const recordRun = useCallback(() => {
+    AsyncStorage.getItem('userToken')
+      .then(userToken => recordPracticeHistory(userToken, gameId, {
+        score: totalScore,
+        correctCount,
+        totalQuestions: countScoredQuestions(questions),
+      }))
+      .catch(err => console.warn('Failed to record practice history:', err));
+  }, [gameId, totalScore, correctCount, questions]);
+
+  // Record the run once, when the last question has been answered
+  useEffect(() => {
+    if (!isFinished || recordedRef.current || questions.length === 0) return;
+    recordedRef.current = true;
+    recordRun();
+  }, [isFinished, questions.length, recordRun]);
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity style={styles.secondaryBtn} onPress={() => navigation.goBack()}>
+          <Text style={styles.secondaryBtnText}>Go Back</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  if (!game) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color="#00c781" />
+      </View>
+    );
+  }
+
+  const header = (
+    <View style={styles.header}>
+      <TouchableOpacity onPress={() => navigation.goBack()}>
+        <Text style={styles.backText}>← Back</Text>
+      </TouchableOpacity>
+      <Text style={styles.headerText} numberOfLines={1}>{game.title}</Text>
+      <Text style={styles.headerText}>
+        {isFinished ? 'Practice' : `${position + 1} / ${questions.length}`}
+      </Text>
+    </View>
+  );
+
+  if (isFinished) {
+    const mistakes = results.filter(r => !r.correct && isScored(questions[r.questionIndex]));
+
+    return (
+      <View style={styles.container}>
+        {header}
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.bigTitle}>Practice complete!</Text>
+          <Text style={styles.pointsText}>{totalScore} points</Text>
+          <Text style={styles.subtitle}>{correctCount} of {countScoredQuestions(questions)} correct</Text>
+
+          <Text style={styles.sectionTitle}>Review</Text>
+          {mistakes.length === 0 ? (
+            <Text style={styles.subtitle}>No mistakes. Perfect run!</Text>
+          ) : (
+            mistakes.map((r) => {
+              const q = questions[r.questionIndex];
+              return (
+                <View key={r.questionIndex} style={styles.reviewCard}>
+                  <Text style={styles.reviewQuestion}>
+                    {r.questionIndex + 1}. {q.question || 'Untitled question'}
+                  </Text>
+                  <Text style={styles.reviewWrong}>
+                    Your answer: {answerLabel(q, r.answer)}
+                  </Text>
+                  <Text style={styles.reviewRight}>
+                    Correct answer: {correctLabel(q)}
+                  </Text>
+                </View>
+              );
+            })
+          )}
+
+          <TouchableOpacity style={styles.primaryBtn} onPress={handlePlayAgain}>
+            <Text style={styles.primaryBtnText}>Play Again</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.secondaryBtn, styles.spacedBtn]} onPress={() => navigation.goBack()}>
+            <Text style={styles.secondaryBtnText}>Done</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      {header}
+      <ScrollView contentContainerStyle={styles.content}>
+        <RichText text={question?.question} style={styles.questionText} />
+        {question?.imageUrl && !isHotspot(question) && (
+          <Image source={{ uri: question.imageUrl }} style={styles.questionImage} resizeMode="contain" />
+        )}
+        <QuestionMedia media={question?.media} />
+
+        {answered && !isScored(question) ? (
+          <View style={styles.centeredBlock}>
+            <Text style={styles.bigTitle}>{answered.answer ? 'Thanks for sharing!' : "Time's up!"}</Text>
+            {isWordCloud(question) ? (
+              answered.answer && <Text style={styles.subtitle}>You said "{answered.answer.text}"</Text>
+            ) : (
+              <AnswerGrid
+                options={getAnswerOptions(question)}
+                images={getAnswerImages(question)}
+                selected={answered.answer?.selected || []}
+                disabled
+              />
+            )}
+            <TouchableOpacity style={styles.primaryBtn} onPress={handleNext}>
+              <Text style={styles.primaryBtnText}>
+                {position + 1 >= questions.length ? 'See Results' : 'Next Question'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : answered ? (
+          <View style={styles.centeredBlock}>
+            <Text style={[styles.bigTitle, { color: answered.correct ? '#00c781' : '#ff6b6b' }]}>
+              {!answered.answer
+                ? "Time's up!"
+                : answered.correct ? 'Correct!' : answered.points > 0 ? 'Partly correct' : 'Incorrect'}
+            </Text>
+            <Text style={styles.pointsText}>+{answered.points}</Text>
+            {streak > 1 && (
+              <Text style={styles.streakText}>🔥 {streak} answer streak</Text>
+            )}
+            {isTypeAnswer(question) ? (
+              <TypedAnswerResult question={question} text={answered.answer?.text ?? null} />
+            ) : isOrdering(question) ? (
+              <OrderingList
+                items={question.items}
+                order={answered.answer?.order || range(question.items.length)}
+                showCorrect
+              />
+            ) : isSlider(question) ? (
+              <SliderResult question={question} value={answered.answer?.value ?? null} />
+            ) : isHotspot(question) ? (
+              <HotspotResult question={question} point={answered.answer?.point ?? null} />
+            ) : (
+              <AnswerGrid
+                options={getAnswerOptions(question)}
+                images={getAnswerImages(question)}
+                selected={answered.answer?.selected || []}
+                correctIndices={getCorrectIndices(question)}
+                disabled
+              />
+            )}
+            <TouchableOpacity style={styles.primaryBtn} onPress={handleNext}>
+              <Text style={styles.primaryBtnText}>
+                {position + 1 >= questions.length ? 'See Results' : 'Next Question'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <Text style={styles.timerText}>{secondsLeft}s</Text>
+            {isTextQuestion(question) ? (
+              <TypeAnswerInput question={question} value={typedText} onChangeText={setTypedText} onSubmit={text => sendAnswer({ text })} />
+            ) : isOrdering(question) ? (
+              <OrderingList
+                items={question.items}
+                order={arrangement || getStartingOrder(question, `${gameId}:${position}`)}
+                onChange={setArrangement}
+                onSubmit={order => sendAnswer({ order })}
+              />
+            ) : isSlider(question) ? (
+              <SliderInput
+                question={question}
+                value={sliderValue ?? getStartingValue(question)}
+                onChange={setSliderValue}
+                onSubmit={value => sendAnswer({ value })}
+              />
+            ) : isHotspot(question) ? (
+              <HotspotInput question={question} point={pin} onChange={setPin} onSubmit={point => sendAnswer({ point })} />
+            ) : (
+              <>
+                {isMultiSelect(question) && (
+                  <Text style={styles.hintText}>Select all that apply</Text>
+                )}
+                <AnswerGrid
+                  options={getAnswerOptions(question)}
+                  images={getAnswerImages(question)}
+                  selected={selected}
+                  onSelect={handleSelect}
+                />
+              </>
+            )}
+            {isMultiSelect(question) && (
+              <TouchableOpacity
+                style={[styles.primaryBtn, selected.length === 0 && styles.disabledBtn]}
+                onPress={() => sendAnswer({ selected })}
+                disabled={selected.length === 0}
+              >
+                <Text style={styles.primaryBtnText}>Submit</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#111' },
+  centered: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#111', padding: 20 },
+  centeredBlock: { alignItems: 'center', width: '100%', paddingVertical: 20 },
+  errorText: { color: '#ff6b6b', fontSize: 20, marginBottom: 20, textAlign: 'center' },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 20, backgroundColor: '#0d0d0d', borderBottomWidth: 1, borderBottomColor: '#222' },
+  backText: { color: '#00c781', fontSize: 18, fontWeight: 'bold' },
+  headerText: { color: '#fff', fontSize: 18, fontWeight: 'bold', maxWidth: '50%' },
+  timerText: { color: '#00c781', fontSize: 22, fontWeight: 'bold', marginBottom: 12 },
+  content: { padding: 20, alignItems: 'center', maxWidth: 700, width: '100%', alignSelf: 'center' },
+  questionText: { color: '#fff', fontSize: 24, fontWeight: 'bold', textAlign: 'center', marginBottom: 20 },
+  questionImage: { width: '100%', height: 220, marginBottom: 20 },
+  hintText: { color: '#aaa', fontSize: 14, marginBottom: 12 },
+  streakText: { color: '#ff9f43', fontSize: 20, fontWeight: 'bold', marginBottom: 12 },
+  pointsText: { color: '#fff', fontSize: 22, fontWeight: 'bold', marginBottom: 20 },
+  bigTitle: { color: '#fff', fontSize: 32, fontWeight: 'bold', marginBottom: 12, textAlign: 'center' },
+  subtitle: { color: '#aaa', fontSize: 18, marginTop: 8, marginBottom: 20, textAlign: 'center' },
+  sectionTitle: { color: '#fff', fontSize: 24, fontWeight: 'bold', alignSelf: 'flex-start', marginTop: 10, marginBottom: 16 },
+  reviewCard: { backgroundColor: '#1e1e1e', borderRadius: 16, padding: 16, marginBottom: 12, borderWidth: 1, borderColor: '#333', width: '100%' },
+  reviewQuestion: { color: '#fff', fontSize: 18, fontWeight: 'bold', marginBottom: 8 },
+  reviewWrong: { color: '#ff6b6b', fontSize: 15, marginBottom: 4 },
+  reviewRight: { color: '#00c781', fontSize: 15 },
+  primaryBtn: { backgroundColor: '#00c781', paddingVertical: 16, paddingHorizontal: 40, borderRadius: 16, alignItems: 'center', marginTop: 20, width: '100%' },
+  primaryBtnText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  disabledBtn: { opacity: 0.5 },
+  secondaryBtn: { backgroundColor: '#333', paddingVertical: 12, paddingHorizontal: 24, borderRadius: 12 },
+  secondaryBtnText: { color: '#fff', fontSize: 16 },
+  spacedBtn: { marginTop: 12 },
+});
@@ -6,6 +6,7 @@
  *   • User's coin balance
  *   • Quick Join Game button
  *   • Searchable list of Recent & Favorited games
+ *   • Homework assigned by teachers (added with a code)
  *   • Navigation to Shop, Settings, Profile, and Logout
  * 
  * What it does:
@@ -22,11 +23,14 @@
  * 3. **Tabbed Game Lists**:
  *    • **Recent**: Last 10 played games (via `gameHistory`)
  *    • **Favorites**: Games marked as favorite (via `favorites` collection)
+ *    • **Discover**: Every published game, ready to practice solo
+ *    • **Homework**: Enter a homework code to add it; tap one to play it at your own pace
  *    • Real-time search by title or tags
  * 
  * 4. **Game Cards**:
  *    • Title, tags, # of questions, description, creator
- *    • "Join Game" button → navigates to JoinGameScreen with `gameId`
+ *    • "Practice" button → plays the game solo in SoloGameScreen
+ *    • "Flashcards" button → studies its questions with spaced repetition
  *    • Web: hover scale + color animation
  * 
  * 5. **Profile Dropdown**:
@@ -37,11 +41,13 @@
  * 6. **Data Flow**:
  *    • On mount: fetches user data, recent games, favorites
  *    • Uses `userToken` from AsyncStorage
+ *    • Offers to rejoin a live game the student dropped out of
  *    • Queries:
  *      - `users/{uid}` → username, coins
  *      - `gameHistory` → playerId + playedAt
  *      - `favorites` → userId + gameId
  *      - `games` → full game metadata
+ *      - `gameSessions` → studentIds array-contains uid (homework, refreshed on focus)
  * 
  * 7. **Logout**:
  *    • Firebase `signOut()`
@@ -49,13 +55,12 @@
  *    • Navigates to Home (replace to prevent back)
  * 
  * Important:
- *    • **Assigned Games** section is planned but not implemented
  *    • All navigation uses `navigation.navigate()` or `replace()`
  *    • Web-specific hover + transform animations
  *    • Mobile: tap-to-open profile menu
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
@@ -65,6 +70,7 @@ import {
   FlatList,
   Platform,
   Modal,
+  Image,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { db, auth } from '../firebaseConfig';
@@ -79,6 +85,30 @@ import {
   limit,
 } from 'firebase/firestore';
 import { signOut } from 'firebase/auth';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  ASSIGNMENT_STATES,
+  getAssignmentState,
+  findAssignmentByCode,
+  fetchStudentAssignments,
+  addStudentToAssignment,
+  getAssignmentErrorMessage,
+} from '../utils/assignments';
+import RejoinPrompt from '../components/RejoinPrompt';
+
+/**
+ * Cover thumbnail at the top of a game card, or the 🎯 placeholder when the game has no cover
+ * @param {object} game – anything with `coverThumbnail` / `coverImage`
+ */
+const GameCover = ({ game }) => (
+  <View style={styles.gameCover}>
+    {game.coverThumbnail || game.coverImage ? (
+      <Image source={{ uri: game.coverThumbnail || game.coverImage }} style={styles.gameCoverImage} resizeMode="cover" />
+    ) : (
+      <Text style={{ fontSize: 40 }}>🎯</Text>
+    )}
+  </View>
+);
 
 /**
  * StudentDashboard – main student hub with game history, favorites, and navigation
@@ -91,10 +121,15 @@ export default function StudentDashboard({ navigation }) {
   const [hoveredButton, setHoveredButton] = useState(null);     // Web hover tracking
   const [recentGames, setRecentGames] = useState([]);           // Recently played games
   const [favoritedGames, setFavoritedGames] = useState([]);     // User's favorited games
+  const [publishedGames, setPublishedGames] = useState([]);     // Every published game (Discover)
   const [searchQuery, setSearchQuery] = useState('');           // Search input
   const [userData, setUserData] = useState(null);               // Firestore user doc
   const [isProfileMenuOpen, setIsProfileMenuOpen] = useState(false); // Profile dropdown
-  const [activeTab, setActiveTab] = useState('recent');         // 'recent' or 'favorited'
+  const [activeTab, setActiveTab] = useState('recent');         // 'recent', 'favorited', 'discover' or 'assigned'
+  const [assignments, setAssignments] = useState([]);           // Homework this student added
+  const [homeworkCode, setHomeworkCode] = useState('');         // Code input on the Homework tab
+  const [homeworkError, setHomeworkError] = useState('');
+  const [isAddingHomework, setIsAddingHomework] = useState(false);
   const profileButtonRef = useRef(null);                        // Ref for positioning menu
   const [menuPosition, setMenuPosition] = useState({ x: 0, y: 0 }); // Menu coordinates
 
@@ -137,8 +172,10 @@ export default function StudentDashboard({ navigation }) {
         const gamesSnapshot = await getDocs(gamesRef);
         const allGames = gamesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-        // ——— Match recent game IDs → full game objects ———
-        const recentGamesData = allGames.filter(game => recentGameIds.includes(game.id));
+        // ——— Match recent game IDs → full game objects (most recent first, no repeats) ———
+        const recentGamesData = [...new Set(recentGameIds)]
+          .map(id => allGames.find(game => game.id === id))
+          .filter(Boolean);
         setRecentGames(recentGamesData);
 
         // ——— Fetch Favorites ———
@@ -150,6 +187,7 @@ export default function StudentDashboard({ navigation }) {
         const favoriteGameIds = favoritesSnapshot.docs.map(doc => doc.data().gameId);
         const favoritedGamesData = allGames.filter(game => favoriteGameIds.includes(game.id));
         setFavoritedGames(favoritedGamesData);
+        setPublishedGames(allGames.filter(game => game.isPublished));
       } catch (error) {
         console.error('Error fetching student data or games:', error);
         // Optionally show toast/error banner
@@ -159,6 +197,72 @@ export default function StudentDashboard({ navigation }) {
     fetchUserDataAndGames();
   }, [navigation]);
 
+  /**
+   * Fetches the student's homework with each game's title
+   * Re-runs whenever the dashboard regains focus so progress stays current
+   */
+  const loadAssignments = useCallback(async () => {
+    try {
+      const userToken = await AsyncStorage.getItem('userToken');
+      if (!userToken) return;
+
+      const fetched = await fetchStudentAssignments(userToken);
+      const gameSnaps = await Promise.all(
+        [...new Set(fetched.map(a => a.gameId))].map(id => getDoc(doc(db, 'games', id)))
+      );
+      const titles = Object.fromEntries(
+        gameSnaps.filter(s => s.exists()).map(s => [s.id, {
+          title: s.data().title,
+          numQuestions: (s.data().questions || []).length,
+          coverImage: s.data().coverImage || null,
+          coverThumbnail: s.data().coverThumbnail || null,
+        }])
+      );
+
+      setAssignments(fetched.map(a => ({
+        ...a,
+        gameTitle: titles[a.gameId]?.title || 'Deleted game',
+        numQuestions: titles[a.gameId]?.numQuestions || 0,
+        coverImage: titles[a.gameId]?.coverImage || null,
+        coverThumbnail: titles[a.gameId]?.coverThumbnail || null,
+      })));
+    } catch (error) {
+      console.error('Error fetching homework:', error);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadAssignments();
+    }, [loadAssignments])
+  );
+
+  /**
+   * Adds the homework for the typed code to this student's list
+   */
+  const handleAddHomework = async () => {
+    const code = homeworkCode.trim();
+    if (!/^\d{6}$/.test(code)) {
+      setHomeworkError('Homework codes are 6 digits.');
+      return;
+    }
+
+    setIsAddingHomework(true);
+    setHomeworkError('');
+    try {
+      const userToken = await AsyncStorage.getItem('userToken');
+      const assignment = await findAssignmentByCode(code);
+      await addStudentToAssignment(assignment.id, userToken, userData?.username || 'Student');
+      setHomeworkCode('');
+      await loadAssignments();
+    } catch (error) {
+      console.error('Error adding homework:', error);
+      setHomeworkError(getAssignmentErrorMessage(error));
+    } finally {
+      setIsAddingHomework(false);
+    }
+  };
+
   // ——————————————————————————————————————
   // 3. PROFILE MENU POSITIONING
   // ——————————————————————————————————————
@@ -198,7 +302,8 @@ export default function StudentDashboard({ navigation }) {
   /**
    * Filters games by search query and active tab
    */
-  const filteredGames = (activeTab === 'recent' ? recentGames : favoritedGames).filter(game =>
+  const tabGames = { recent: recentGames, favorited: favoritedGames, discover: publishedGames };
+  const filteredGames = (tabGames[activeTab] || []).filter(game =>
     game.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
     (game.tags && game.tags.some(tag => tag.toLowerCase().includes(searchQuery.toLowerCase())))
   );
@@ -207,36 +312,95 @@ export default function StudentDashboard({ navigation }) {
   // 6. GAME CARD RENDERER
   // ——————————————————————————————————————
   /**
-   * Renders individual game card with join button
+   * Renders individual game card with practice and flashcard buttons
    * @param {object} item - Game object
    */
   const renderGameItem = ({ item }) => {
-    const getJoinBtnStyle = () => [
+    const getJoinBtnStyle = (key, color = '#00c781', hoverColor = '#00e092') => [
       styles.joinBtn,
       {
-        backgroundColor: hoveredButton === `join-${item.id}` ? '#00e092' : '#00c781',
-        transform: [{ scale: hoveredButton === `join-${item.id}` ? 1.05 : 1 }],
+        backgroundColor: hoveredButton === key ? hoverColor : color,
+        transform: [{ scale: hoveredButton === key ? 1.05 : 1 }],
       },
     ];
 
     return (
       <View style={styles.gameCard}>
+        <GameCover game={item} />
         <Text style={styles.gameTitle}>{item.title}</Text>
         <Text style={styles.gameDetails}>
           {item.tags ? item.tags.join(', ') : 'No tags'} | {item.numQuestions} Questions
         </Text>
         <Text style={styles.gameDescription}>{item.description || 'No description'}</Text>
         <Text style={styles.gameCreator}>Created by: {item.creatorName || 'Unknown'}</Text>
+        <View style={styles.cardButtons}>
+          <TouchableOpacity
+            style={getJoinBtnStyle(`join-${item.id}`)}
+            onPress={() => navigation.navigate('SoloGameScreen', { gameId: item.id })}
+            // Web hover effects
+            {...(Platform.OS === 'web' && {
+              onMouseEnter: () => setHoveredButton(`join-${item.id}`),
+              onMouseLeave: () => setHoveredButton(null),
+            })}
+          >
+            <Text style={styles.joinBtnText}>Practice</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={getJoinBtnStyle(`cards-${item.id}`, '#333', '#444')}
+            onPress={() => navigation.navigate('Flashcards', { gameId: item.id })}
+            // Web hover effects
+            {...(Platform.OS === 'web' && {
+              onMouseEnter: () => setHoveredButton(`cards-${item.id}`),
+              onMouseLeave: () => setHoveredButton(null),
+            })}
+          >
+            <Text style={styles.joinBtnText}>Flashcards</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  /**
+   * Renders a homework card: game, due date and this student's progress
+   * @param {object} item - assignment with `gameTitle`, `numQuestions`, the game's cover and `me`
+   */
+  const renderAssignmentItem = ({ item }) => {
+    const state = getAssignmentState(item);
+    const answered = item.me?.answeredCount || 0;
+    const isComplete = !!item.me?.completedAt;
+
+    let status = `Due ${new Date(item.closeAt).toLocaleString()} • ${answered}/${item.numQuestions} answered`;
+    if (state === ASSIGNMENT_STATES.UPCOMING) status = `Opens ${new Date(item.openAt).toLocaleString()}`;
+    if (state === ASSIGNMENT_STATES.CLOSED) status = `Closed ${new Date(item.closeAt).toLocaleString()}`;
+    if (isComplete) status = `Completed • ${item.me.score || 0} points`;
+
+    const canPlay = state === ASSIGNMENT_STATES.OPEN && !isComplete;
+    const buttonKey = `homework-${item.id}`;
+
+    return (
+      <View style={styles.gameCard}>
+        <GameCover game={item} />
+        <Text style={styles.gameTitle}>{item.gameTitle}</Text>
+        <Text style={[styles.gameDetails, canPlay && styles.homeworkDue]}>{status}</Text>
         <TouchableOpacity
-          style={getJoinBtnStyle()}
-          onPress={() => navigation.navigate('JoinGameScreen', { gameId: item.id })}
+          style={[
+            styles.joinBtn,
+            {
+              backgroundColor: hoveredButton === buttonKey ? '#00e092' : canPlay ? '#00c781' : '#333',
+              transform: [{ scale: hoveredButton === buttonKey ? 1.05 : 1 }],
+            },
+          ]}
+          onPress={() => navigation.navigate('Assignment', { assignmentId: item.id })}
           // Web hover effects
           {...(Platform.OS === 'web' && {
-            onMouseEnter: () => setHoveredButton(`join-${item.id}`),
+            onMouseEnter: () => setHoveredButton(buttonKey),
             onMouseLeave: () => setHoveredButton(null),
           })}
         >
-          <Text style={styles.joinBtnText}>Join Game</Text>
+          <Text style={styles.joinBtnText}>
+            {canPlay ? (answered > 0 ? 'Continue' : 'Start') : 'View'}
+          </Text>
         </TouchableOpacity>
       </View>
     );
@@ -414,6 +578,7 @@ export default function StudentDashboard({ navigation }) {
       <View style={styles.content}>
         {/* Welcome + Coins + Quick Join */}
         <View style={styles.welcomeSection}>
+          <RejoinPrompt navigation={navigation} />
           <Text style={styles.welcomeText}>
             Welcome back, {userData ? userData.username : 'Student'}!
           </Text>
@@ -453,42 +618,101 @@ export default function StudentDashboard({ navigation }) {
               { color: activeTab === 'favorited' ? '#fff' : '#ccc' }
             ]}>Favorites</Text>
           </TouchableOpacity>
+          <TouchableOpacity
+            style={getTabStyle('discover')}
+            onPress={() => setActiveTab('discover')}
+          >
+            <Text style={[
+              styles.tabText,
+              { color: activeTab === 'discover' ? '#fff' : '#ccc' }
+            ]}>Discover</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={getTabStyle('assigned')}
+            onPress={() => setActiveTab('assigned')}
+          >
+            <Text style={[
+              styles.tabText,
+              { color: activeTab === 'assigned' ? '#fff' : '#ccc' }
+            ]}>Homework</Text>
+          </TouchableOpacity>
         </View>
 
-        {/* Games List or Empty State */}
-        <View style={styles.gamesSection}>
-          <Text style={styles.sectionTitle}>
-            {activeTab === 'recent' ? 'Recently Played' : 'Favorited Games'}
-          </Text>
-          {filteredGames.length > 0 ? (
-            <FlatList
-              data={filteredGames}
-              renderItem={renderGameItem}
-              keyExtractor={(item) => item.id}
-              style={styles.gamesList}
-            />
-          ) : (
-            <View style={styles.emptyState}>
-              <Text style={styles.noGamesText}>
-                {activeTab === 'recent'
-                  ? 'No games played yet! Join a game to see them here.'
-                  : 'No favorited games yet! Join games and favorite your favorites.'
-                }
-              </Text>
+        {/* Homework (code entry + assigned games), or the Recent / Favorites list */}
+        {activeTab === 'assigned' ? (
+          <View style={styles.gamesSection}>
+            <Text style={styles.sectionTitle}>Homework</Text>
+            <View style={styles.homeworkCodeRow}>
+              <TextInput
+                style={styles.homeworkCodeInput}
+                placeholder="Homework code"
+                placeholderTextColor="#888"
+                value={homeworkCode}
+                onChangeText={setHomeworkCode}
+                keyboardType="number-pad"
+                maxLength={6}
+                onSubmitEditing={handleAddHomework}
+              />
               <TouchableOpacity
-                style={getJoinBtnStyle()}
-                onPress={handleJoinGame}
-                // Web hover
-                {...(Platform.OS === 'web' && {
-                  onMouseEnter: () => setHoveredButton('quickJoin'),
-                  onMouseLeave: () => setHoveredButton(null),
-                })}
+                style={[styles.joinBtn, { backgroundColor: '#00c781' }, isAddingHomework && { opacity: 0.5 }]}
+                onPress={handleAddHomework}
+                disabled={isAddingHomework}
               >
-                <Text style={styles.joinBtnText}>Find a Game to Play</Text>
+                <Text style={styles.joinBtnText}>Add</Text>
               </TouchableOpacity>
             </View>
-          )}
-        </View>
+            {!!homeworkError && <Text style={styles.homeworkError}>{homeworkError}</Text>}
+            {assignments.length > 0 ? (
+              <FlatList
+                data={assignments}
+                renderItem={renderAssignmentItem}
+                keyExtractor={(item) => item.id}
+                style={styles.gamesList}
+              />
+            ) : (
+              <View style={styles.emptyState}>
+                <Text style={styles.noGamesText}>
+                  No homework yet! Enter the code your teacher gave you.
+                </Text>
+              </View>
+            )}
+          </View>
+        ) : (
+          <View style={styles.gamesSection}>
+            <Text style={styles.sectionTitle}>
+              {{ recent: 'Recently Played', favorited: 'Favorited Games', discover: 'Practice Any Game' }[activeTab]}
+            </Text>
+            {filteredGames.length > 0 ? (
+              <FlatList
+                data={filteredGames}
+                renderItem={renderGameItem}
+                keyExtractor={(item) => item.id}
+                style={styles.gamesList}
+              />
+            ) : (
+              <View style={styles.emptyState}>
+                <Text style={styles.noGamesText}>
+                  {{
+                    recent: 'No games played yet! Join a game to see them here.',
+                    favorited: 'No favorited games yet! Join games and favorite your favorites.',
+                    discover: 'No published games match your search.',
+                  }[activeTab]}
+                </Text>
+                <TouchableOpacity
+                  style={getJoinBtnStyle()}
+                  onPress={handleJoinGame}
+                  // Web hover
+                  {...(Platform.OS === 'web' && {
+                    onMouseEnter: () => setHoveredButton('quickJoin'),
+                    onMouseLeave: () => setHoveredButton(null),
+                  })}
+                >
+                  <Text style={styles.joinBtnText}>Find a Game to Play</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        )}
       </View>
     </View>
   );
@@ -650,6 +874,19 @@ const styles = StyleSheet.create({
     padding: 15,
     marginBottom: 10,
   },
+  gameCover: {
+    height: 120,
+    backgroundColor: '#2a2a2a',
+    borderRadius: 8,
+    marginBottom: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  gameCoverImage: {
+    width: '100%',
+    height: '100%',
+  },
   gameTitle: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -670,6 +907,35 @@ const styles = StyleSheet.create({
     color: '#888',
     marginBottom: 10,
   },
+  cardButtons: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+
+  // Homework tab
+  homeworkCodeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  homeworkCodeInput: {
+    flex: 1,
+    backgroundColor: '#222',
+    color: '#fff',
+    fontSize: 16,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    marginRight: 10,
+  },
+  homeworkError: {
+    color: '#ff6b6b',
+    fontSize: 14,
+    marginBottom: 10,
+  },
+  homeworkDue: {
+    color: '#ff9f43',
+  },
 
   // Empty state
   emptyState: {
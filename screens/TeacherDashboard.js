@@ -4,6 +4,7 @@
  * Play Solo button in preview
  * Native Switch for "Reveal Answers" (exact style from HostGameMenu)
  * Square cards on Home + Discover
+ * Reports tab → past hosted sessions and homework → SessionReport
  * All styles included
  */
 
@@ -38,6 +39,16 @@ import {
 import { signOut } from 'firebase/auth';
 import { ref as storageRef, deleteObject } from 'firebase/storage';
 import { storage } from '../firebaseConfig';
+import { SESSION_STATUS, fetchHostedSessions } from '../utils/gameSession';
+import { QUESTION_TYPES, isTypeAnswer, isOrdering, isSlider, isPoll, isWordCloud, isHotspot } from '../utils/questionTypes';
+import { HotspotImage } from '../components/HotspotInput';
+import RichText from '../components/RichText';
+import QuestionMedia from '../components/QuestionMedia';
+import { getStartingOrder } from '../utils/ordering';
+import { range } from '../utils/shuffle';
+import { describeCorrectValue } from '../utils/slider';
+import { getAcceptedAnswers, describeMatching } from '../utils/answerMatching';
+import { describeMedia } from '../utils/media';
 
 // Reusable Confirmation Modal
 const ConfirmationModal = ({ isOpen, title, message, onConfirm, onCancel, confirmText = 'Confirm', cancelText = 'Cancel' }) => {
@@ -84,6 +95,9 @@ export default function TeacherDashboard({ navigation, route }) {
     cancelText: 'Cancel',
   });
 
+  const [reportSessions, setReportSessions] = useState([]);
+  const [isLoadingReports, setIsLoadingReports] = useState(false);
+
   const [previewModal, setPreviewModal] = useState({ isOpen: false, game: null });
   const [showAnswersInPreview, setShowAnswersInPreview] = useState(false); // Default: hidden
 
@@ -146,6 +160,28 @@ export default function TeacherDashboard({ navigation, route }) {
     }
   }, [route.params, navigation]);
 
+  // Past sessions are re-fetched every time the Reports tab is opened
+  useEffect(() => {
+    if (currentTab !== 'reports') return;
+
+    const fetchReports = async () => {
+      setIsLoadingReports(true);
+      try {
+        const userToken = await AsyncStorage.getItem('userToken');
+        if (userToken) setReportSessions(await fetchHostedSessions(userToken));
+      } catch (error) {
+        console.error('Failed to fetch reports:', error);
+      } finally {
+        setIsLoadingReports(false);
+      }
+    };
+
+    fetchReports();
+  }, [currentTab]);
+
+  const getGameTitle = (gameId) =>
+    [...myGames, ...publicGames].find(g => g.id === gameId)?.title || 'Untitled game';
+
   const totalQuestions = myGames.reduce((acc, g) => acc + (g.numQuestions || 0), 0);
   const recentGames = myGames.slice(0, 8);
 
@@ -276,7 +312,11 @@ export default function TeacherDashboard({ navigation, route }) {
           styles.gameCoverPlaceholder,
           (isDiscover || isHome) && styles.squareCover
         ]}>
-          <Text style={{ fontSize: 40 }}>🎯</Text>
+          {item.coverThumbnail || item.coverImage ? (
+            <Image source={{ uri: item.coverThumbnail || item.coverImage }} style={styles.gameCoverImage} resizeMode="cover" />
+          ) : (
+            <Text style={{ fontSize: 40 }}>🎯</Text>
+          )}
         </View>
         
         {item.isPublished && !isDiscover && !isHome && (
@@ -370,7 +410,7 @@ export default function TeacherDashboard({ navigation, route }) {
           onMouseEnter={() => setHoveredButton('discover')}
           onMouseLeave={() => setHoveredButton(null)}
         >
-          <Image source={require('../assets/discover.png')} style=[
+          <Image source={require('../assets/discover.png')} style={[
             styles.tabIcon,
             currentTab === 'discover' && styles.tabIconActive
           ]} resizeMode="contain" />
@@ -380,6 +420,25 @@ export default function TeacherDashboard({ navigation, route }) {
           ]}>Discover</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity 
+          style={[
+            styles.tabRow,
+            (currentTab === 'reports' || hoveredButton === 'reports') && styles.tabRowActive,
+          ]}
+          onPress={() => setCurrentTab('reports')}
+          onMouseEnter={() => setHoveredButton('reports')}
+          onMouseLeave={() => setHoveredButton(null)}
+        >
+          <Image source={require('../assets/view.png')} style={[
+            styles.tabIcon,
+            currentTab === 'reports' && styles.tabIconActive
+          ]} resizeMode="contain" />
+          <Text style={[
+            styles.tabLabel,
+            currentTab === 'reports' && styles.tabLabelActive
+          ]}>Reports</Text>
+        </TouchableOpacity>
+
         <View style={{ flex: 1 }} />
 
         <TouchableOpacity 
@@ -424,7 +483,43 @@ export default function TeacherDashboard({ navigation, route }) {
 
       {/* Main Content */}
       <View style={styles.main}>
-        {currentTab === 'home' ? (
+        {currentTab === 'reports' ? (
+          <View style={{ flex: 1, padding: 40 }}>
+            <Text style={styles.welcome}>Reports</Text>
+            <Text style={styles.subtitle}>Results from the games you've hosted and set as homework</Text>
+
+            {isLoadingReports ? (
+              <ActivityIndicator size="large" color="#00c781" />
+            ) : (
+              <FlatList
+                data={reportSessions}
+                keyExtractor={item => item.id}
+                renderItem={({ item }) => (
+                  <TouchableOpacity
+                    style={[styles.reportRow, hoveredButton === item.id && styles.gameCardHover]}
+                    onPress={() => navigation.navigate('SessionReport', { sessionId: item.id })}
+                    onMouseEnter={() => setHoveredButton(item.id)}
+                    onMouseLeave={() => setHoveredButton(null)}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.gameTitle}>{getGameTitle(item.gameId)}</Text>
+                      <Text style={styles.creatorText}>
+                        {item.status === SESSION_STATUS.ASSIGNED
+                          ? `Homework • ${Date.now() < item.closeAt ? 'Due' : 'Closed'} ${new Date(item.closeAt).toLocaleString()} • Code ${item.pin}`
+                          : `${item.finishedAt ? new Date(item.finishedAt).toLocaleString() : 'Unknown date'} • PIN ${item.pin}`}
+                      </Text>
+                    </View>
+                    <Text style={styles.reportPlayers}>
+                      {((item.status === SESSION_STATUS.ASSIGNED ? item.studentIds : item.players) || []).length} players
+                    </Text>
+                    <Text style={styles.reportOpen}>View →</Text>
+                  </TouchableOpacity>
+                )}
+                ListEmptyComponent={<Text style={styles.emptyText}>No finished games yet. Host one to see results here.</Text>}
+              />
+            )}
+          </View>
+        ) : currentTab === 'home' ? (
           <View style={{ flex: 1, padding: 40 }}>
             <Text style={styles.welcome}>Welcome back, {userData?.username || 'Teacher'}!</Text>
             <Text style={styles.subtitle}>You have {myGames.length} games • {totalQuestions} questions created</Text>
@@ -563,12 +658,92 @@ export default function TeacherDashboard({ navigation, route }) {
                 <ScrollView style={styles.previewQuestionsList}>
                   {previewModal.game.questions.map((q, idx) => (
                     <View key={idx} style={styles.previewQuestionBlock}>
-                      <Text style={styles.previewQText}>{q.question}</Text>
-                      {q.imageUrl && (
+                      <RichText text={q.question} style={styles.previewQText} />
+                      {q.imageUrl && !isHotspot(q) && (
                         <Image source={{ uri: q.imageUrl }} style={styles.previewQImage} />
                       )}
+                      {q.media && (
+                        <>
+                          <QuestionMedia media={q.media} />
+                          <Text style={styles.previewMatchingText}>
+                            {describeMedia(q.media)} • {q.media.onDevices ? 'plays on host and player screens' : 'plays on the host screen'}
+                          </Text>
+                        </>
+                      )}
                       <View style={styles.previewAnswersList}>
-                        {q.type === 'multipleChoice' ? (
+                        {isTypeAnswer(q) ? (
+                          showAnswersInPreview ? (
+                            <>
+                              {getAcceptedAnswers(q).map((ans, i) => (
+                                <View key={i} style={[styles.previewAnswerItem, styles.previewCorrectAnswer]}>
+                                  <Text style={styles.previewAnswerText}>{ans}</Text>
+                                  <Text style={styles.correctMark}>✓</Text>
+                                </View>
+                              ))}
+                              <Text style={styles.previewMatchingText}>{describeMatching(q)}</Text>
+                            </>
+                          ) : (
+                            <View style={styles.previewAnswerItem}>
+                              <Text style={styles.previewAnswerText}>Type answer</Text>
+                            </View>
+                          )
+                        ) : isOrdering(q) ? (
+                          <>
+                            {/* Hidden answers show the items jumbled, as players first see them */}
+                            {(showAnswersInPreview ? range(q.items.length) : getStartingOrder(q, idx)).map((item, i) => (
+                              <View
+                                key={item}
+                                style={[styles.previewAnswerItem, showAnswersInPreview && styles.previewCorrectAnswer]}
+                              >
+                                <RichText
+                                  text={`${showAnswersInPreview ? `${i + 1}. ` : ''}${q.items[item]}`}
+                                  style={styles.previewAnswerText}
+                                />
+                              </View>
+                            ))}
+                            {showAnswersInPreview && (
+                              <Text style={styles.previewMatchingText}>
+                                {q.partialCredit ? 'Partial credit' : 'All or nothing'}
+                              </Text>
+                            )}
+                          </>
+                        ) : isSlider(q) ? (
+                          <>
+                            <View style={styles.previewAnswerItem}>
+                              <Text style={styles.previewAnswerText}>Slider from {q.min} to {q.max}</Text>
+                              <Text style={styles.previewMatchingText}>step {q.step}</Text>
+                            </View>
+                            {showAnswersInPreview && (
+                              <View style={[styles.previewAnswerItem, styles.previewCorrectAnswer]}>
+                                <Text style={styles.previewAnswerText}>{describeCorrectValue(q)}</Text>
+                                <Text style={styles.correctMark}>✓</Text>
+                              </View>
+                            )}
+                          </>
+                        ) : isPoll(q) ? (
+                          <>
+                            {q.answers.map((ans, i) => (ans || q.answerImages?.[i] ? (
+                              <View key={i} style={styles.previewAnswerItem}>
+                                {q.answerImages?.[i] && (
+                                  <Image source={{ uri: q.answerImages[i] }} style={styles.previewAnswerImage} />
+                                )}
+                                <RichText text={ans} style={styles.previewAnswerText} />
+                              </View>
+                            ) : null))}
+                            <Text style={styles.previewMatchingText}>Poll: no right answer</Text>
+                          </>
+                        ) : isWordCloud(q) ? (
+                          <View style={styles.previewAnswerItem}>
+                            <Text style={styles.previewAnswerText}>Word cloud: players answer with a word or short phrase</Text>
+                          </View>
+                        ) : isHotspot(q) ? (
+                          <>
+                            {q.imageUrl && <HotspotImage question={q} showRegions={showAnswersInPreview} />}
+                            <Text style={styles.previewMatchingText}>
+                              Players drop a pin on the image • {q.regions.length} correct region{q.regions.length === 1 ? '' : 's'}
+                            </Text>
+                          </>
+                        ) : q.type === QUESTION_TYPES.MULTIPLE_CHOICE ? (
                           q.answers.map((ans, i) => (
                             <View 
                               key={i} 
@@ -577,9 +752,13 @@ export default function TeacherDashboard({ navigation, route }) {
                                 showAnswersInPreview && q.correctAnswers[i] && styles.previewCorrectAnswer
                               ]}
                             >
-                              <Text style={styles.previewAnswerText}>
-                                {ans || `Answer ${i + 1}`}
-                              </Text>
+                              {q.answerImages?.[i] && (
+                                <Image source={{ uri: q.answerImages[i] }} style={styles.previewAnswerImage} />
+                              )}
+                              <RichText
+                                text={ans || (q.answerImages?.[i] ? '' : `Answer ${i + 1}`)}
+                                style={styles.previewAnswerText}
+                              />
                               {showAnswersInPreview && q.correctAnswers[i] && (
                                 <Text style={styles.correctMark}>✓ Correct</Text>
                               )}
@@ -726,8 +905,10 @@ const styles = StyleSheet.create({
     borderRadius: 12, 
     marginBottom: 12, 
     justifyContent: 'center', 
-    alignItems: 'center' 
+    alignItems: 'center',
+    overflow: 'hidden',
   },
+  gameCoverImage: { width: '100%', height: '100%' },
   squareCover: {
     height: cardSize * 0.6,
     marginBottom: 8,
@@ -753,6 +934,9 @@ const styles = StyleSheet.create({
   deleteBtn: { backgroundColor: '#c0392b', padding: 10, borderRadius: 10, flex: 1, alignItems: 'center' },
   btnText: { color: '#fff', fontSize: 13, fontWeight: 'bold' },
   emptyText: { color: '#666', fontSize: 18, textAlign: 'center', marginTop: 100 },
+  reportRow: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#1e1e1e', borderRadius: 16, padding: 20, marginBottom: 12, borderWidth: 1, borderColor: '#333', cursor: 'pointer' },
+  reportPlayers: { color: '#aaa', fontSize: 16, marginHorizontal: 20 },
+  reportOpen: { color: '#00c781', fontSize: 16, fontWeight: 'bold' },
   modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.8)', justifyContent: 'center', alignItems: 'center' },
   confirmModal: { backgroundColor: '#1e1e1e', borderRadius: 16, padding: 24, width: 360, borderWidth: 1, borderColor: '#333' },
   confirmModalTitle: { fontSize: 20, fontWeight: 'bold', color: '#fff', marginBottom: 12, textAlign: 'center' },
@@ -826,7 +1010,9 @@ const styles = StyleSheet.create({
     alignItems: 'center' 
   },
   previewCorrectAnswer: { backgroundColor: '#004d26' },
-  previewAnswerText: { color: '#fff', fontSize: 16 },
+  previewAnswerText: { color: '#fff', fontSize: 16, flexShrink: 1 },
+  previewAnswerImage: { width: 48, height: 48, borderRadius: 6, marginRight: 10 },
+  previewMatchingText: { color: '#aaa', fontSize: 14 },
   correctMark: { color: '#00c781', fontSize: 20, fontWeight: 'bold' },
   previewActionButtons: { 
     flexDirection: 'row', 
@@ -0,0 +1,112 @@
+/**
+ * answerMatching.js - Compares typed answers with a question's accepted answers
+ * Pure. Each rule in `question.matching` can be turned off by the teacher; typo
+ * tolerance allows that many single-character edits (insert, delete or change a letter),
+ * but never more than one per four characters so short answers stay exact.
+ */
+
+import { DEFAULT_MATCHING } from './questionTypes';
+
+const CHARS_PER_TYPO = 4;
+
+export const getMatching = (question) => ({ ...DEFAULT_MATCHING, ...(question?.matching || {}) });
+
+/**
+ * The form of a typed answer that's actually compared.
+ */
+export const normalizeAnswer = (text, matching = DEFAULT_MATCHING) => {
+  let result = (text || '').normalize('NFC').trim();
+  if (matching.ignoreCase) result = result.toLowerCase();
+  if (matching.ignoreAccents) result = result.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+  if (matching.ignorePunctuation) result = result.replace(/[^\p{L}\p{N}\s]/gu, '');
+  result = matching.ignoreWhitespace ? result.replace(/\s+/g, '') : result.replace(/\s+/g, ' ');
+  return result.trim();
+};
+
+/**
+ * Levenshtein distance, giving up early once it's past `max`.
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Accepted answers with blanks removed.
+ */
+export const getAcceptedAnswers = (question) =>
+  (question?.acceptedAnswers || []).map(a => (a || '').trim()).filter(Boolean);
+
+/**
+ * Whether `text` matches any of the question's accepted answers under its matching rules.
+ */
+export const matchesAcceptedAnswer = (question, text) => {
+  const matching = getMatching(question);
+  const typed = normalizeAnswer(text, matching);
+  if (!typed) return false;
+
+  return getAcceptedAnswers(question).some((accepted) => {
+    const target = normalizeAnswer(accepted, matching);
+    if (!target) return false;
+    if (typed === target) return true;
+
+    const allowed = Math.min(matching.typoTolerance || 0, Math.floor(target.length / CHARS_PER_TYPO));
+    return allowed > 0 && editDistance(typed, target, allowed) <= allowed;
+  });
+};
+
+/**
+ * Typed answers grouped by their normalized form, most common first, for the
+ * host's reveal and the report. The first spelling seen is shown for each group.
+ * Word clouds merge duplicates the same way (they have no accepted answers, so
+ * every group is `correct: false`).
+ * @param {object[]} answers - answer docs with `text`
+ * @returns {{ text: string, count: number, correct: boolean }[]}
+ */
+export const groupTypedAnswers = (question, answers) => {
+  const matching = getMatching(question);
+  const groups = new Map();
+
+  answers.forEach((a) => {
+    const key = normalizeAnswer(a.text, matching);
+    if (!key) return;
+    const group = groups.get(key) || { text: a.text.trim(), count: 0, correct: matchesAcceptedAnswer(question, a.text) };
+    group.count += 1;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+const RULE_LABELS = {
+  ignoreCase: 'case',
+  ignoreWhitespace: 'spaces',
+  ignorePunctuation: 'punctuation',
+  ignoreAccents: 'accents',
+};
+
+/**
+ * Short summary of a question's matching rules, e.g. "Ignores case, accents • 1 typo allowed".
+ */
+export const describeMatching = (question) => {
+  const matching = getMatching(question);
+  const ignored = Object.keys(RULE_LABELS).filter(key => matching[key]).map(key => RULE_LABELS[key]);
+  const parts = [ignored.length ? `Ignores ${ignored.join(', ')}` : 'Exact match'];
+  if (matching.typoTolerance) {
+    parts.push(`${matching.typoTolerance} typo${matching.typoTolerance === 1 ? '' : 's'} allowed`);
+  }
+  return parts.join(' • ');
+};
@@ -0,0 +1,280 @@
+/**
+ * assignments.js - Self-paced homework: a game set with an open and close date
+ * An assignment is a `gameSessions` doc with status ASSIGNED, so its answers and
+ * roster have the same shape as a live game's and SessionReport works unchanged.
+ * Its code is a PIN reserved in `gamePins` until the close date. Each student
+ * moves through the questions on their own; their roster entry lives in its own
+ * `progress/{playerId}` doc, so a class working at once never contends on the
+ * assignment doc. Reports load those docs as the assignment's `players`.
+ */
+
+import { db, auth } from '../firebaseConfig';
+import {
+  arrayUnion,
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  runTransaction,
+  serverTimestamp,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
+import { SESSION_STATUS } from './gameEngine';
+import { reservePin, isPinReserved } from './gameSession';
+import { applyQuestionScores } from './scoring';
+import { range, seededShuffle } from './shuffle';
+
+// Where an assignment is in its window
+export const ASSIGNMENT_STATES = {
+  UPCOMING: 'upcoming',
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+// How long a new assignment stays open unless the teacher picks a date
+export const DEFAULT_ASSIGNMENT_DAYS = 7;
+
+// Leeway for an answer sent as the timer ran out to reach the server
+const LATE_SUBMIT_GRACE_MS = 2000;
+
+// Friendly copy for the `code` on errors thrown by the helpers below
+export const ASSIGNMENT_ERROR_MESSAGES = {
+  'assignment/not-found': 'No homework found with that code. Check it and try again.',
+  'assignment/bad-dates': 'The close date needs to be after the open date and in the future.',
+  'assignment/not-open': 'This homework isn\'t open yet.',
+  'assignment/closed': 'This homework is closed.',
+  'assignment/not-started': 'Add this homework from your dashboard first.',
+  'assignment/out-of-order': 'That question was already answered. Reload to continue.',
+  'session/no-pin': 'Could not find a free homework code. Please try again.',
+};
+
+export const getAssignmentErrorMessage = (err) =>
+  ASSIGNMENT_ERROR_MESSAGES[err?.code] || 'Something went wrong with this homework. Please try again.';
+
+const assignmentError = (code) => {
+  const err = new Error(ASSIGNMENT_ERROR_MESSAGES[code] || code);
+  err.code = code;
+  return err;
+};
+
+export const getAssignmentState = (assignment, now = Date.now()) => {
+  if (now < assignment.openAt) return ASSIGNMENT_STATES.UPCOMING;
+  if (now >= assignment.closeAt) return ASSIGNMENT_STATES.CLOSED;
+  return ASSIGNMENT_STATES.OPEN;
+};
+
+/**
+ * Each student gets their own question order when the teacher shuffles questions,
+ * stable across reloads.
+ * @returns {number[]} indices into the game's `questions`, in play order
+ */
+export const getStudentQuestionOrder = (assignment, playerId, questionCount) =>
+  (assignment.settings?.shuffleQuestions
+    ? seededShuffle(range(questionCount), `${assignment.id}:${playerId}`)
+    : range(questionCount));
+
+/**
+ * Sets a game as homework. The code is reserved until the close date.
+ * @param {object} settings - Quick Settings from HostGameMenu
+ * @param {number} openAt - ms timestamp students can start from
+ * @param {number} closeAt - ms timestamp answers stop being accepted
+ * @param {object[]} questions - the game's questions; the assignment keeps its own copy
+ * @returns {{ assignmentId: string, pin: string }}
+ */
+export const createAssignment = async (gameId, settings, openAt, closeAt, questions) => {
+  if (!(closeAt > openAt) || closeAt <= Date.now()) throw assignmentError('assignment/bad-dates');
+
+  const hostId = auth.currentUser.uid;
+  const assignmentRef = doc(collection(db, 'gameSessions'));
+
+  const pin = await runTransaction(db, async (transaction) => {
+    const candidate = await reservePin(transaction, assignmentRef.id, hostId, closeAt);
+    transaction.set(assignmentRef, {
+      gameId,
+      hostId,
+      pin: candidate,
+      status: SESSION_STATUS.ASSIGNED,
+      studentIds: [],
+      questions,
+      settings,
+      openAt,
+      closeAt,
+      createdAt: serverTimestamp(),
+    });
+    return candidate;
+  });
+
+  return { assignmentId: assignmentRef.id, pin };
+};
+
+/**
+ * Looks up the assignment a homework code belongs to.
+ */
+export const findAssignmentByCode = async (code) => {
+  const pinSnap = await getDoc(doc(db, 'gamePins', code));
+  if (!pinSnap.exists() || !isPinReserved(pinSnap.data())) throw assignmentError('assignment/not-found');
+
+  const snap = await getDoc(doc(db, 'gameSessions', pinSnap.data().sessionId));
+  if (!snap.exists() || snap.data().status !== SESSION_STATUS.ASSIGNED) throw assignmentError('assignment/not-found');
+
+  return { id: snap.id, ...snap.data() };
+};
+
+const progressRef = (assignmentId, playerId) => doc(db, 'gameSessions', assignmentId, 'progress', playerId);
+
+export const fetchAssignment = async (assignmentId) => {
+  const snap = await getDoc(doc(db, 'gameSessions', assignmentId));
+  if (!snap.exists() || snap.data().status !== SESSION_STATUS.ASSIGNED) throw assignmentError('assignment/not-found');
+  return { id: snap.id, ...snap.data() };
+};
+
+/**
+ * Every student's roster entry, in the order they added the homework.
+ */
+export const fetchAssignmentPlayers = async (assignmentId) => {
+  const snap = await getDocs(collection(db, 'gameSessions', assignmentId, 'progress'));
+  return snap.docs.map(d => d.data()).sort((a, b) => a.joinedAt - b.joinedAt);
+};
+
+/**
+ * One student's roster entry, or null if they haven't added the homework.
+ */
+export const fetchStudentProgress = async (assignmentId, playerId) => {
+  const snap = await getDoc(progressRef(assignmentId, playerId));
+  return snap.exists() ? snap.data() : null;
+};
+
+/**
+ * Assignments a student has added, soonest close date first, each with their
+ * roster entry as `me`.
+ */
+export const fetchStudentAssignments = async (userId) => {
+  const snap = await getDocs(query(
+    collection(db, 'gameSessions'),
+    where('studentIds', 'array-contains', userId)
+  ));
+
+  const assignments = await Promise.all(snap.docs.map(async d => ({
+    id: d.id,
+    ...d.data(),
+    me: await fetchStudentProgress(d.id, userId),
+  })));
+  return assignments.sort((a, b) => a.closeAt - b.closeAt);
+};
+
+/**
+ * Adds a student to an assignment's roster (no-op if they're already on it).
+ * Students can add homework before it opens, but not after it closes.
+ * @param {string} nickname - shown in the teacher's report
+ */
+export const addStudentToAssignment = async (assignmentId, userId, nickname) => {
+  const assignment = await fetchAssignment(assignmentId);
+  const entryRef = progressRef(assignmentId, userId);
+
+  const added = await runTransaction(db, async (transaction) => {
+    if ((await transaction.get(entryRef)).exists()) return false;
+    if (getAssignmentState(assignment) === ASSIGNMENT_STATES.CLOSED) throw assignmentError('assignment/closed');
+
+    transaction.set(entryRef, {
+      id: userId,
+      userId,
+      nickname,
+      joinedAt: Date.now(),
+      score: 0,
+      correctCount: 0,
+      streak: 0,
+      answeredCount: 0,
+      completedAt: null,
+      questionShownAt: null,
+    });
+    return true;
+  });
+
+  // Lets fetchStudentAssignments find it; a plain arrayUnion, so joins don't conflict
+  if (added) await updateDoc(doc(db, 'gameSessions', assignmentId), { studentIds: arrayUnion(userId) });
+};
+
+/**
+ * When the student's current question was first shown, saving it now if this is
+ * the first time. It lives with their progress, so leaving or reloading the
+ * homework doesn't restart the question's timer.
+ * @param {number} position - the student's current `answeredCount`
+ * @returns {Promise<number>} ms timestamp the question's timer started from
+ */
+export const markQuestionShown = async (assignmentId, playerId, position) => {
+  const entryRef = progressRef(assignmentId, playerId);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(entryRef);
+    if (!snap.exists()) throw assignmentError('assignment/not-started');
+
+    const player = snap.data();
+    if ((player.answeredCount || 0) !== position) throw assignmentError('assignment/out-of-order');
+    if (player.questionShownAt?.position === position) return player.questionShownAt.at;
+
+    const at = Date.now();
+    transaction.update(entryRef, { questionShownAt: { position, at } });
+    return at;
+  });
+};
+
+/**
+ * Scores one question for a student and moves them on. `position` must be the
+ * student's current `answeredCount`, so a double tap or second device can't
+ * answer the same question twice.
+ * @param {number} position - play position within the student's question order
+ * @param {number} questionIndex - index into the game's `questions`
+ * @param {object|null} answer - `{ selected | text | order | value | point, responseTimeMs }`, or null when time ran out
+ * @param {object} question - the game question, for scoring
+ * @param {number} timeLimitMs - answer window the student had
+ * @param {number} totalQuestions - marks the student complete after the last one
+ * @returns {Promise<{ entry: object, answer: object|null }>} the student's updated roster entry and the
+ *   answer as recorded: timed from when the question was first shown, and null if it came in after time ran out
+ */
+export const submitAssignmentAnswer = async (assignmentId, playerId, {
+  position, questionIndex, answer, question, timeLimitMs, totalQuestions,
+}) => {
+  // Open and close dates never change, so they're checked outside the transaction
+  const state = getAssignmentState(await fetchAssignment(assignmentId));
+  if (state === ASSIGNMENT_STATES.UPCOMING) throw assignmentError('assignment/not-open');
+  if (state === ASSIGNMENT_STATES.CLOSED) throw assignmentError('assignment/closed');
+
+  const entryRef = progressRef(assignmentId, playerId);
+  const answerRef = doc(db, 'gameSessions', assignmentId, 'answers', `${questionIndex}_${playerId}`);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(entryRef);
+    if (!snap.exists()) throw assignmentError('assignment/not-started');
+
+    const player = snap.data();
+    if ((player.answeredCount || 0) !== position) throw assignmentError('assignment/out-of-order');
+
+    // Timed from the start markQuestionShown saved, so reloading doesn't restart the
+    // clock. Both ends come from the student's device clock: this stops reloads
+    // buying time, not a tampered client.
+    const shownAt = player.questionShownAt?.position === position ? player.questionShownAt.at : null;
+    const elapsed = shownAt === null ? null : Date.now() - shownAt;
+    const inTime = elapsed === null || elapsed <= timeLimitMs + LATE_SUBMIT_GRACE_MS;
+
+    const answerDoc = answer && inTime ? {
+      playerId,
+      questionIndex,
+      ...answer,
+      ...(elapsed !== null && { responseTimeMs: Math.min(elapsed, timeLimitMs) }),
+      submittedAt: serverTimestamp(),
+    } : null;
+    const [scored] = applyQuestionScores([player], question, answerDoc ? [answerDoc] : [], timeLimitMs);
+    const updated = {
+      ...scored,
+      answeredCount: position + 1,
+      completedAt: position + 1 >= totalQuestions ? Date.now() : null,
+      questionShownAt: null,
+    };
+
+    if (answerDoc) transaction.set(answerRef, answerDoc);
+    transaction.set(entryRef, updated);
+    return { entry: updated, answer: answerDoc && { ...answer, responseTimeMs: answerDoc.responseTimeMs } };
+  });
+};
@@ -0,0 +1,88 @@
+/**
+ * codeHighlight.js - Light syntax highlighting for fenced code in questions
+ * Pure. Not a real parser: it picks out comments, strings, numbers and keywords,
+ * which is all a short classroom snippet needs. Unknown or missing languages get
+ * the C-style rules and every keyword list at once.
+ */
+
+const C_KEYWORDS = [
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue', 'return',
+  'true', 'false', 'null', 'new', 'this', 'class', 'try', 'catch', 'finally', 'throw', 'void',
+];
+
+const KEYWORDS = {
+  js: [
+    ...C_KEYWORDS, 'const', 'let', 'var', 'function', 'async', 'await', 'import', 'export', 'from',
+    'typeof', 'instanceof', 'undefined', 'of', 'in', 'extends', 'yield',
+  ],
+  python: [
+    'def', 'class', 'return', 'if', 'elif', 'else', 'for', 'while', 'in', 'not', 'and', 'or', 'is',
+    'None', 'True', 'False', 'import', 'from', 'as', 'with', 'try', 'except', 'finally', 'raise',
+    'lambda', 'pass', 'break', 'continue', 'yield', 'global', 'print', 'self',
+  ],
+  java: [
+    ...C_KEYWORDS, 'public', 'private', 'protected', 'static', 'final', 'int', 'long', 'double',
+    'float', 'boolean', 'char', 'String', 'extends', 'implements', 'interface', 'import', 'package',
+  ],
+  c: [
+    ...C_KEYWORDS, 'int', 'long', 'short', 'double', 'float', 'char', 'unsigned', 'signed', 'struct',
+    'const', 'static', 'sizeof', 'include', 'define', 'bool', 'auto', 'std', 'using', 'namespace',
+  ],
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js',
+  py: 'python', python3: 'python',
+  cpp: 'c', 'c++': 'c', h: 'c', csharp: 'c', cs: 'c', 'c#': 'c',
+  kotlin: 'java',
+};
+
+const HASH_COMMENT_LANGUAGES = ['python'];
+
+const ALL_KEYWORDS = [...new Set(Object.values(KEYWORDS).flat())];
+
+const STRING = String.raw`"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|\`(?:\\.|[^\`\\])*\``;
+const NUMBER = String.raw`\b\d+(?:\.\d+)?\b`;
+const WORD = String.raw`[A-Za-z_]\w*`;
+
+const getRules = (lang) => {
+  const language = LANGUAGE_ALIASES[lang] || lang;
+  const isHash = HASH_COMMENT_LANGUAGES.includes(language);
+  const comment = isHash ? '#.*' : String.raw`\/\/.*|\/\*[\s\S]*?\*\/`;
+  return {
+    keywords: new Set(KEYWORDS[language] || ALL_KEYWORDS),
+    pattern: new RegExp(`(${comment})|(${STRING})|(${NUMBER})|(${WORD})`, 'g'),
+  };
+};
+
+/**
+ * Splits code into tokens to color.
+ * @param {string} lang - the fence's language tag, e.g. 'python'; may be empty
+ * @returns {{ type: 'plain'|'comment'|'string'|'number'|'keyword', text: string }[]}
+ */
+export const highlightCode = (code, lang = '') => {
+  const { keywords, pattern } = getRules(lang);
+  const tokens = [];
+  let last = 0;
+
+  const push = (type, text) => {
+    const prev = tokens[tokens.length - 1];
+    if (prev?.type === type) prev.text += text;
+    else tokens.push({ type, text });
+  };
+
+  for (let match = pattern.exec(code); match; match = pattern.exec(code)) {
+    const [text, comment, string, number] = match;
+    if (match.index > last) push('plain', code.slice(last, match.index));
+
+    if (comment) push('comment', text);
+    else if (string) push('string', text);
+    else if (number) push('number', text);
+    else push(keywords.has(text) ? 'keyword' : 'plain', text);
+
+    last = match.index + text.length;
+  }
+
+  if (last < code.length) push('plain', code.slice(last));
+  return tokens;
+};
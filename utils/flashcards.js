@@ -0,0 +1,77 @@
+/**
+ * flashcards.js - Turns a game into a flashcard deck and stores study progress
+ * Front = question, back = its correct answer(s). Each user's SM-2 schedules for a
+ * game live in one `studyProgress/{userId}_{gameId}` doc → { userId, gameId, cards: { [cardId]: schedule } }.
+ * Card ids come from the card's text, so editing or reordering the game's questions
+ * never hands one card's schedule to another.
+ */
+
+import { db } from '../firebaseConfig';
+import { doc, getDoc, setDoc, updateDoc, deleteField, FieldPath, serverTimestamp } from 'firebase/firestore';
+import { getOptionLabels, getCorrectIndices } from './gameEngine';
+import { isTypeAnswer, isOrdering, isSlider } from './questionTypes';
+import { getAcceptedAnswers } from './answerMatching';
+import { describeCorrectValue } from './slider';
+
+const progressRef = (userId, gameId) => doc(db, 'studyProgress', `${userId}_${gameId}`);
+
+// FNV-1a, as base 36: short, stable ids for the same front and back
+const hashCard = (front, back) => {
+  let hash = 0x811c9dc5;
+  for (const char of `${front}\u0000${back}`) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * One card per question that has a correct answer; questions with the same text
+ * and answer make one card. Card ids are a hash of the front and back.
+ * Hotspot questions are left out: their answer is a place on the image, not text.
+ * @returns {{ id: string, front: string, back: string, imageUrl: string|null }[]}
+ */
+export const buildDeck = (game) =>
+  (game?.questions || [])
+    .map((question) => {
+      const options = getOptionLabels(question);
+      let back = getCorrectIndices(question).map(i => options[i]).filter(Boolean).join('\n');
+      if (isTypeAnswer(question)) back = getAcceptedAnswers(question).join('\n');
+      if (isSlider(question)) back = describeCorrectValue(question);
+      if (isOrdering(question)) back = (question.items || []).map((item, i) => `${i + 1}. ${item}`).join('\n');
+      const front = question.question || 'Untitled question';
+      return { id: hashCard(front, back), front, back, imageUrl: question.imageUrl || null };
+    })
+    .filter((card, i, cards) => card.back && cards.findIndex(c => c.id === card.id) === i);
+
+/**
+ * This user's schedules for the deck's cards, keyed by card id (empty if never studied).
+ * Schedules for cards that are no longer in the deck (their question was edited or
+ * removed) are left out and deleted.
+ */
+export const fetchStudyProgress = async (userId, gameId, deck) => {
+  const ref = progressRef(userId, gameId);
+  const snap = await getDoc(ref);
+  const saved = snap.exists() ? snap.data().cards || {} : {};
+
+  const cardIds = new Set(deck.map(card => card.id));
+  const staleIds = Object.keys(saved).filter(id => !cardIds.has(id));
+  if (staleIds.length) {
+    const [first, ...rest] = staleIds.map(id => new FieldPath('cards', id));
+    updateDoc(ref, first, deleteField(), ...rest.flatMap(path => [path, deleteField()]))
+      .catch(err => console.warn('Failed to drop old flashcard progress:', err));
+  }
+
+  return Object.fromEntries(Object.entries(saved).filter(([id]) => cardIds.has(id)));
+};
+
+/**
+ * Saves one card's new schedule without touching the others.
+ */
+export const saveCardSchedule = (userId, gameId, cardId, schedule) =>
+  setDoc(progressRef(userId, gameId), {
+    userId,
+    gameId,
+    cards: { [cardId]: schedule },
+    updatedAt: serverTimestamp(),
+  }, { merge: true });
@@ -0,0 +1,178 @@
+/**
+ * gameEngine.js - Pure state machine for a live session
+ * question → answering → reveal → leaderboard → next question … → finished
+ *
+ * The host is the only device that advances the session; players just render
+ * whatever `phase` / `currentQuestionIndex` the session doc says.
+ *
+ * `currentQuestionIndex` is the play position. With shuffled questions it maps
+ * to the game's `questions` through `questionOrder`; answers are always recorded
+ * against the original question and option indices.
+ */
+
+import { range, shuffle, seededShuffle } from './shuffle';
+import { QUESTION_TYPES, isChoiceQuestion, isPoll } from './questionTypes';
+
+export const SESSION_STATUS = {
+  LOBBY: 'lobby',
+  IN_PROGRESS: 'inProgress',
+  FINISHED: 'finished',
+  // Lobby abandoned by its host; its PIN has been (or can be) given to another session
+  EXPIRED: 'expired',
+  // Homework: never goes live, students play it on their own between `openAt` and `closeAt`
+  ASSIGNED: 'assigned',
+};
+
+export const PHASES = {
+  QUESTION: 'question',
+  ANSWERING: 'answering',
+  REVEAL: 'reveal',
+  LEADERBOARD: 'leaderboard',
+};
+
+// How long the question stem is shown before answers open
+export const QUESTION_INTRO_MS = 4000;
+
+const DEFAULT_TIME_LIMIT = 20;
+
+/**
+ * Answer window for a question in ms: its `timeLimit` scaled by the host's multiplier.
+ */
+export const getAnswerTimeMs = (question, settings = {}) =>
+  Math.round((question?.timeLimit || DEFAULT_TIME_LIMIT) * (settings.timeMultiplier || 1) * 1000);
+
+/**
+ * Option labels for a question, indexed the same way as `correctAnswers`.
+ * Only choice questions have them (see questionTypes.js); anything that isn't
+ * multiple choice or a poll is the editor's True/False branch.
+ */
+export const getAnswerOptions = (question) => {
+  if (!isChoiceQuestion(question)) return [];
+  if (question?.type === QUESTION_TYPES.MULTIPLE_CHOICE || isPoll(question)) return question.answers || [];
+  return ['True', 'False'];
+};
+
+/**
+ * Picture for each option, lined up with `getAnswerOptions` (null where there's none).
+ */
+export const getAnswerImages = (question) =>
+  getAnswerOptions(question).map((_, i) => question.answerImages?.[i] || null);
+
+/**
+ * Option labels for places that only show text (reports, flashcards): an option
+ * that is just a picture is called "Picture N".
+ */
+export const getOptionLabels = (question) => {
+  const images = getAnswerImages(question);
+  return getAnswerOptions(question).map((label, i) => label || (images[i] ? `Picture ${i + 1}` : ''));
+};
+
+/**
+ * Indices of the options marked correct.
+ */
+export const getCorrectIndices = (question) =>
+  (question?.correctAnswers || []).reduce((acc, isCorrect, i) => (isCorrect ? [...acc, i] : acc), []);
+
+export const isMultiSelect = (question) => getCorrectIndices(question).length > 1;
+
+/**
+ * Play order for a new session: the game's question indices, shuffled if the host asked.
+ * @returns {number[]|null} null means stored order
+ */
+export const createQuestionOrder = (questionCount, settings = {}) =>
+  (settings.shuffleQuestions ? shuffle(range(questionCount)) : null);
+
+/**
+ * The questions a session plays and reports on: the copy taken when it was
+ * created, so editing the game afterwards can't change a game in progress or
+ * its report. Sessions from before the copy fall back to the game's questions.
+ */
+export const getSessionQuestions = (session, game) => session?.questions || game?.questions || [];
+
+/**
+ * Index into the game's `questions` for a play position (defaults to the current one).
+ */
+export const getQuestionIndex = (session, position = session?.currentQuestionIndex || 0) =>
+  session?.questionOrder?.[position] ?? position;
+
+/**
+ * The order one player sees a question's options in, as original option indices.
+ * Shuffled per player when the host turned on `shuffleAnswers`; seeded so it is
+ * stable across re-renders and reloads. True/False keeps its order.
+ * @param {string} seed - e.g. `${sessionId}:${playerId}:${questionIndex}`
+ */
+export const getAnswerOrder = (question, settings, seed) => {
+  const indices = range(getAnswerOptions(question).length);
+  if (!settings?.shuffleAnswers || question?.type !== QUESTION_TYPES.MULTIPLE_CHOICE) return indices;
+  return seededShuffle(indices, seed);
+};
+
+/**
+ * Fields the host writes to the session doc to enter a phase.
+ */
+export const enterPhase = (phase, extra = {}) => ({
+  phase,
+  phaseStartedAt: Date.now(),
+  ...extra,
+});
+
+/**
+ * Fields that end a session, whether it ran out of questions or the host ended it early.
+ */
+export const getFinishUpdates = () => {
+  const now = Date.now();
+  return { status: SESSION_STATUS.FINISHED, phase: null, phaseStartedAt: now, finishedAt: now, paused: false, pausedAt: null };
+};
+
+/**
+ * Whether a session can no longer be joined or played: explicitly expired, or an
+ * unfinished session whose `expiresAt` (kept fresh by the host) has passed.
+ */
+export const isSessionExpired = (session, now = Date.now()) =>
+  !!session && (
+    session.status === SESSION_STATUS.EXPIRED ||
+    (session.status !== SESSION_STATUS.FINISHED && !!session.expiresAt && session.expiresAt <= now)
+  );
+
+/**
+ * Fields that freeze the current phase's timer.
+ */
+export const getPauseUpdates = () => ({ paused: true, pausedAt: Date.now() });
+
+/**
+ * Fields that resume a paused session. The phase start is pushed forward by the
+ * time spent paused so countdowns pick up where they stopped.
+ */
+export const getResumeUpdates = (session) => {
+  const pausedFor = session.pausedAt ? Date.now() - session.pausedAt : 0;
+  return {
+    paused: false,
+    pausedAt: null,
+    ...(session.phaseStartedAt ? { phaseStartedAt: session.phaseStartedAt + pausedFor } : {}),
+  };
+};
+
+/**
+ * Session updates that move from the current phase to the next one.
+ * Skips the reveal when the host turned off `showAnswersAfter`.
+ * @param {object} session - current session doc
+ * @param {number} totalQuestions - length of the game's `questions` array
+ * @returns {object} fields to merge into the session doc
+ */
+export const getNextPhaseUpdates = (session, totalQuestions) => {
+  const index = session.currentQuestionIndex || 0;
+  const showAnswersAfter = session.settings?.showAnswersAfter !== false;
+
+  switch (session.phase) {
+    case PHASES.QUESTION:
+      return enterPhase(PHASES.ANSWERING);
+    case PHASES.ANSWERING:
+      return enterPhase(showAnswersAfter ? PHASES.REVEAL : PHASES.LEADERBOARD);
+    case PHASES.REVEAL:
+      return enterPhase(PHASES.LEADERBOARD);
+    case PHASES.LEADERBOARD:
+    default:
+      if (index + 1 >= totalQuestions) return getFinishUpdates();
+      return enterPhase(PHASES.QUESTION, { currentQuestionIndex: index + 1 });
+  }
+};
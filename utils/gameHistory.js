@@ -0,0 +1,80 @@
+/**
+ * gameHistory.js - Writes `gameHistory` records read by StudentDashboard's Recent tab
+ * One doc per (session or assignment, player); ids are deterministic so re-recording a session is harmless.
+ * Solo practice runs get a fresh doc each time, since the same game can be practised again and again.
+ */
+
+import { db } from '../firebaseConfig';
+import { collection, doc, serverTimestamp, setDoc, writeBatch } from 'firebase/firestore';
+import { rankPlayers } from './leaderboard';
+
+/**
+ * Records a finished live session for every signed-in player.
+ * Guests (no `userId`) have no dashboard, so nothing is written for them.
+ * @param {object} session - finished session doc (with `id`)
+ * @param {number} totalQuestions - number of scored questions in the game (polls and word clouds don't count)
+ */
+export const recordSessionHistory = async (session, totalQuestions) => {
+  const ranked = rankPlayers(session.players || []).filter(p => p.userId);
+  if (ranked.length === 0) return;
+
+  const batch = writeBatch(db);
+  ranked.forEach((player) => {
+    batch.set(doc(db, 'gameHistory', `${session.id}_${player.id}`), {
+      playerId: player.userId,
+      gameId: session.gameId,
+      sessionId: session.id,
+      mode: 'live',
+      nickname: player.nickname,
+      score: player.score || 0,
+      rank: player.rank,
+      totalPlayers: (session.players || []).length,
+      correctCount: player.correctCount || 0,
+      totalQuestions,
+      playedAt: serverTimestamp(),
+    });
+  });
+
+  await batch.commit();
+};
+
+/**
+ * Records a student's finished homework assignment on their dashboard.
+ * @param {object} assignment - assignment session doc (with `id`)
+ * @param {object} player - the student's roster entry after their last answer
+ * @param {number} totalQuestions - number of scored questions in the game (polls and word clouds don't count)
+ */
+export const recordAssignmentHistory = async (assignment, player, totalQuestions) => {
+  if (!player.userId) return;
+
+  await setDoc(doc(db, 'gameHistory', `${assignment.id}_${player.id}`), {
+    playerId: player.userId,
+    gameId: assignment.gameId,
+    sessionId: assignment.id,
+    mode: 'assignment',
+    nickname: player.nickname,
+    score: player.score || 0,
+    correctCount: player.correctCount || 0,
+    totalQuestions,
+    playedAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Records a finished solo practice run.
+ * @param {string} userId - the signed-in student (practice runs by guests aren't recorded)
+ * @param {{ score: number, correctCount: number, totalQuestions: number }} result
+ */
+export const recordPracticeHistory = async (userId, gameId, { score, correctCount, totalQuestions }) => {
+  if (!userId) return;
+
+  await setDoc(doc(collection(db, 'gameHistory')), {
+    playerId: userId,
+    gameId,
+    mode: 'practice',
+    score,
+    correctCount,
+    totalQuestions,
+    playedAt: serverTimestamp(),
+  });
+};
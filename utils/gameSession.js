@@ -0,0 +1,594 @@
+/**
+ * gameSession.js - Firestore helpers shared by the host and player screens
+ * Every live game is a single `gameSessions/{sessionId}` doc created by HostGameMenu.
+ * Its PIN is reserved in `gamePins/{pin}` → { sessionId, hostId, expiresAt } so no two
+ * active sessions share one; reservations expire so abandoned lobbies free their PIN.
+ * Homework assignments (assignments.js) are session docs too, reserving their code the same way.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { db, auth } from '../firebaseConfig';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  query,
+  runTransaction,
+  serverTimestamp,
+  arrayUnion,
+  setDoc,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
+import { SESSION_STATUS, PHASES, enterPhase, isSessionExpired, createQuestionOrder, getQuestionIndex } from './gameEngine';
+import { NICKNAME_MODES, NICKNAME_ERROR_MESSAGES, validateNickname } from './nicknames';
+import { generateFriendlyName } from './randomNames';
+import { TEAM_ASSIGNMENT, getTeams, pickBalancedTeam, canJoinTeam, balanceTeams } from './teams';
+
+export { SESSION_STATUS };
+
+// A lobby's PIN stays reserved this long after the host's last keep-alive
+export const PIN_LOBBY_TTL_MS = 30 * 60 * 1000;
+export const PIN_KEEPALIVE_MS = 5 * 60 * 1000;
+// Once started, long enough for any game; released early when the game finishes
+export const PIN_GAME_TTL_MS = 4 * 60 * 60 * 1000;
+const MAX_PIN_ATTEMPTS = 20;
+
+// Friendly copy for the `code` on errors thrown by findSessionByPin / joinSession
+export const JOIN_ERROR_MESSAGES = {
+  'session/not-found': 'No game found with that PIN. Check the code and try again.',
+  'session/already-started': 'This game has already started.',
+  'session/locked': 'The host has locked this lobby.',
+  ...NICKNAME_ERROR_MESSAGES,
+  'session/ended': 'That game has already finished.',
+  'session/not-in-game': 'You are no longer part of that game.',
+  'session/banned': 'The host has removed you from this game.',
+  'session/expired': 'This lobby expired. Launch a new one to get a fresh PIN.',
+  'session/no-pin': 'Could not find a free game PIN. Please try again.',
+  'session/team-full': 'That team has too many players. Pick a smaller team.',
+  'session/is-assignment': 'That code is for homework. Sign in and add it from your dashboard.',
+  'session/answer-closed': 'Time ran out before your answer arrived.',
+};
+
+// AsyncStorage key for the session this device last joined, so a reload can rejoin it
+const ACTIVE_SESSION_KEY = 'activeGameSession';
+// AsyncStorage key for this device's guest player id, reused so host bans stick
+const GUEST_ID_KEY = 'guestPlayerId';
+
+export const getJoinErrorMessage = (err) => {
+  const message = JOIN_ERROR_MESSAGES[err?.code] || 'Failed to join the game. Please try again.';
+  return err?.suggestion ? `${message} How about "${err.suggestion}"?` : message;
+};
+
+const sessionError = (code) => {
+  const err = new Error(JOIN_ERROR_MESSAGES[code] || code);
+  err.code = code;
+  return err;
+};
+
+// Signed-in players keep their uid so results can be tied back to their account;
+// guests get one id per device
+const getPlayerId = async () => {
+  if (auth.currentUser) return auth.currentUser.uid;
+
+  const stored = await AsyncStorage.getItem(GUEST_ID_KEY);
+  if (stored) return stored;
+
+  const guestId = `guest-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  await AsyncStorage.setItem(GUEST_ID_KEY, guestId);
+  return guestId;
+};
+
+const randomPin = () => Math.floor(100000 + Math.random() * 900000).toString();
+
+export const isPinReserved = (reservation, now = Date.now()) => !!reservation && reservation.expiresAt > now;
+
+/**
+ * Inside a transaction: picks a PIN no active session holds and reserves it for `sessionId`.
+ * All reads happen before the write, as Firestore transactions require.
+ * @returns {Promise<string>} the PIN
+ */
+export const reservePin = async (transaction, sessionId, hostId, expiresAt) => {
+  for (let attempt = 0; attempt < MAX_PIN_ATTEMPTS; attempt += 1) {
+    const candidate = randomPin();
+    const pinRef = doc(db, 'gamePins', candidate);
+    const pinSnap = await transaction.get(pinRef);
+    if (pinSnap.exists() && isPinReserved(pinSnap.data())) continue;
+
+    transaction.set(pinRef, { sessionId, hostId, expiresAt });
+    return candidate;
+  }
+  throw sessionError('session/no-pin');
+};
+
+/**
+ * Creates a lobby for a game under a PIN no other active session is using.
+ * The PIN reservation and the session are written in one transaction, so two
+ * hosts can never end up with the same PIN.
+ * @param {object} settings - Quick Settings from HostGameMenu
+ * @param {object[]} questions - the game's questions; the session keeps its own copy
+ * @returns {{ sessionId: string, pin: string }}
+ */
+export const createSession = async (gameId, settings, questions) => {
+  const hostId = auth.currentUser.uid;
+  const sessionRef = doc(collection(db, 'gameSessions'));
+
+  const pin = await runTransaction(db, async (transaction) => {
+    const expiresAt = Date.now() + PIN_LOBBY_TTL_MS;
+    const candidate = await reservePin(transaction, sessionRef.id, hostId, expiresAt);
+    transaction.set(sessionRef, {
+      gameId,
+      hostId,
+      pin: candidate,
+      status: SESSION_STATUS.LOBBY,
+      locked: false,
+      namesHidden: false,
+      paused: false,
+      players: [],
+      bannedIds: [],
+      currentQuestionIndex: 0,
+      questions,
+      questionOrder: createQuestionOrder(questions.length, settings),
+      settings,
+      expiresAt,
+      createdAt: serverTimestamp(),
+    });
+    return candidate;
+  });
+
+  return { sessionId: sessionRef.id, pin };
+};
+
+/**
+ * Host keep-alive for an open lobby: pushes its PIN reservation (and the session's
+ * `expiresAt`) forward. If the PIN already went to another session, the lobby is
+ * marked expired instead.
+ * @returns {boolean} whether the lobby is still alive
+ */
+export const refreshLobby = async (sessionId, pin) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+  const pinRef = doc(db, 'gamePins', pin);
+
+  return runTransaction(db, async (transaction) => {
+    const sessionSnap = await transaction.get(sessionRef);
+    const pinSnap = await transaction.get(pinRef);
+    if (!sessionSnap.exists() || sessionSnap.data().status !== SESSION_STATUS.LOBBY) return false;
+
+    const reservation = pinSnap.exists() ? pinSnap.data() : null;
+    if (reservation && reservation.sessionId !== sessionId && isPinReserved(reservation)) {
+      transaction.update(sessionRef, { status: SESSION_STATUS.EXPIRED });
+      return false;
+    }
+
+    const expiresAt = Date.now() + PIN_LOBBY_TTL_MS;
+    transaction.set(pinRef, { sessionId, hostId: sessionSnap.data().hostId, expiresAt });
+    transaction.update(sessionRef, { expiresAt });
+    return true;
+  });
+};
+
+/**
+ * Frees a session's PIN for reuse. Only deletes the reservation if it still
+ * belongs to this session.
+ */
+export const releasePin = async (sessionId, pin) => {
+  const pinRef = doc(db, 'gamePins', pin);
+  const pinSnap = await getDoc(pinRef);
+  if (pinSnap.exists() && pinSnap.data().sessionId === sessionId) {
+    await deleteDoc(pinRef);
+  }
+};
+
+/**
+ * Listens to a session doc in real time.
+ * @returns {function} unsubscribe
+ */
+export const subscribeToSession = (sessionId, onChange, onError) =>
+  onSnapshot(
+    doc(db, 'gameSessions', sessionId),
+    (snap) => onChange(snap.exists() ? { id: snap.id, ...snap.data() } : null),
+    (err) => {
+      console.error('Session listener failed:', err);
+      onError?.(err);
+    }
+  );
+
+/**
+ * Moves a session out of the lobby and shows the first question. The PIN
+ * reservation is extended to cover the whole game. In team mode, anyone who
+ * didn't pick a team is placed and team sizes are evened out.
+ * Throws `session/already-started` or `session/expired` when a stale lobby screen
+ * tries to start a game that's running or whose lobby (and PIN) has lapsed.
+ */
+export const startSession = async (sessionId, pin) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+  const pinRef = doc(db, 'gamePins', pin);
+
+  await runTransaction(db, async (transaction) => {
+    const sessionSnap = await transaction.get(sessionRef);
+    const pinSnap = await transaction.get(pinRef);
+    if (!sessionSnap.exists()) throw sessionError('session/not-found');
+
+    const session = sessionSnap.data();
+    if (isSessionExpired(session)) throw sessionError('session/expired');
+    if (session.status !== SESSION_STATUS.LOBBY) throw sessionError('session/already-started');
+
+    const teams = getTeams(session.settings);
+    const expiresAt = Date.now() + PIN_GAME_TTL_MS;
+
+    if (pinSnap.exists() && pinSnap.data().sessionId === sessionId) {
+      transaction.update(pinRef, { expiresAt });
+    }
+    transaction.update(sessionRef, {
+      status: SESSION_STATUS.IN_PROGRESS,
+      startedAt: serverTimestamp(),
+      expiresAt,
+      ...(teams.length ? { players: balanceTeams(session.players || [], teams) } : {}),
+      ...enterPhase(PHASES.QUESTION, { currentQuestionIndex: 0 }),
+    });
+  });
+};
+
+/**
+ * Host-only: writes the updates produced by gameEngine.getNextPhaseUpdates.
+ */
+export const advanceSession = async (sessionId, updates) =>
+  updateDoc(doc(db, 'gameSessions', sessionId), updates);
+
+/**
+ * Host-only: closes the answer window and scores it in one transaction. Every
+ * player's answer doc is read inside the transaction, so an answer still being
+ * submitted either lands first and is scored, or is rejected by submitAnswer.
+ * @param {number} questionIndex - the question being closed
+ * @param {function} score - `(players, answers) => players`
+ */
+export const closeAnswering = async (sessionId, updates, questionIndex, score) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sessionRef);
+    if (!snap.exists()) return;
+
+    const players = snap.data().players || [];
+    const answerSnaps = await Promise.all(players.map(player =>
+      transaction.get(doc(db, 'gameSessions', sessionId, 'answers', `${questionIndex}_${player.id}`))
+    ));
+    const answers = answerSnaps.filter(answerSnap => answerSnap.exists()).map(answerSnap => answerSnap.data());
+    transaction.update(sessionRef, { ...updates, players: score(players, answers) });
+  });
+};
+
+/**
+ * Finds the joinable session for a 6-digit PIN via its reservation.
+ * Throws with `code` set to a key of JOIN_ERROR_MESSAGES when it can't be joined.
+ */
+export const findSessionByPin = async (pin) => {
+  const pinSnap = await getDoc(doc(db, 'gamePins', pin));
+  if (!pinSnap.exists() || !isPinReserved(pinSnap.data())) throw sessionError('session/not-found');
+
+  const snap = await getDoc(doc(db, 'gameSessions', pinSnap.data().sessionId));
+  if (!snap.exists()) throw sessionError('session/not-found');
+
+  const session = { id: snap.id, ...snap.data() };
+  if (session.status === SESSION_STATUS.ASSIGNED) throw sessionError('session/is-assignment');
+  if (session.status === SESSION_STATUS.IN_PROGRESS) throw sessionError('session/already-started');
+  if (session.status !== SESSION_STATUS.LOBBY || isSessionExpired(session)) throw sessionError('session/not-found');
+  if (session.locked) throw sessionError('session/locked');
+
+  return session;
+};
+
+/**
+ * Adds a player to a session's roster. The lobby is re-checked inside the
+ * transaction so a host starting or locking the game mid-join wins.
+ * The player is remembered on this device so they can rejoin after a reload.
+ * Nicknames go through utils/nicknames.js; when the host chose generated names the
+ * typed nickname is ignored and a friendly one is assigned instead.
+ * Duplicate-name errors carry a `suggestion`.
+ * @returns {object} the player entry that was added
+ */
+export const joinSession = async (sessionId, nickname) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+  const playerId = await getPlayerId();
+
+  const joined = await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sessionRef);
+    if (!snap.exists()) throw sessionError('session/not-found');
+
+    const session = snap.data();
+    if (isSessionExpired(session)) throw sessionError('session/expired');
+    if (session.status !== SESSION_STATUS.LOBBY) throw sessionError('session/already-started');
+    if (session.locked) throw sessionError('session/locked');
+    if ((session.bannedIds || []).includes(playerId)) throw sessionError('session/banned');
+
+    const players = session.players || [];
+    const takenNames = players.filter(p => p.id !== playerId).map(p => p.nickname);
+
+    let assigned;
+    if (session.settings?.nicknameMode === NICKNAME_MODES.GENERATED) {
+      assigned = players.find(p => p.id === playerId)?.nickname || generateFriendlyName(takenNames);
+    } else {
+      const { nickname: cleaned, error, suggestion } = validateNickname(nickname, { takenNames });
+      if (error) {
+        const err = sessionError(error);
+        err.suggestion = suggestion;
+        throw err;
+      }
+      assigned = cleaned;
+    }
+
+    // Team mode: keep a rejoining player's team, otherwise auto-assign to the
+    // smallest team (or leave it for the player to pick)
+    const teams = getTeams(session.settings);
+    const previousTeam = players.find(p => p.id === playerId)?.team || null;
+    const autoAssign = session.settings?.teamAssignment !== TEAM_ASSIGNMENT.CHOOSE;
+    const others = players.filter(p => p.id !== playerId);
+
+    const player = {
+      id: playerId,
+      userId: auth.currentUser?.uid || null,
+      nickname: assigned,
+      joinedAt: Date.now(),
+      ...(teams.length ? { team: previousTeam || (autoAssign ? pickBalancedTeam(others, teams) : null) } : {}),
+    };
+
+    transaction.update(sessionRef, { players: [...players.filter(p => p.id !== player.id), player] });
+    return player;
+  });
+
+  await saveActiveSession(sessionId, joined);
+  return joined;
+};
+
+/**
+ * Team mode with player choice: moves a player to another team in the lobby.
+ * Refused when it would leave the teams more than one player apart.
+ */
+export const chooseTeam = async (sessionId, playerId, teamId) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sessionRef);
+    if (!snap.exists()) throw sessionError('session/not-found');
+
+    const session = snap.data();
+    if (session.status !== SESSION_STATUS.LOBBY) throw sessionError('session/already-started');
+
+    const players = session.players || [];
+    const teams = getTeams(session.settings);
+    if (!canJoinTeam(players, teams, teamId, playerId)) throw sessionError('session/team-full');
+
+    transaction.update(sessionRef, {
+      players: players.map(p => (p.id === playerId ? { ...p, team: teamId } : p)),
+    });
+  });
+};
+
+/**
+ * Removes a player from a session's roster (e.g. they tapped Leave in the lobby).
+ */
+export const leaveSession = async (sessionId, playerId) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sessionRef);
+    if (!snap.exists()) return;
+
+    const players = snap.data().players || [];
+    transaction.update(sessionRef, { players: players.filter(p => p.id !== playerId) });
+  });
+  await clearActiveSession();
+};
+
+/**
+ * Host-only: removes a player from the roster. Banned players also can't join the
+ * session again. Their device sees itself drop off the roster and leaves the game.
+ */
+export const removePlayer = async (sessionId, playerId, { ban = false } = {}) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+
+  await runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sessionRef);
+    if (!snap.exists()) return;
+
+    const players = snap.data().players || [];
+    transaction.update(sessionRef, {
+      players: players.filter(p => p.id !== playerId),
+      ...(ban ? { bannedIds: arrayUnion(playerId) } : {}),
+    });
+  });
+};
+
+/**
+ * Host-only: stops (or re-allows) new players joining by PIN.
+ */
+export const setSessionLocked = (sessionId, locked) =>
+  updateDoc(doc(db, 'gameSessions', sessionId), { locked });
+
+/**
+ * Host-only: mutes (or shows) nicknames on the lobby, host screen and leaderboards.
+ */
+export const setNamesHidden = (sessionId, namesHidden) =>
+  updateDoc(doc(db, 'gameSessions', sessionId), { namesHidden });
+
+const saveActiveSession = async (sessionId, player) => {
+  try {
+    await AsyncStorage.setItem(ACTIVE_SESSION_KEY, JSON.stringify({
+      sessionId,
+      playerId: player.id,
+      userId: player.userId || null,
+      nickname: player.nickname,
+    }));
+  } catch (err) {
+    console.warn('Failed to remember session:', err);
+  }
+};
+
+/**
+ * Forgets the session this device joined (left, finished, or no longer valid).
+ */
+export const clearActiveSession = async () => {
+  try {
+    await AsyncStorage.removeItem(ACTIVE_SESSION_KEY);
+  } catch (err) {
+    console.warn('Failed to clear session:', err);
+  }
+};
+
+/**
+ * Checks that a player is still on a session's roster and the game hasn't finished.
+ * Throws with `code` set to a key of JOIN_ERROR_MESSAGES otherwise.
+ * @returns {{ session: object, player: object }}
+ */
+export const rejoinSession = async (sessionId, playerId) => {
+  const snap = await getDoc(doc(db, 'gameSessions', sessionId));
+  if (!snap.exists()) throw sessionError('session/not-found');
+
+  const session = { id: snap.id, ...snap.data() };
+  if (session.status === SESSION_STATUS.FINISHED) throw sessionError('session/ended');
+  if (isSessionExpired(session)) throw sessionError('session/expired');
+  if ((session.bannedIds || []).includes(playerId)) throw sessionError('session/banned');
+
+  const player = (session.players || []).find(p => p.id === playerId);
+  if (!player) throw sessionError('session/not-in-game');
+
+  return { session, player };
+};
+
+/**
+ * The session this device last joined, if it can still be rejoined under the same
+ * nickname and score. Stale entries are cleared.
+ * @returns {{ sessionId, playerId, nickname, status } | null}
+ */
+export const getResumableSession = async () => {
+  const stored = await AsyncStorage.getItem(ACTIVE_SESSION_KEY);
+  if (!stored) return null;
+
+  try {
+    const { sessionId, playerId, userId } = JSON.parse(stored);
+
+    // A different account signed in on this device since joining
+    if (userId && auth.currentUser && auth.currentUser.uid !== userId) {
+      await clearActiveSession();
+      return null;
+    }
+
+    const { session, player } = await rejoinSession(sessionId, playerId);
+    return { sessionId, playerId, nickname: player.nickname, status: session.status };
+  } catch (err) {
+    if (err.code) {
+      await clearActiveSession();
+    } else {
+      console.warn('Failed to check for an active session:', err);
+    }
+    return null;
+  }
+};
+
+/**
+ * Player heartbeat: marks this player online (or offline) for the host.
+ * Kept in a `presence` subcollection so heartbeats never contend with roster writes.
+ * `lastSeenAt` is server time; the host judges freshness by when each write reaches it.
+ */
+export const updatePresence = (sessionId, playerId, online) =>
+  setDoc(doc(db, 'gameSessions', sessionId, 'presence', playerId), {
+    online,
+    lastSeenAt: serverTimestamp(),
+  });
+
+/**
+ * Listens to every player's presence doc.
+ * `onChange` gets every doc by player id, plus the ids written since the last call.
+ * @returns {function} unsubscribe
+ */
+export const subscribeToPresence = (sessionId, onChange) =>
+  onSnapshot(
+    collection(db, 'gameSessions', sessionId, 'presence'),
+    (snap) => {
+      const presence = {};
+      snap.docs.forEach((d) => { presence[d.id] = d.data(); });
+      onChange(presence, snap.docChanges().map(change => change.doc.id));
+    },
+    (err) => console.error('Presence listener failed:', err)
+  );
+
+/**
+ * Records a player's answer for one question. The doc id is deterministic so a
+ * player can only ever have one answer per question. Runs in a transaction with
+ * the session so an answer can't land after the host has closed (and scored)
+ * the question; those throw `session/answer-closed`.
+ * @param {number} questionIndex - index into the game's `questions` (not the play position)
+ * @param {object} response - `{ selected }` (original option indices), `{ text }`, `{ order }`, `{ value }` or `{ point }`,
+ *   depending on the question type, see questionTypes.js
+ * @param {number} responseTimeMs - measured on the player's device from when answers opened
+ */
+export const submitAnswer = (sessionId, playerId, questionIndex, response, responseTimeMs) => {
+  const sessionRef = doc(db, 'gameSessions', sessionId);
+  const answerRef = doc(db, 'gameSessions', sessionId, 'answers', `${questionIndex}_${playerId}`);
+
+  return runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(sessionRef);
+    if (!snap.exists()) throw sessionError('session/not-found');
+
+    const session = snap.data();
+    const open = session.status === SESSION_STATUS.IN_PROGRESS
+      && session.phase === PHASES.ANSWERING
+      && getQuestionIndex(session) === questionIndex;
+    if (!open) throw sessionError('session/answer-closed');
+
+    transaction.set(answerRef, {
+      playerId,
+      questionIndex,
+      ...response,
+      responseTimeMs,
+      submittedAt: serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * This player's answer for one question, or null. Used to restore state after a rejoin.
+ */
+export const fetchPlayerAnswer = async (sessionId, playerId, questionIndex) => {
+  const snap = await getDoc(doc(db, 'gameSessions', sessionId, 'answers', `${questionIndex}_${playerId}`));
+  return snap.exists() ? snap.data() : null;
+};
+
+/**
+ * Listens to every answer submitted for one question.
+ * @returns {function} unsubscribe
+ */
+export const subscribeToAnswers = (sessionId, questionIndex, onChange) =>
+  onSnapshot(
+    query(collection(db, 'gameSessions', sessionId, 'answers'), where('questionIndex', '==', questionIndex)),
+    (snap) => onChange(snap.docs.map(d => d.data())),
+    (err) => console.error('Answer listener failed:', err)
+  );
+
+/**
+ * Every answer recorded in a session, for reports.
+ */
+export const fetchSessionAnswers = async (sessionId) => {
+  const snap = await getDocs(collection(db, 'gameSessions', sessionId, 'answers'));
+  return snap.docs.map(d => d.data());
+};
+
+/**
+ * Finished sessions and homework assignments set by a teacher, newest first
+ * (assignments by their close date).
+ */
+export const fetchHostedSessions = async (hostId) => {
+  const snap = await getDocs(query(
+    collection(db, 'gameSessions'),
+    where('hostId', '==', hostId),
+    where('status', 'in', [SESSION_STATUS.FINISHED, SESSION_STATUS.ASSIGNED])
+  ));
+
+  const sortTime = (s) => s.finishedAt || s.closeAt || 0;
+  return snap.docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => sortTime(b) - sortTime(a));
+};
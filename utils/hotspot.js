@@ -0,0 +1,127 @@
+/**
+ * hotspot.js - "Pin on the image" questions
+ * Pure. The teacher marks correct `regions` on the question's image; a player's
+ * answer `point` is right when it lands inside any of them.
+ * Points and regions use 0–1 coordinates across the image's width and height, so
+ * they hold at any display size. A circle's radius is a share of the image width;
+ * `imageAspect` (width / height, saved by the editor) keeps it round.
+ */
+
+export const HOTSPOT_SHAPES = {
+  CIRCLE: 'circle',
+  RECT: 'rect',
+};
+
+export const HOTSPOT_SHAPE_LABELS = {
+  [HOTSPOT_SHAPES.CIRCLE]: 'Circle',
+  [HOTSPOT_SHAPES.RECT]: 'Rectangle',
+};
+
+export const MAX_HOTSPOT_REGIONS = 5;
+
+// Region sizes the editor steps through, as a share of the image width
+export const MIN_REGION_SIZE = 0.04;
+export const MAX_REGION_SIZE = 0.5;
+export const REGION_SIZE_STEP = 0.02;
+const DEFAULT_REGION_SIZE = 0.1;
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+export const getImageAspect = (question) => (question?.imageAspect > 0 ? question.imageAspect : 1);
+
+/**
+ * A new region centred on a tapped point.
+ */
+export const createRegion = (question, shape, point) => {
+  if (shape === HOTSPOT_SHAPES.CIRCLE) {
+    return { shape, x: point.x, y: point.y, radius: DEFAULT_REGION_SIZE / 2 };
+  }
+  const width = DEFAULT_REGION_SIZE;
+  const height = DEFAULT_REGION_SIZE * getImageAspect(question); // square on screen
+  return { shape, x: clamp01(point.x - width / 2), y: clamp01(point.y - height / 2), width, height };
+};
+
+/**
+ * A region's size (diameter or width), as a share of the image width.
+ */
+export const getRegionSize = (region) =>
+  (region.shape === HOTSPOT_SHAPES.CIRCLE ? region.radius * 2 : region.width);
+
+/**
+ * The same region grown or shrunk to `size`, keeping its centre and shape.
+ */
+export const resizeRegion = (question, region, size) => {
+  const next = Math.min(MAX_REGION_SIZE, Math.max(MIN_REGION_SIZE, Number(size.toFixed(2))));
+  if (region.shape === HOTSPOT_SHAPES.CIRCLE) return { ...region, radius: next / 2 };
+
+  const scale = next / region.width;
+  const height = region.height * scale;
+  return {
+    ...region,
+    x: region.x + (region.width - next) / 2,
+    y: region.y + (region.height - height) / 2,
+    width: next,
+    height,
+  };
+};
+
+/**
+ * Where a region sits, in percentages of the image, for absolutely positioned overlays.
+ */
+export const getRegionBox = (question, region) => {
+  if (region.shape === HOTSPOT_SHAPES.CIRCLE) {
+    const rx = region.radius;
+    const ry = region.radius * getImageAspect(question);
+    return { left: (region.x - rx) * 100, top: (region.y - ry) * 100, width: rx * 200, height: ry * 200 };
+  }
+  return { left: region.x * 100, top: region.y * 100, width: region.width * 100, height: region.height * 100 };
+};
+
+export const isInRegion = (question, region, point) => {
+  if (region.shape === HOTSPOT_SHAPES.CIRCLE) {
+    const dx = point.x - region.x;
+    const dy = (point.y - region.y) / getImageAspect(question); // in width units
+    return dx * dx + dy * dy <= region.radius * region.radius;
+  }
+  return point.x >= region.x && point.x <= region.x + region.width
+    && point.y >= region.y && point.y <= region.y + region.height;
+};
+
+/**
+ * Index of the first region the point lands in, or -1.
+ */
+export const findRegion = (question, point) =>
+  (question?.regions || []).findIndex(region => isInRegion(question, region, point));
+
+export const isValidPoint = (point) =>
+  !!point && Number.isFinite(point.x) && Number.isFinite(point.y);
+
+/**
+ * Share of the question earned by a pin: all or nothing.
+ */
+export const getHotspotCredit = (question, point) =>
+  (isValidPoint(point) && findRegion(question, point) !== -1 ? 1 : 0);
+
+/**
+ * Pins grouped by the region they landed in, for the report. Misses are one
+ * "Elsewhere" group.
+ * @param {object[]} answers - answer docs with `point`
+ * @returns {{ text: string, count: number, correct: boolean }[]}
+ */
+export const groupHotspotAnswers = (question, answers) => {
+  const regions = question?.regions || [];
+  const counts = regions.map(() => 0);
+  let missed = 0;
+
+  answers.forEach((a) => {
+    if (!isValidPoint(a.point)) return;
+    const index = findRegion(question, a.point);
+    if (index === -1) missed += 1;
+    else counts[index] += 1;
+  });
+
+  return [
+    ...regions.map((_, i) => ({ text: `Region ${i + 1}`, count: counts[i], correct: true })),
+    { text: 'Elsewhere', count: missed, correct: false },
+  ];
+};
@@ -0,0 +1,110 @@
+/**
+ * imageProcessing.js - Shrinks teacher uploads before they reach Storage
+ * Web only (it draws on a canvas). Each slot crops to the shape it's shown in,
+ * scales down to a sensible width and re-encodes as WebP, or JPEG where the
+ * browser can't write WebP. Covers also get a small thumbnail for game cards.
+ * GIFs (which may be animated) and SVGs are uploaded as they are.
+ */
+
+// `aspect` is width / height, or null to keep the picture's own shape
+export const IMAGE_SLOTS = {
+  cover: { aspect: 1, maxWidth: 800, thumbnailWidth: 240 },
+  question: { aspect: 16 / 9, maxWidth: 1600, thumbnailWidth: null },
+  hotspot: { aspect: null, maxWidth: 1600, thumbnailWidth: null }, // pins need the whole picture
+  answer: { aspect: 1, maxWidth: 600, thumbnailWidth: null },
+};
+
+const QUALITY = 0.82;
+const PASSTHROUGH_TYPES = ['image/gif', 'image/svg+xml'];
+
+/**
+ * The centered part of a width × height picture with the given aspect ratio.
+ * Pure.
+ */
+export const getCropBox = (width, height, aspect) => {
+  if (!aspect) return { x: 0, y: 0, width, height };
+  if (width / height > aspect) {
+    const cropWidth = Math.round(height * aspect);
+    return { x: Math.round((width - cropWidth) / 2), y: 0, width: cropWidth, height };
+  }
+  const cropHeight = Math.round(width / aspect);
+  return { x: 0, y: Math.round((height - cropHeight) / 2), width, height: cropHeight };
+};
+
+/**
+ * A crop box scaled down to at most `maxWidth` across (never scaled up).
+ * Pure.
+ */
+export const getOutputSize = (box, maxWidth) => {
+  const scale = Math.min(1, maxWidth / box.width);
+  return { width: Math.max(1, Math.round(box.width * scale)), height: Math.max(1, Math.round(box.height * scale)) };
+};
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new window.Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error("the file couldn't be read as an image"));
+  };
+  image.src = url;
+});
+
+let webpSupported = null;
+
+const getOutputFormat = () => {
+  if (webpSupported === null) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    webpSupported = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+  }
+  return webpSupported ? { type: 'image/webp', ext: 'webp' } : { type: 'image/jpeg', ext: 'jpg' };
+};
+
+const encode = (image, box, size, format) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; put see-through parts on white rather than black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, size.width, size.height);
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, box.x, box.y, box.width, box.height, 0, 0, size.width, size.height);
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error("the image couldn't be converted"))),
+    format.type,
+    QUALITY
+  );
+});
+
+/**
+ * Crops, shrinks and re-encodes a picked file for a slot.
+ * @param {File} file - from a file input
+ * @param {string} slot - a key of IMAGE_SLOTS
+ * @returns {Promise<{ image: { blob, type, ext }, thumbnail: { blob, type, ext }|null }>}
+ */
+export const prepareImage = async (file, slot) => {
+  const { aspect, maxWidth, thumbnailWidth } = IMAGE_SLOTS[slot];
+
+  if (PASSTHROUGH_TYPES.includes(file.type)) {
+    const ext = file.type === 'image/gif' ? 'gif' : 'svg';
+    return { image: { blob: file, type: file.type, ext }, thumbnail: null };
+  }
+
+  const image = await loadImage(file);
+  const box = getCropBox(image.naturalWidth, image.naturalHeight, aspect);
+  const format = getOutputFormat();
+
+  const blob = await encode(image, box, getOutputSize(box, maxWidth), format);
+  const thumbnail = thumbnailWidth
+    ? { blob: await encode(image, box, getOutputSize(box, thumbnailWidth), format), ...format }
+    : null;
+
+  return { image: { blob, ...format }, thumbnail };
+};
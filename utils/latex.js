@@ -0,0 +1,197 @@
+/**
+ * latex.js - A small LaTeX math parser for question and answer text
+ * Pure. Covers what classroom questions need (fractions, powers and indices,
+ * roots, Greek letters and common symbols) and turns it into a tree the RichText
+ * component lays out with plain Views and Texts, so it looks the same on web and
+ * native without a WebView. Anything it doesn't know is shown as typed.
+ *
+ * Nodes:
+ *   { type: 'text', text, italic?, bold?, spaced? } - `spaced` for operators like = and +
+ *   { type: 'frac', num: Node[], den: Node[] }
+ *   { type: 'sqrt', body: Node[], index: Node[]|null }
+ *   { type: 'scripts', base: Node|null, sup: Node[]|null, sub: Node[]|null }
+ */
+
+const SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  infty: '∞', partial: '∂', nabla: '∇', degree: '°', circ: '∘', angle: '∠', triangle: '△', perp: '⊥',
+  parallel: '∥', ldots: '…', cdots: '⋯', dots: '…', forall: '∀', exists: '∃', emptyset: '∅', neg: '¬',
+  sum: '∑', prod: '∏', int: '∫', oint: '∮', prime: '′', hbar: 'ħ', ell: 'ℓ',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', mid: '|',
+};
+
+// Operators and relations get a little space either side
+const OPERATORS = {
+  times: '×', div: '÷', pm: '±', mp: '∓', cdot: '·', ast: '∗',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', cong: '≅',
+  propto: '∝', to: '→', rightarrow: '→', leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+  leftrightarrow: '↔', Leftrightarrow: '⇔', implies: '⇒', iff: '⇔', mapsto: '↦',
+  in: '∈', notin: '∉', subset: '⊂', subseteq: '⊆', supset: '⊃', cup: '∪', cap: '∩', setminus: '∖',
+  land: '∧', wedge: '∧', lor: '∨', vee: '∨', oplus: '⊕',
+};
+const OPERATOR_CHARS = '=<>+−';
+
+// Named functions, set upright
+const FUNCTIONS = [
+  'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'log', 'ln', 'lg', 'exp', 'lim', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'mod', 'deg',
+];
+
+const SPACES = { ',': ' ', ':': ' ', ';': ' ', ' ': ' ', quad: ' ', qquad: '  ', '!': '' };
+
+// Sizing and delimiter commands that only matter to real TeX
+const IGNORED = ['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle', 'textstyle', 'limits', 'nolimits'];
+
+const DOUBLE_STRUCK = { N: 'ℕ', Z: 'ℤ', Q: 'ℚ', R: 'ℝ', C: 'ℂ', P: 'ℙ' };
+
+const isLetter = (ch) => /[a-zA-Z]/.test(ch);
+
+const textNode = (text, extra = {}) => ({ type: 'text', text, ...extra });
+
+/**
+ * Parses LaTeX math (without the surrounding $ signs) into nodes.
+ */
+export const parseLatex = (tex) => {
+  const source = tex || '';
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos += 1;
+  };
+
+  const readCommandName = () => {
+    // Called just after a backslash: a run of letters, or one other character
+    if (isLetter(source[pos])) {
+      const start = pos;
+      while (pos < source.length && isLetter(source[pos])) pos += 1;
+      return source.slice(start, pos);
+    }
+    pos += 1;
+    return source[pos - 1] || '';
+  };
+
+  // The raw text of a {group}, for \text and friends
+  const readRawGroup = () => {
+    skipSpaces();
+    if (source[pos] !== '{') return readCommandName();
+    let depth = 0;
+    const start = pos + 1;
+    for (; pos < source.length; pos += 1) {
+      if (source[pos] === '{') depth += 1;
+      if (source[pos] === '}') depth -= 1;
+      if (depth === 0) break;
+    }
+    const raw = source.slice(start, pos);
+    pos += 1;
+    return raw;
+  };
+
+  const readOptional = () => {
+    skipSpaces();
+    if (source[pos] !== '[') return null;
+    pos += 1;
+    const nodes = parseUntil(']');
+    pos += 1;
+    return nodes;
+  };
+
+  // One argument: a {group}, a command, or a single character
+  const readArgument = () => {
+    skipSpaces();
+    if (pos >= source.length) return [];
+    if (source[pos] === '{') {
+      pos += 1;
+      const nodes = parseUntil('}');
+      pos += 1;
+      return nodes;
+    }
+    const atom = readAtom();
+    return atom ? [atom] : [];
+  };
+
+  const readCommand = () => {
+    const name = readCommandName();
+
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+      const num = readArgument();
+      return { type: 'frac', num, den: readArgument() };
+    }
+    if (name === 'sqrt') {
+      const index = readOptional();
+      return { type: 'sqrt', body: readArgument(), index };
+    }
+    if (name === 'text' || name === 'mathrm' || name === 'textrm' || name === 'operatorname') {
+      return textNode(readRawGroup());
+    }
+    if (name === 'textbf' || name === 'mathbf') return textNode(readRawGroup(), { bold: true });
+    if (name === 'mathit' || name === 'textit') return textNode(readRawGroup(), { italic: true });
+    if (name === 'mathbb') {
+      return textNode([...readRawGroup()].map(ch => DOUBLE_STRUCK[ch] || ch).join(''));
+    }
+    if (IGNORED.includes(name)) {
+      skipSpaces();
+      if (source[pos] === '.') pos += 1; // \left. is an invisible delimiter
+      return null;
+    }
+    if (name in SPACES) return textNode(SPACES[name]);
+    if (name === '\\') return textNode(' ');
+    if (SYMBOLS[name]) return textNode(SYMBOLS[name]);
+    if (OPERATORS[name]) return textNode(OPERATORS[name], { spaced: true });
+    if (FUNCTIONS.includes(name)) return textNode(name);
+    if (!isLetter(name)) return textNode(name); // \{ \} \% \$ \# \& \_
+    return textNode(`\\${name}`);
+  };
+
+  const readAtom = () => {
+    const ch = source[pos];
+    if (ch === '\\') {
+      pos += 1;
+      return readCommand();
+    }
+    pos += 1;
+    if (ch === '-') return textNode('−', { spaced: true });
+    if (OPERATOR_CHARS.includes(ch)) return textNode(ch, { spaced: true });
+    if (ch === "'") return textNode('′');
+    if (isLetter(ch)) return textNode(ch, { italic: true });
+    return textNode(ch);
+  };
+
+  function parseUntil(closer) {
+    const nodes = [];
+
+    while (pos < source.length && source[pos] !== closer) {
+      const ch = source[pos];
+
+      if (/\s/.test(ch)) {
+        pos += 1;
+      } else if (ch === '^' || ch === '_') {
+        pos += 1;
+        const arg = readArgument();
+        const last = nodes[nodes.length - 1];
+        const scripts = last?.type === 'scripts' && !last[ch === '^' ? 'sup' : 'sub']
+          ? nodes.pop()
+          : { type: 'scripts', base: nodes.pop() || null, sup: null, sub: null };
+        scripts[ch === '^' ? 'sup' : 'sub'] = arg;
+        nodes.push(scripts);
+      } else if (ch === '{') {
+        pos += 1;
+        nodes.push(...parseUntil('}'));
+        pos += 1;
+      } else if (ch === '}') {
+        pos += 1; // unbalanced; drop it
+      } else {
+        const atom = readAtom();
+        // A leading sign (-1, = -1) is unary: no space after it
+        if (atom?.spaced && (nodes.length === 0 || nodes[nodes.length - 1].spaced)) delete atom.spaced;
+        if (atom) nodes.push(atom);
+      }
+    }
+
+    return nodes;
+  }
+
+  return parseUntil(null);
+};
@@ -0,0 +1,44 @@
+/**
+ * leaderboard.js - Pure ranking helpers for the between-question leaderboard and podium
+ */
+
+/**
+ * Players sorted by score (highest first). Equal scores share a rank (1, 2, 2, 4).
+ * @returns {object[]} copies of the entries with `rank` set
+ */
+export const rankPlayers = (players = []) => {
+  const sorted = [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
+
+  let rank = 0;
+  return sorted.map((player, i) => {
+    if (i === 0 || (sorted[i - 1].score || 0) !== (player.score || 0)) rank = i + 1;
+    return { ...player, rank };
+  });
+};
+
+/**
+ * Stores each player's new rank, keeping the old one in `previousRank` so the
+ * leaderboard can show movement. Keeps roster order.
+ */
+export const assignRanks = (players = []) => {
+  const ranks = Object.fromEntries(rankPlayers(players).map(p => [p.id, p.rank]));
+  return players.map(p => ({ ...p, previousRank: p.rank ?? null, rank: ranks[p.id] }));
+};
+
+/**
+ * Positive when the player moved up, negative when they dropped, 0 otherwise.
+ */
+export const getRankChange = (player) =>
+  player.previousRank && player.rank ? player.previousRank - player.rank : 0;
+
+/**
+ * Rows for the Leaderboard / Podium components, best first.
+ */
+export const toLeaderboardEntries = (players = []) =>
+  rankPlayers(players).map(p => ({
+    id: p.id,
+    name: p.nickname,
+    score: p.score || 0,
+    rank: p.rank,
+    change: getRankChange(p),
+  }));
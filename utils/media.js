@@ -0,0 +1,136 @@
+/**
+ * media.js - Audio and video clips attached to a question
+ * Pure. A question's `media` is null or:
+ *   { kind: 'audio'|'video', source: 'upload'|'link', url, start, end, onDevices }
+ * `start` and `end` are seconds into the clip (`end` null plays to the finish);
+ * `onDevices` also shows the player on students' screens, not just the host's.
+ * Uploads go to Storage and are checked against MEDIA_LIMITS first; links are
+ * YouTube pages or direct video files.
+ */
+
+export const MEDIA_KINDS = {
+  AUDIO: 'audio',
+  VIDEO: 'video',
+};
+
+export const MEDIA_SOURCES = {
+  UPLOAD: 'upload',
+  LINK: 'link',
+};
+
+const MB = 1024 * 1024;
+
+export const MEDIA_LIMITS = {
+  [MEDIA_KINDS.AUDIO]: { maxBytes: 10 * MB, maxSeconds: 120 },
+  [MEDIA_KINDS.VIDEO]: { maxBytes: 50 * MB, maxSeconds: 180 },
+};
+
+const YOUTUBE_PATTERNS = [
+  /youtube\.com\/watch\?(?:.*&)?v=([\w-]{11})/,
+  /youtu\.be\/([\w-]{11})/,
+  /youtube\.com\/(?:embed|shorts|live)\/([\w-]{11})/,
+];
+
+const VIDEO_FILE = /\.(mp4|webm|ogv|mov|m4v)(\?|#|$)/i;
+
+/**
+ * 'audio' or 'video' for an uploaded file's MIME type, or null for anything else.
+ */
+export const getMediaKind = (mimeType) => {
+  if (mimeType?.startsWith('audio/')) return MEDIA_KINDS.AUDIO;
+  if (mimeType?.startsWith('video/')) return MEDIA_KINDS.VIDEO;
+  return null;
+};
+
+/**
+ * Why an upload is refused, or null. `duration` is in seconds.
+ */
+export const getUploadProblem = ({ kind, size, duration }) => {
+  const limits = MEDIA_LIMITS[kind];
+  if (!limits) return 'Only audio and video files can be attached';
+  if (size > limits.maxBytes) {
+    return `That ${kind} file is ${(size / MB).toFixed(1)} MB; the limit is ${limits.maxBytes / MB} MB`;
+  }
+  // Some recordings don't report a length until played through; size still caps them
+  if (Number.isFinite(duration) && duration > limits.maxSeconds) {
+    return `That ${kind} clip runs ${formatTimestamp(duration)}; the limit is ${formatTimestamp(limits.maxSeconds)}`;
+  }
+  return null;
+};
+
+/**
+ * "audio up to 10 MB and 2:00, video up to 50 MB and 3:00", for the editor.
+ */
+export const describeUploadLimits = () =>
+  Object.entries(MEDIA_LIMITS)
+    .map(([kind, { maxBytes, maxSeconds }]) => `${kind} up to ${maxBytes / MB} MB and ${formatTimestamp(maxSeconds)}`)
+    .join(', ');
+
+/**
+ * The YouTube video id in a watch, share, embed or Shorts link, or null.
+ */
+export const getYouTubeId = (url) => {
+  for (const pattern of YOUTUBE_PATTERNS) {
+    const match = (url || '').match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+};
+
+/**
+ * Whether a pasted link is something a question can play.
+ */
+export const isPlayableLink = (url) =>
+  /^https?:\/\//i.test(url || '') && (!!getYouTubeId(url) || VIDEO_FILE.test(url));
+
+/**
+ * Seconds from "90", "1:30" or "1:02:03", or null when it doesn't parse.
+ */
+export const parseTimestamp = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return null;
+  if (!/^\d+(:\d{1,2}){0,2}$/.test(trimmed)) return null;
+  return trimmed.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+/**
+ * 90 → "1:30".
+ */
+export const formatTimestamp = (seconds) => {
+  const whole = Math.round(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const secs = String(whole % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Why a question's media can't be saved yet, or null.
+ */
+export const getMediaProblem = (media) => {
+  if (!media) return null;
+  if (media.source === MEDIA_SOURCES.LINK && !isPlayableLink(media.url)) {
+    return 'needs a YouTube link or a link to a video file';
+  }
+  if (media.end !== null && media.end <= media.start) return 'needs its clip to end after it starts';
+  return null;
+};
+
+/**
+ * The YouTube player URL for a linked clip, trimmed to its start and end.
+ */
+export const getEmbedUrl = (media) => {
+  const params = [`start=${Math.floor(media.start)}`, 'rel=0'];
+  if (media.end !== null) params.push(`end=${Math.ceil(media.end)}`);
+  return `https://www.youtube.com/embed/${getYouTubeId(media.url)}?${params.join('&')}`;
+};
+
+/**
+ * "Video clip 0:30–1:10" and the like, for previews and the editor.
+ */
+export const describeMedia = (media) => {
+  const what = media.kind === MEDIA_KINDS.AUDIO ? 'Audio' : 'Video';
+  if (!media.start && media.end === null) return what;
+  const end = media.end === null ? 'end' : formatTimestamp(media.end);
+  return `${what} clip ${formatTimestamp(media.start)}–${end}`;
+};
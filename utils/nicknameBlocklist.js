@@ -0,0 +1,26 @@
+/**
+ * nicknameBlocklist.js - Local blocklist for player nicknames
+ * Edit these lists to suit your school. Entries are lowercase, letters only;
+ * nicknames are normalised (accents, l33t-speak, punctuation) before matching.
+ *
+ * `substrings` match anywhere in the name; `words` only match a whole word, for
+ * short terms that hide inside lots of ordinary words ("ass" in "Classy").
+ * `allowed` lists the ordinary words a substring would otherwise catch ("cunt" in
+ * "Scunthorpe"); they're taken out of the name before anything else is matched.
+ */
+
+export const NICKNAME_BLOCKLIST = {
+  substrings: [
+    'fuck', 'shit', 'bitch', 'vagina', 'whore', 'slut',
+    'bastard', 'wanker', 'twat', 'porn', 'nazi', 'hitler', 'nigg', 'faggot',
+    'killyourself', 'cunt', 'pussy', 'pussies', 'penis', 'retard',
+  ],
+  words: [
+    'ass', 'arse', 'butt', 'tit', 'tits', 'boob', 'boobs', 'sex', 'sexy', 'poop',
+    'pee', 'damn', 'crap', 'hoe', 'cum', 'jizz', 'kill', 'dick', 'cock', 'rape',
+    'fag', 'kys',
+  ],
+  allowed: [
+    'scunthorpe', 'pussycat', 'pussywillow', 'penistone', 'retardant',
+  ],
+};
@@ -0,0 +1,110 @@
+/**
+ * nicknames.js - Rules for the nickname a player joins a live session with
+ * Length / character rules, the local blocklist (nicknameBlocklist.js) and
+ * duplicate handling within a session. Pure: joinSession applies it in its transaction.
+ * maskNicknames hides names on shared screens while the host has them muted.
+ */
+
+import { NICKNAME_BLOCKLIST } from './nicknameBlocklist';
+
+export const NICKNAME_MIN_LENGTH = 2;
+export const NICKNAME_MAX_LENGTH = 20;
+
+// How players get their names: typed by them, or assigned by generateFriendlyName
+export const NICKNAME_MODES = {
+  CUSTOM: 'custom',
+  GENERATED: 'generated',
+};
+
+// Letters in any language, digits, spaces and a little punctuation
+const ALLOWED_PATTERN = /^[\p{L}\p{N} _.'-]+$/u;
+
+export const NICKNAME_ERROR_MESSAGES = {
+  'nickname/empty': 'Please enter a nickname.',
+  'nickname/too-short': `Nicknames need at least ${NICKNAME_MIN_LENGTH} characters.`,
+  'nickname/too-long': `Nicknames can be at most ${NICKNAME_MAX_LENGTH} characters.`,
+  'nickname/invalid-characters': "Nicknames can only use letters, numbers, spaces and _ . ' -",
+  'nickname/blocked': 'That nickname isn\'t allowed. Please choose another one.',
+  'nickname/taken': 'That nickname is already taken in this game.',
+};
+
+// l33t-speak that's commonly used to sneak words past filters
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+/**
+ * Trims and collapses whitespace so "  Alex   B " and "Alex B" are the same name.
+ */
+export const cleanNickname = (raw) => (raw || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+
+const toMatchable = (name) =>
+  name
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2') // split camelCase into words
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents
+    .replace(/[0-9@$!]/g, c => LOOKALIKES[c] || c);
+
+/**
+ * Whether a nickname hits the blocklist, ignoring case, accents, spacing,
+ * punctuation and l33t-speak. Allowed words are removed first, so "Scunthorpe"
+ * passes but "Scunthorpe Cunt" doesn't.
+ * @param {{ substrings: string[], words: string[], allowed?: string[] }} [blocklist]
+ */
+export const isNicknameBlocked = (name, blocklist = NICKNAME_BLOCKLIST) => {
+  const allowed = blocklist.allowed || [];
+  const withoutAllowed = (text, gap) => allowed.reduce((rest, term) => rest.split(term).join(gap), text);
+
+  const matchable = withoutAllowed(toMatchable(name), ' ');
+  const letters = withoutAllowed(matchable.replace(/[^a-z]/g, ''), '');
+  const words = matchable.split(/[^a-z]+/).filter(Boolean);
+
+  return (
+    blocklist.substrings.some(term => letters.includes(term)) ||
+    blocklist.words.some(term => term === letters || words.includes(term))
+  );
+};
+
+const sameName = (a, b) => cleanNickname(a).toLowerCase() === cleanNickname(b).toLowerCase();
+
+/**
+ * The first "Name 2", "Name 3", ... not in `takenNames`, kept within the length limit.
+ */
+export const suggestNickname = (name, takenNames = []) => {
+  for (let n = 2; ; n += 1) {
+    const suffix = ` ${n}`;
+    const candidate = `${name.slice(0, NICKNAME_MAX_LENGTH - suffix.length).trim()}${suffix}`;
+    if (!takenNames.some(taken => sameName(taken, candidate))) return candidate;
+  }
+};
+
+/**
+ * @param {string} raw - what the player typed
+ * @param {object} [options]
+ * @param {string[]} [options.takenNames] - nicknames already in the session
+ * @param {object} [options.blocklist] - defaults to NICKNAME_BLOCKLIST
+ * @returns {{ nickname: string, error: string|null, suggestion: string|null }}
+ *   `error` is a key of NICKNAME_ERROR_MESSAGES; `suggestion` is set for duplicates
+ */
+export const validateNickname = (raw, { takenNames = [], blocklist = NICKNAME_BLOCKLIST } = {}) => {
+  const nickname = cleanNickname(raw);
+  const result = (error, suggestion = null) => ({ nickname, error, suggestion });
+
+  if (!nickname) return result('nickname/empty');
+  if ([...nickname].length < NICKNAME_MIN_LENGTH) return result('nickname/too-short');
+  if ([...nickname].length > NICKNAME_MAX_LENGTH) return result('nickname/too-long');
+  if (!ALLOWED_PATTERN.test(nickname)) return result('nickname/invalid-characters');
+  if (isNicknameBlocked(nickname, blocklist)) return result('nickname/blocked');
+  if (takenNames.some(taken => sameName(taken, nickname))) {
+    return result('nickname/taken', suggestNickname(nickname, takenNames));
+  }
+
+  return result(null);
+};
+
+/**
+ * The roster with each nickname swapped for "Player 1", "Player 2"… (join order)
+ * while the host has names hidden, e.g. with the screen projected to a class.
+ * @param {boolean} hidden - the session's `namesHidden`
+ */
+export const maskNicknames = (players = [], hidden) =>
+  (hidden ? players.map((p, i) => ({ ...p, nickname: `Player ${i + 1}` })) : players);
@@ -0,0 +1,47 @@
+/**
+ * ordering.js - "Put these in order" questions
+ * Pure. The teacher enters `items` in their correct order, so a player's answer
+ * `order` (item indices, first to last) is right when `order[i] === i`.
+ */
+
+import { range, seededShuffle } from './shuffle';
+
+/**
+ * The order items start in for a player: shuffled the same way for the same
+ * seed, and never already solved.
+ */
+export const getStartingOrder = (question, seed) => {
+  const count = (question?.items || []).length;
+  const order = seededShuffle(range(count), seed);
+  const isSolved = order.every((item, i) => item === i);
+  return isSolved && count > 1 ? [...order.slice(1), order[0]] : order;
+};
+
+/**
+ * Moves the entry at `from` to `to`, shifting the ones in between.
+ */
+export const moveItem = (order, from, to) => {
+  const result = [...order];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+};
+
+/**
+ * How many items are in their correct place.
+ */
+export const countInPlace = (order = []) => order.filter((item, i) => item === i).length;
+
+/**
+ * Share of the question earned by an arrangement: all-or-nothing, or one share
+ * per item in its correct place when the question allows partial credit.
+ * @param {number[]} order - item indices as the player arranged them
+ */
+export const getOrderingCredit = (question, order = []) => {
+  const count = (question?.items || []).length;
+  if (count === 0 || order.length !== count) return 0;
+
+  const inPlace = countInPlace(order);
+  if (question.partialCredit) return inPlace / count;
+  return inPlace === count ? 1 : 0;
+};
@@ -0,0 +1,162 @@
+/**
+ * questionTypes.js - The kinds of question a game can hold, and their defaults
+ * Pure. Games saved before the type picker existed only have 'multipleChoice' or
+ * a True/False question, so any unknown type is still treated as True/False.
+ *
+ * What a player sends back depends on the type:
+ *   multipleChoice / trueFalse / poll → `{ selected: number[] }` (option indices)
+ *   typeAnswer / wordCloud            → `{ text: string }`
+ *   ordering                          → `{ order: number[] }` (item indices, first to last)
+ *   slider                            → `{ value: number }`
+ *   hotspot                           → `{ point: { x, y } }` (0–1 across the question image)
+ *
+ * Multiple choice and poll options can carry a picture: `answerImages[i]` is the
+ * image URL for `answers[i]`, or null.
+ *
+ * Any question can also carry an audio or video clip in `media` (see media.js).
+ *
+ * Polls and word clouds have no right answer: they're never scored and are left
+ * out of accuracy stats.
+ */
+
+export const QUESTION_TYPES = {
+  MULTIPLE_CHOICE: 'multipleChoice',
+  TRUE_FALSE: 'trueFalse',
+  TYPE_ANSWER: 'typeAnswer',
+  ORDERING: 'ordering',
+  SLIDER: 'slider',
+  POLL: 'poll',
+  WORD_CLOUD: 'wordCloud',
+  HOTSPOT: 'hotspot',
+};
+
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Quiz',
+  [QUESTION_TYPES.TRUE_FALSE]: 'True or False',
+  [QUESTION_TYPES.TYPE_ANSWER]: 'Type Answer',
+  [QUESTION_TYPES.ORDERING]: 'Puzzle',
+  [QUESTION_TYPES.SLIDER]: 'Slider',
+  [QUESTION_TYPES.POLL]: 'Poll',
+  [QUESTION_TYPES.WORD_CLOUD]: 'Word Cloud',
+  [QUESTION_TYPES.HOTSPOT]: 'Hotspot',
+};
+
+// How typed answers are compared with the accepted ones (see answerMatching.js)
+export const DEFAULT_MATCHING = {
+  ignoreCase: true,
+  ignoreWhitespace: true,
+  ignorePunctuation: true,
+  ignoreAccents: true,
+  typoTolerance: 0, // edits allowed: 0, 1 or 2
+};
+
+export const TYPE_ANSWER_MAX_LENGTH = 100;
+export const WORD_CLOUD_MAX_LENGTH = 30;
+export const MAX_ACCEPTED_ANSWERS = 10;
+
+// Items in an ordering question, stored in their correct order
+export const MIN_ORDERING_ITEMS = 2;
+export const MAX_ORDERING_ITEMS = 6;
+
+const TYPE_DEFAULTS = {
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: () => ({
+    answers: ['', '', '', ''],
+    correctAnswers: [false, false, false, false],
+  }),
+  [QUESTION_TYPES.TRUE_FALSE]: () => ({
+    correctAnswers: [true, false],
+  }),
+  [QUESTION_TYPES.TYPE_ANSWER]: () => ({
+    acceptedAnswers: [''],
+    matching: { ...DEFAULT_MATCHING },
+  }),
+  [QUESTION_TYPES.ORDERING]: () => ({
+    items: ['', '', ''],
+    partialCredit: false, // true: credit for each item in its right place
+  }),
+  [QUESTION_TYPES.SLIDER]: () => ({
+    min: 0,
+    max: 100,
+    step: 1,
+    correctValue: 50,
+    tolerance: 0, // full credit within ± this of correctValue
+  }),
+  [QUESTION_TYPES.POLL]: () => ({
+    answers: ['', '', '', ''],
+  }),
+  [QUESTION_TYPES.WORD_CLOUD]: () => ({}),
+  [QUESTION_TYPES.HOTSPOT]: () => ({
+    regions: [], // see hotspot.js; drawn on the question's imageUrl
+  }),
+};
+
+/**
+ * A blank question of the given type, as the editor creates it.
+ */
+export const createQuestion = (type = QUESTION_TYPES.MULTIPLE_CHOICE) => ({
+  type,
+  question: '',
+  imageUrl: null,
+  media: null,
+  timeLimit: 20,
+  points: 'standard',
+  ...TYPE_DEFAULTS[type](),
+});
+
+/**
+ * Switches a question to another type, keeping the stem, image, media, timer and points.
+ */
+export const changeQuestionType = (question, type) => ({
+  ...createQuestion(type),
+  question: question.question,
+  imageUrl: question.imageUrl,
+  media: question.media || null,
+  timeLimit: question.timeLimit,
+  points: question.points,
+});
+
+export const isTypeAnswer = (question) => question?.type === QUESTION_TYPES.TYPE_ANSWER;
+
+export const isOrdering = (question) => question?.type === QUESTION_TYPES.ORDERING;
+
+export const isSlider = (question) => question?.type === QUESTION_TYPES.SLIDER;
+
+export const isPoll = (question) => question?.type === QUESTION_TYPES.POLL;
+
+export const isWordCloud = (question) => question?.type === QUESTION_TYPES.WORD_CLOUD;
+
+export const isHotspot = (question) => question?.type === QUESTION_TYPES.HOTSPOT;
+
+/**
+ * Whether players answer in their own words, as `{ text }`.
+ */
+export const isTextQuestion = (question) => isTypeAnswer(question) || isWordCloud(question);
+
+/**
+ * Whether players answer by picking from `getAnswerOptions`.
+ */
+export const isChoiceQuestion = (question) =>
+  !isTextQuestion(question) && !isOrdering(question) && !isSlider(question) && !isHotspot(question);
+
+/**
+ * Whether the question has a right answer and earns points.
+ */
+export const isScored = (question) => !isPoll(question) && !isWordCloud(question);
+
+/**
+ * Questions that count towards a player's "x of y correct".
+ */
+export const countScoredQuestions = (questions = []) => questions.filter(isScored).length;
+
+/**
+ * Whether a player's response actually answers the question (an empty
+ * selection or blank text counts as no answer).
+ */
+export const hasResponse = (question, response) => {
+  if (!response) return false;
+  if (isTextQuestion(question)) return !!(response.text || '').trim();
+  if (isOrdering(question)) return (response.order || []).length === (question.items || []).length;
+  if (isSlider(question)) return typeof response.value === 'number' && Number.isFinite(response.value);
+  if (isHotspot(question)) return Number.isFinite(response.point?.x) && Number.isFinite(response.point?.y);
+  return (response.selected || []).length > 0;
+};
@@ -0,0 +1,60 @@
+/**
+ * randomNames.js - Adjective + noun name generation
+ * Used for account usernames (SignUpScreen) and host-assigned game nicknames.
+ */
+
+export const ADJECTIVES = [
+  'Adventurous', 'Agile', 'Alert', 'Ambitious', 'Ancient', 'Artistic', 'Astonishing', 'Authentic',
+  'Blazing', 'Bold', 'Brave', 'Bright', 'Brilliant', 'Calm', 'Cautious', 'Charming', 'Cheerful',
+  'Clever', 'Colorful', 'Confident', 'Cool', 'Cosmic', 'Creative', 'Cunning', 'Curious', 'Daring',
+  'Dazzling', 'Defiant', 'Delightful', 'Dynamic', 'Eager', 'Elegant', 'Energetic', 'Enigmatic',
+  'Epic', 'Fabulous', 'Famous', 'Fearless', 'Fierce', 'Fiery', 'Flamboyant', 'Flashy', 'Friendly',
+  'Gallant', 'Gleaming', 'Glorious', 'Graceful', 'Grand', 'Happy', 'Harmonious', 'Heroic',
+  'Imaginative', 'Immense', 'Incredible', 'Inquisitive', 'Intrepid', 'Jolly', 'Joyful', 'Keen',
+  'Lively', 'Luminous', 'Majestic', 'Mighty', 'Mystic', 'Noble', 'Optimistic', 'Playful',
+  'Powerful', 'Proud', 'Quick', 'Radiant', 'Resilient', 'Robust', 'Sassy', 'Serene', 'Sharp',
+  'Shimmering', 'Silent', 'Sleek', 'Smart', 'Sparkling', 'Spirited', 'Splendid', 'Steadfast',
+  'Stellar', 'Striking', 'Strong', 'Stunning', 'Swift', 'Tenacious', 'Thrilling', 'Valiant',
+  'Vibrant', 'Vigorous', 'Vivid', 'Witty', 'Wonderful', 'Zealous', 'Zesty',
+];
+
+export const NOUNS = [
+  'Arrow', 'Aurora', 'Badger', 'Beacon', 'Bear', 'Blaze', 'Bolt', 'Breeze', 'Cactus', 'Castle',
+  'Cat', 'Cheetah', 'Circuit', 'Cloud', 'Comet', 'Crest', 'Crow', 'Crystal', 'Dawn', 'Deer',
+  'Dragon', 'Drift', 'Eagle', 'Echo', 'Ember', 'Falcon', 'Fawn', 'Flame', 'Fox', 'Galaxy',
+  'Gem', 'Ghost', 'Glider', 'Goblin', 'Gorilla', 'Grove', 'Hawk', 'Horizon', 'Horse', 'Hound',
+  'Island', 'Jaguar', 'Jewel', 'Knight', 'Lake', 'Lantern', 'Leaf', 'Leopard', 'Lion', 'Lunar',
+  'Mage', 'Meadow', 'Meteor', 'Mist', 'Moon', 'Mountain', 'Nebula', 'Ninja', 'Oak', 'Ocean',
+  'Owl', 'Panther', 'Peak', 'Pegasus', 'Phantom', 'Phoenix', 'Pine', 'Pixel', 'Puma', 'Quest',
+  'Raven', 'Ridge', 'River', 'Robot', 'Rocket', 'Rose', 'Saber', 'Shadow', 'Shark', 'Sky',
+  'Slime', 'Sparrow', 'Spear', 'Star', 'Storm', 'Sword', 'Tiger', 'Titan', 'Tree', 'Viper',
+  'Voyage', 'Wave', 'Weasel', 'Whale', 'Wind', 'Wizard', 'Wolf', 'Wraith', 'Zephyr', 'Zone',
+];
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+// Generates a random username by combining a random adjective, noun, and number
+export function generateRandomUsername() {
+  const num = Math.floor(Math.random() * 10000);
+  return `${pick(ADJECTIVES)}${pick(NOUNS)}${num}`;
+}
+
+/**
+ * A readable "Brave Falcon" style nickname that isn't in `takenNames`
+ * (case-insensitive). Falls back to a numbered name when collisions keep happening.
+ * @param {string[]} [takenNames]
+ */
+export function generateFriendlyName(takenNames = []) {
+  const taken = new Set(takenNames.map(name => name.toLowerCase()));
+
+  for (let attempt = 0; attempt < 20; attempt += 1) {
+    const name = `${pick(ADJECTIVES)} ${pick(NOUNS)}`;
+    if (!taken.has(name.toLowerCase())) return name;
+  }
+
+  let name;
+  do {
+    name = `${pick(NOUNS)} ${Math.floor(Math.random() * 1000)}`;
+  } while (taken.has(name.toLowerCase()));
+  return name;
+}
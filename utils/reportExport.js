@@ -0,0 +1,126 @@
+/**
+ * reportExport.js - CSV / XLSX export of a session report (web only)
+ * Files are built in the browser and downloaded through a temporary <a download>,
+ * the same direct-DOM approach CreateGameMenu uses for its hidden file inputs.
+ */
+
+import { Platform } from 'react-native';
+import { formatPercent } from './reports';
+import { buildWorkbook } from './xlsx';
+
+const toSeconds = (ms) => (ms === null || ms === undefined ? '' : Number((ms / 1000).toFixed(1)));
+
+/**
+ * One row per player, three columns per question (correct / points / time).
+ * @param {object} report - from reports.buildSessionReport
+ * @returns {Array<Array<string|number>>} rows including the header row
+ */
+export const buildPlayerRows = (report) => {
+  const header = ['Rank', 'Player', 'Score', 'Correct'];
+  report.questions.forEach((q) => {
+    const n = q.index + 1;
+    header.push(`Q${n} Correct`, `Q${n} Points`, `Q${n} Time (s)`);
+  });
+
+  const rows = report.players.map((p) => {
+    const row = [p.rank, p.nickname, p.score, p.correctCount];
+    p.responses.forEach((r, qIndex) => {
+      if (!r) {
+        row.push('No answer', 0, '');
+      } else if (!report.questions[qIndex].scored) {
+        row.push('Answered', 0, toSeconds(r.responseTimeMs));
+      } else {
+        row.push(r.correct ? 'Yes' : 'No', r.points, toSeconds(r.responseTimeMs));
+      }
+    });
+    return row;
+  });
+
+  return [header, ...rows];
+};
+
+/**
+ * Session totals followed by one row per question.
+ */
+export const buildSummaryRows = (report, title) => {
+  const { summary } = report;
+
+  return [
+    ['Game', title],
+    ['Players', summary.playerCount],
+    ['Questions', summary.questionCount],
+    ['Average score', summary.averageScore === null ? '' : Math.round(summary.averageScore)],
+    ['Average accuracy', formatPercent(summary.averageAccuracy)],
+    ['Average response (s)', toSeconds(summary.averageResponseMs)],
+    [],
+    ['#', 'Question', 'Answered', 'Correct', 'Accuracy', 'Avg. time (s)'],
+    ...report.questions.map(q => [
+      q.index + 1,
+      q.question || '',
+      q.answeredCount,
+      q.scored ? q.correctCount : '',
+      formatPercent(q.accuracy),
+      toSeconds(q.averageResponseMs),
+    ]),
+  ];
+};
+
+// Text starting with one of these runs as a formula when the file is opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Nicknames and typed answers come from players; a leading ' keeps them as plain text
+const guardFormula = (value) =>
+  (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(guardFormula(value));
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+const safeFileName = (title) =>
+  `${(title || 'report').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'report'}-results`;
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const assertWeb = () => {
+  if (Platform.OS !== 'web') {
+    throw new Error('Exporting reports is only available in the web app');
+  }
+};
+
+/**
+ * Downloads the per-player sheet as CSV. CSV has no sheets, so the
+ * summary is only included in the XLSX export.
+ */
+export const exportReportCsv = (report, title) => {
+  assertWeb();
+  // Leading BOM so Excel opens UTF-8 nicknames correctly
+  const blob = new Blob(['\uFEFF', toCsv(buildPlayerRows(report))], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${safeFileName(title)}.csv`);
+};
+
+/**
+ * Downloads a workbook with a "Players" sheet and a "Summary" sheet.
+ */
+export const exportReportXlsx = (report, title) => {
+  assertWeb();
+  const guardRows = (rows) => rows.map(row => row.map(guardFormula));
+  const data = buildWorkbook([
+    { name: 'Players', rows: guardRows(buildPlayerRows(report)) },
+    { name: 'Summary', rows: guardRows(buildSummaryRows(report, title)) },
+  ]);
+  const blob = new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  downloadBlob(blob, `${safeFileName(title)}.xlsx`);
+};
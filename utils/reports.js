@@ -0,0 +1,141 @@
+/**
+ * reports.js - Turns a finished session's recorded answers into a teacher report
+ * Pure: the caller fetches the session, game and `answers` subcollection.
+ */
+
+import { getAnswerTimeMs, getOptionLabels, getCorrectIndices, getSessionQuestions } from './gameEngine';
+import { scoreAnswer } from './scoring';
+import { isTextQuestion, isOrdering, isSlider, isHotspot, isScored } from './questionTypes';
+import { groupTypedAnswers } from './answerMatching';
+import { groupSliderAnswers } from './slider';
+import { groupHotspotAnswers } from './hotspot';
+import { rankPlayers } from './leaderboard';
+
+// How many questions the "Most missed" section lists
+const MOST_MISSED_COUNT = 3;
+
+const average = (values) =>
+  values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+/**
+ * @param {object} session - session doc (players, settings, its copy of the questions)
+ * @param {object} game - game doc; its questions are only used for older sessions without a copy
+ * @param {object[]} answers - every doc in the session's `answers` subcollection
+ * @returns {{ summary, players, questions, mostMissed }}
+ *   players[i].responses[q] is `{ selected, text, order, value, point, correct, points, responseTimeMs }` or null when unanswered.
+ *   For typed and slider questions `questions[q].options` are the distinct answers given, most common first;
+ *   for hotspot questions they're the regions (then "Elsewhere"), counting the pins in each;
+ *   for ordering questions they're the items in order, counting who put each one in its right place.
+ *   Polls and word clouds aren't `scored`: they have no correct options and a null accuracy.
+ */
+export const buildSessionReport = (session, game, answers = []) => {
+  const questions = getSessionQuestions(session, game);
+  const ranked = rankPlayers(session?.players || []);
+
+  // answers[q][playerId] → scored response
+  const byQuestion = questions.map((question, qIndex) => {
+    const timeLimitMs = getAnswerTimeMs(question, session?.settings);
+    const responses = {};
+    answers
+      .filter(a => a.questionIndex === qIndex)
+      .forEach((a) => {
+        const { correct, points } = scoreAnswer(question, a, timeLimitMs);
+        responses[a.playerId] = {
+          selected: a.selected || [],
+          text: a.text ?? null,
+          order: a.order ?? null,
+          value: a.value ?? null,
+          point: a.point ?? null,
+          correct,
+          points,
+          responseTimeMs: a.responseTimeMs ?? null,
+        };
+      });
+    return responses;
+  });
+
+  const questionStats = questions.map((question, qIndex) => {
+    const responses = Object.values(byQuestion[qIndex]);
+    const correctCount = responses.filter(r => r.correct).length;
+    // Free answers (typed text, word cloud entries, slider values, pins) are grouped into the answers given
+    let grouped = null;
+    if (isTextQuestion(question)) grouped = groupTypedAnswers(question, responses);
+    if (isSlider(question)) grouped = groupSliderAnswers(question, responses);
+    if (isHotspot(question)) grouped = groupHotspotAnswers(question, responses);
+    const ordered = isOrdering(question);
+    let options = getOptionLabels(question);
+    if (grouped) options = grouped.map(g => g.text);
+    if (ordered) options = question.items || [];
+
+    let correctIndices = getCorrectIndices(question);
+    if (grouped) correctIndices = grouped.reduce((acc, g, i) => (g.correct ? [...acc, i] : acc), []);
+    if (ordered) correctIndices = options.map((_, i) => i);
+
+    let optionCounts;
+    if (grouped) optionCounts = grouped.map(g => g.count);
+    else if (ordered) optionCounts = options.map((_, i) => responses.filter(r => r.order?.[i] === i).length);
+    else optionCounts = options.map((_, i) => responses.filter(r => r.selected.includes(i)).length);
+
+    const scored = isScored(question);
+
+    return {
+      index: qIndex,
+      question: question.question,
+      type: question.type,
+      scored,
+      options,
+      correctIndices,
+      answeredCount: responses.length,
+      correctCount,
+      // Accuracy is out of everyone in the game: not answering counts as a miss
+      accuracy: scored && ranked.length ? correctCount / ranked.length : null,
+      averageResponseMs: average(responses.map(r => r.responseTimeMs).filter(t => t !== null)),
+      optionCounts,
+    };
+  });
+
+  const playerRows = ranked.map((player) => {
+    const responses = questions.map((_, qIndex) => byQuestion[qIndex][player.id] || null);
+    const answered = responses.filter(Boolean);
+
+    return {
+      id: player.id,
+      nickname: player.nickname,
+      rank: player.rank,
+      score: player.score || 0,
+      correctCount: answered.filter(r => r.correct).length,
+      answeredCount: answered.length,
+      averageResponseMs: average(answered.map(r => r.responseTimeMs).filter(t => t !== null)),
+      responses,
+    };
+  });
+
+  const mostMissed = [...questionStats]
+    .filter(q => q.accuracy !== null && q.accuracy < 1)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, MOST_MISSED_COUNT);
+
+  return {
+    summary: {
+      playerCount: playerRows.length,
+      questionCount: questions.length,
+      scoredQuestionCount: questionStats.filter(q => q.scored).length,
+      averageScore: average(playerRows.map(p => p.score)),
+      averageAccuracy: average(questionStats.map(q => q.accuracy).filter(a => a !== null)),
+      averageResponseMs: average(answers.map(a => a.responseTimeMs).filter(t => typeof t === 'number')),
+    },
+    players: playerRows,
+    questions: questionStats,
+    mostMissed,
+  };
+};
+
+/**
+ * "12.3s" style label for a response time in ms.
+ */
+export const formatSeconds = (ms) => (ms === null || ms === undefined ? '—' : `${(ms / 1000).toFixed(1)}s`);
+
+/**
+ * "85%" style label for a 0–1 ratio.
+ */
+export const formatPercent = (ratio) => (ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`);
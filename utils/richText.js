@@ -0,0 +1,119 @@
+/**
+ * richText.js - Splits question and answer text into prose, math and code
+ * Pure. The markup is what teachers already know from Markdown and LaTeX:
+ *   $...$          inline math            $$...$$   math on its own line
+ *   `...`          inline code            ```lang   fenced code block (closed by ```)
+ * A `\$` is a literal dollar sign. A `$` only opens math when the next character
+ * isn't a space, and only closes it when the one before isn't a space and the
+ * next isn't a digit, so prices like "$5 and $10" stay plain text.
+ *
+ * Blocks:
+ *   { type: 'paragraph', spans: ({ type: 'text', text } | { type: 'math', tex } | { type: 'code', text })[] }
+ *   { type: 'math', tex }         display math
+ *   { type: 'code', lang, code }  fenced code
+ */
+
+const FENCE = /```([\w+#.-]*)[^\S\n]*\n([\s\S]*?)\n?```/g;
+const DISPLAY_MATH = /\$\$([\s\S]+?)\$\$/g;
+
+const isSpace = (ch) => ch === undefined || /\s/.test(ch);
+
+// Index of the $ closing inline math opened just before `start`, or -1
+const findMathEnd = (text, start) => {
+  if (isSpace(text[start])) return -1;
+
+  for (let i = start; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '\n') return -1;
+    if (ch === '\\') {
+      i += 1;
+    } else if (ch === '$' && !isSpace(text[i - 1]) && !/\d/.test(text[i + 1] || '')) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const parseSpans = (text) => {
+  const spans = [];
+  let plain = '';
+
+  const flush = () => {
+    if (plain) spans.push({ type: 'text', text: plain });
+    plain = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+
+    if (ch === '\\' && text[i + 1] === '$') {
+      plain += '$';
+      i += 1;
+      continue;
+    }
+    if (ch === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1 && !text.slice(i + 1, end).includes('\n')) {
+        flush();
+        spans.push({ type: 'code', text: text.slice(i + 1, end) });
+        i = end;
+        continue;
+      }
+    }
+    if (ch === '$') {
+      const end = findMathEnd(text, i + 1);
+      if (end !== -1) {
+        flush();
+        spans.push({ type: 'math', tex: text.slice(i + 1, end) });
+        i = end;
+        continue;
+      }
+    }
+    plain += ch;
+  }
+
+  flush();
+  return spans;
+};
+
+// Splits `text` on a block pattern; `toBlock` turns a match into a block and
+// `parseRest` handles the text around the matches
+const splitBlocks = (text, pattern, toBlock, parseRest) => {
+  const blocks = [];
+  let last = 0;
+
+  text.replace(pattern, (match, ...groups) => {
+    const offset = groups[groups.length - 2];
+    blocks.push(...parseRest(text.slice(last, offset)), toBlock(...groups));
+    last = offset + match.length;
+    return match;
+  });
+
+  return [...blocks, ...parseRest(text.slice(last))];
+};
+
+const parseParagraphs = (text) => {
+  // Line breaks that only separate a block from the text around it aren't shown
+  const trimmed = text.replace(/^\n+|\n+$/g, '');
+  return trimmed ? [{ type: 'paragraph', spans: parseSpans(trimmed) }] : [];
+};
+
+const parseMath = (text) =>
+  splitBlocks(text, DISPLAY_MATH, tex => ({ type: 'math', tex: tex.trim() }), parseParagraphs);
+
+/**
+ * Splits text into paragraph, math and code blocks.
+ */
+export const parseRichText = (text) =>
+  splitBlocks(text || '', FENCE, (lang, code) => ({ type: 'code', lang: lang.toLowerCase(), code }), parseMath);
+
+/**
+ * Whether parsed blocks are just one run of plain text (so a single Text will do).
+ */
+export const isPlainText = (blocks) =>
+  blocks.length === 0 || (blocks.length === 1 && blocks[0].type === 'paragraph' && blocks[0].spans.every(s => s.type === 'text'));
+
+/**
+ * Whether text uses any math or code markup.
+ */
+export const hasMarkup = (text) => !isPlainText(parseRichText(text));
@@ -0,0 +1,112 @@
+/**
+ * scoring.js - Pure, time-weighted scoring for live and solo play
+ * No Firebase imports: everything here is plain data in, plain data out.
+ *
+ * Points for an answer = base points for the question's `points` mode
+ *                        × credit (0–1, partial for multi-select, near-miss slider answers
+ *                                  and ordering questions that allow it)
+ *                        × speed factor (1.0 instantly → 0.5 at the buzzer)
+ */
+
+import { getCorrectIndices } from './gameEngine';
+import { isTypeAnswer, isOrdering, isSlider, isHotspot, isScored } from './questionTypes';
+import { matchesAcceptedAnswer } from './answerMatching';
+import { getOrderingCredit } from './ordering';
+import { getSliderCredit } from './slider';
+import { getHotspotCredit } from './hotspot';
+
+export const POINT_MODES = {
+  standard: 1000,
+  double: 2000,
+  none: 0,
+};
+
+// Share of the base points still awarded for a correct answer at the very last moment
+const MIN_SPEED_FACTOR = 0.5;
+
+export const getBasePoints = (question) =>
+  POINT_MODES[question?.points] ?? POINT_MODES.standard;
+
+/**
+ * 1.0 for an instant answer, falling linearly to MIN_SPEED_FACTOR at the time limit.
+ */
+export const getSpeedFactor = (responseTimeMs, timeLimitMs) => {
+  if (!timeLimitMs || timeLimitMs <= 0) return 1;
+  const elapsed = Math.min(Math.max(responseTimeMs || 0, 0), timeLimitMs);
+  return 1 - (1 - MIN_SPEED_FACTOR) * (elapsed / timeLimitMs);
+};
+
+/**
+ * Share of a question earned by a selection.
+ * Single-answer questions are all-or-nothing. Multi-select questions earn one
+ * share per correct option picked and lose one per wrong option, floored at 0.
+ * @param {object} question - game question with `correctAnswers`
+ * @param {number[]} selected - option indices the player picked
+ * @returns {number} credit between 0 and 1
+ */
+export const getCredit = (question, selected = []) => {
+  const correct = getCorrectIndices(question);
+  if (correct.length === 0 || selected.length === 0) return 0;
+
+  const hits = selected.filter(i => correct.includes(i)).length;
+  const misses = selected.length - hits;
+
+  if (correct.length === 1) return hits === 1 && misses === 0 ? 1 : 0;
+  return Math.max(0, (hits - misses) / correct.length);
+};
+
+/**
+ * Share of a question earned by a player's response, whatever the question type.
+ * Typed answers and hotspot pins are all-or-nothing.
+ * @param {object} answer - `{ selected }`, `{ text }`, `{ order }`, `{ value }` or `{ point }`, see questionTypes.js
+ */
+export const getResponseCredit = (question, answer) => {
+  if (isTypeAnswer(question)) return matchesAcceptedAnswer(question, answer.text) ? 1 : 0;
+  if (isOrdering(question)) return getOrderingCredit(question, answer.order);
+  if (isSlider(question)) return getSliderCredit(question, answer.value);
+  if (isHotspot(question)) return getHotspotCredit(question, answer.point);
+  return getCredit(question, answer.selected);
+};
+
+/**
+ * Scores a single answer.
+ * @param {object} question - game question
+ * @param {object|null} answer - `{ selected | text | order | value | point, responseTimeMs }`, or null when unanswered
+ * @param {number} timeLimitMs - answer window the player had
+ * @returns {{ correct: boolean, credit: number, points: number }}
+ */
+export const scoreAnswer = (question, answer, timeLimitMs) => {
+  if (!answer || !isScored(question)) return { correct: false, credit: 0, points: 0 };
+
+  const credit = getResponseCredit(question, answer);
+  const points = Math.round(getBasePoints(question) * credit * getSpeedFactor(answer.responseTimeMs, timeLimitMs));
+
+  return { correct: credit === 1, credit, points };
+};
+
+/**
+ * Applies one question's answers to the roster.
+ * @param {object[]} players - session `players` entries
+ * @param {object} question - the question that just closed
+ * @param {object[]} answers - answer docs for that question
+ * @param {number} timeLimitMs - answer window for that question
+ * @returns {object[]} new player entries with `score`, `lastPoints`, `lastCorrect`,
+ *   `correctCount` and `streak` (consecutive fully-correct answers). Unscored
+ *   questions (polls, word clouds) leave score, correctCount and streak alone.
+ */
+export const applyQuestionScores = (players, question, answers, timeLimitMs) =>
+  players.map((player) => {
+    if (!isScored(question)) return { ...player, lastPoints: 0, lastCorrect: false };
+
+    const answer = answers.find(a => a.playerId === player.id) || null;
+    const { correct, points } = scoreAnswer(question, answer, timeLimitMs);
+
+    return {
+      ...player,
+      score: (player.score || 0) + points,
+      lastPoints: points,
+      lastCorrect: correct,
+      correctCount: (player.correctCount || 0) + (correct ? 1 : 0),
+      streak: correct ? (player.streak || 0) + 1 : 0,
+    };
+  });
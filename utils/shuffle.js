@@ -0,0 +1,50 @@
+/**
+ * shuffle.js - Random and seeded (reproducible) Fisher–Yates shuffles
+ * Seeded shuffles let every device work out the same order without storing it,
+ * e.g. a player's answer order survives a reload.
+ */
+
+// FNV-1a: string → 32-bit seed
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: small, fast PRNG returning floats in [0, 1)
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const fisherYates = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * A shuffled copy of `items`.
+ */
+export const shuffle = (items) => fisherYates(items, Math.random);
+
+/**
+ * A shuffled copy of `items` that's always the same for the same `seed` string.
+ */
+export const seededShuffle = (items, seed) => fisherYates(items, createRandom(hashString(String(seed))));
+
+/**
+ * [0, 1, ..., count - 1]
+ */
+export const range = (count) => Array.from({ length: count }, (_, i) => i);
@@ -0,0 +1,78 @@
+/**
+ * slider.js - Numeric answers picked on a slider between `min` and `max`
+ * Pure. Anything within `tolerance` of `correctValue` earns full credit; beyond
+ * that, credit falls off linearly and reaches 0 a quarter of the range further out.
+ */
+
+// How far past the tolerance (as a share of max − min) an answer still earns something
+const CLOSENESS_RANGE_SHARE = 0.25;
+
+// Decimal steps don't add up exactly in floating point (9.8 − 9.6 > 0.2)
+const FLOAT_SLACK = 1e-9;
+
+const decimalsOf = (number) => {
+  const text = String(number);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+};
+
+/**
+ * Rounds a raw value to the question's step and keeps it within min–max.
+ */
+export const snapToStep = (question, raw) => {
+  const { min, max, step } = question;
+  const snapped = min + Math.round((raw - min) / step) * step;
+  const clamped = Math.min(max, Math.max(min, snapped));
+  return Number(clamped.toFixed(decimalsOf(step)));
+};
+
+/**
+ * Where the slider starts for a player: the middle of the range.
+ */
+export const getStartingValue = (question) => snapToStep(question, (question.min + question.max) / 2);
+
+/**
+ * A value shown with as many decimals as the step uses, e.g. 2.50 for a 0.05 step.
+ */
+export const formatSliderValue = (question, value) => value.toFixed(decimalsOf(question.step));
+
+export const isWithinTolerance = (question, value) =>
+  Math.abs(value - question.correctValue) <= (question.tolerance || 0) + FLOAT_SLACK;
+
+/**
+ * Share of the question earned by a value: 1 within the tolerance, then
+ * falling linearly with distance (see CLOSENESS_RANGE_SHARE).
+ */
+export const getSliderCredit = (question, value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 0;
+  if (isWithinTolerance(question, value)) return 1;
+
+  const falloff = (question.max - question.min) * CLOSENESS_RANGE_SHARE;
+  if (falloff <= 0) return 0;
+  const beyond = Math.abs(value - question.correctValue) - (question.tolerance || 0);
+  return Math.max(0, 1 - beyond / falloff);
+};
+
+/**
+ * Label for the correct answer, e.g. "42" or "9.8 ± 0.2".
+ */
+export const describeCorrectValue = (question) =>
+  (question.tolerance ? `${question.correctValue} ± ${question.tolerance}` : String(question.correctValue));
+
+/**
+ * Values given, grouped and most common first, for the report.
+ * @param {object[]} answers - answer docs with `value`
+ * @returns {{ text: string, count: number, correct: boolean }[]}
+ */
+export const groupSliderAnswers = (question, answers) => {
+  const groups = new Map();
+
+  answers.forEach((a) => {
+    if (typeof a.value !== 'number') return;
+    const text = formatSliderValue(question, a.value);
+    const group = groups.get(text) || { text, count: 0, correct: isWithinTolerance(question, a.value) };
+    group.count += 1;
+    groups.set(text, group);
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,64 @@
+/**
+ * spacedRepetition.js - SM-2 scheduling for flashcards
+ * Pure: a card's schedule is plain data `{ easeFactor, interval, repetitions, dueAt, lastReviewedAt }`
+ * (interval in days, times in ms). flashcards.js persists it per user and game.
+ *
+ * SM-2 grades recall 0–5; anything under 3 means the card is relearnt from the start.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const DEFAULT_EASE_FACTOR = 2.5;
+
+// The two buttons on a flashcard map onto SM-2 grades
+export const GRADES = {
+  DONT_KNOW: 1,
+  KNOW: 4,
+};
+
+/**
+ * Schedule for a card that has never been reviewed: due straight away.
+ */
+export const newSchedule = (now = Date.now()) => ({
+  easeFactor: DEFAULT_EASE_FACTOR,
+  interval: 0,
+  repetitions: 0,
+  dueAt: now,
+  lastReviewedAt: null,
+});
+
+/**
+ * Applies one review to a card's schedule.
+ * @param {object|null} schedule - current schedule (null for a new card)
+ * @param {number} grade - 0–5, see GRADES
+ * @returns {object} the next schedule
+ */
+export const reviewSchedule = (schedule, grade, now = Date.now()) => {
+  const current = schedule || newSchedule(now);
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    current.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  if (grade < 3) {
+    return { easeFactor, interval: 1, repetitions: 0, dueAt: now + DAY_MS, lastReviewedAt: now };
+  }
+
+  const repetitions = current.repetitions + 1;
+  let interval;
+  if (repetitions === 1) interval = 1;
+  else if (repetitions === 2) interval = 6;
+  else interval = Math.round(current.interval * current.easeFactor);
+
+  return { easeFactor, interval, repetitions, dueAt: now + interval * DAY_MS, lastReviewedAt: now };
+};
+
+export const isDue = (schedule, now = Date.now()) => !schedule || schedule.dueAt <= now;
+
+/**
+ * The earliest time any of the schedules comes due, or null if there are none.
+ */
+export const getNextDueAt = (schedules) => {
+  const times = schedules.filter(Boolean).map(s => s.dueAt);
+  return times.length ? Math.min(...times) : null;
+};
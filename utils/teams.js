@@ -0,0 +1,117 @@
+/**
+ * teams.js - Pure helpers for team mode
+ * Players carry a `team` id. A team's score is the average of its members'
+ * scores, so a team that's one player bigger doesn't win on headcount alone.
+ */
+
+import { rankPlayers } from './leaderboard';
+
+// How players end up on a team: placed by the game, or picked in the lobby
+export const TEAM_ASSIGNMENT = {
+  AUTO: 'auto',
+  CHOOSE: 'choose',
+};
+
+export const TEAM_COUNTS = [2, 3, 4];
+
+const TEAMS = [
+  { id: 'red', name: 'Red Team', color: '#e21b3c' },
+  { id: 'blue', name: 'Blue Team', color: '#1368ce' },
+  { id: 'yellow', name: 'Yellow Team', color: '#d89e00' },
+  { id: 'green', name: 'Green Team', color: '#26890c' },
+];
+
+export const isTeamMode = (settings) => (settings?.teamCount || 0) > 1;
+
+/**
+ * The teams in play for a session's settings (empty when team mode is off).
+ */
+export const getTeams = (settings) => (isTeamMode(settings) ? TEAMS.slice(0, settings.teamCount) : []);
+
+export const getTeam = (settings, teamId) => getTeams(settings).find(t => t.id === teamId) || null;
+
+const countMembers = (players, teams) =>
+  Object.fromEntries(teams.map(t => [t.id, players.filter(p => p.team === t.id).length]));
+
+/**
+ * The team with the fewest members (first one on a tie).
+ */
+export const pickBalancedTeam = (players, teams) => {
+  const counts = countMembers(players, teams);
+  return teams.reduce((best, t) => (counts[t.id] < counts[best.id] ? t : best)).id;
+};
+
+/**
+ * Whether a player may switch to `teamId` without making teams differ by more than one.
+ */
+export const canJoinTeam = (players, teams, teamId, playerId) => {
+  const counts = countMembers(players.filter(p => p.id !== playerId), teams);
+  return counts[teamId] <= Math.min(...Object.values(counts));
+};
+
+/**
+ * Puts everyone without a (valid) team on the smallest one, then moves the most
+ * recent joiners off the biggest team until sizes differ by at most one.
+ * @returns {object[]} roster copies, same order
+ */
+export const balanceTeams = (players, teams) => {
+  if (teams.length === 0) return players;
+
+  const teamIds = new Set(teams.map(t => t.id));
+  const result = players.map(p => ({ ...p, team: teamIds.has(p.team) ? p.team : null }));
+  result.filter(p => !p.team).forEach((p) => { p.team = pickBalancedTeam(result, teams); });
+
+  for (;;) {
+    const counts = countMembers(result, teams);
+    const ordered = [...teams].sort((a, b) => counts[a.id] - counts[b.id]);
+    const smallest = ordered[0].id;
+    const largest = ordered[ordered.length - 1].id;
+    if (counts[largest] - counts[smallest] <= 1) return result;
+
+    const mover = [...result].reverse().find(p => p.team === largest);
+    mover.team = smallest;
+  }
+};
+
+const averageOf = (values) =>
+  values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+
+/**
+ * Ranked team rows with movement since the last question, best first.
+ * The previous standings come from `score - lastPoints`, so nothing extra is stored.
+ * @returns {object[]} `{ id, name, color, memberCount, score, rank, change }`
+ */
+export const getTeamStandings = (players, settings) => {
+  const rows = getTeams(settings).map((team) => {
+    const members = players.filter(p => p.team === team.id);
+    return {
+      ...team,
+      memberCount: members.length,
+      score: averageOf(members.map(p => p.score || 0)),
+      previousScore: averageOf(members.map(p => (p.score || 0) - (p.lastPoints || 0))),
+    };
+  });
+
+  const hadScores = rows.some(r => r.previousScore > 0);
+  const previousRanks = Object.fromEntries(
+    rankPlayers(rows.map(r => ({ id: r.id, score: r.previousScore }))).map(r => [r.id, r.rank])
+  );
+
+  return rankPlayers(rows).map(({ previousScore, ...row }) => ({
+    ...row,
+    change: hadScores ? previousRanks[row.id] - row.rank : 0,
+  }));
+};
+
+/**
+ * Rows for the Leaderboard / Podium components, best first.
+ */
+export const toTeamLeaderboardEntries = (players, settings) =>
+  getTeamStandings(players, settings).map(t => ({
+    id: t.id,
+    name: t.name,
+    color: t.color,
+    score: t.score,
+    rank: t.rank,
+    change: t.change,
+  }));
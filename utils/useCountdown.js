@@ -0,0 +1,27 @@
+/**
+ * useCountdown.js - Whole seconds left in a timed phase
+ * Re-renders a few times a second while `startedAt` + `durationMs` is in the future.
+ * While `pausedAt` is set the countdown holds at the time left when it was paused.
+ */
+
+import { useState, useEffect } from 'react';
+
+export default function useCountdown(durationMs, startedAt, pausedAt = null) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!durationMs || !startedAt || pausedAt) return undefined;
+
+    setNow(Date.now());
+    const interval = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= startedAt + durationMs) clearInterval(interval);
+    }, 250);
+
+    return () => clearInterval(interval);
+  }, [durationMs, startedAt, pausedAt]);
+
+  if (!durationMs || !startedAt) return 0;
+  return Math.max(0, Math.ceil((startedAt + durationMs - (pausedAt || now)) / 1000));
+}
@@ -0,0 +1,83 @@
+/**
+ * usePresence.js - Online/offline presence for live session players
+ * Players send a heartbeat while the app is in the foreground; the host treats
+ * anyone it hasn't heard from recently as offline. "Recently" is measured on the
+ * host's clock from when each heartbeat arrived, so a player's clock being off
+ * doesn't matter.
+ */
+
+import { useState, useEffect } from 'react';
+import { AppState, Platform } from 'react-native';
+import { updatePresence, subscribeToPresence } from './gameSession';
+
+export const PRESENCE_HEARTBEAT_MS = 10000;
+// A couple of missed heartbeats before a player shows as offline
+export const PRESENCE_TIMEOUT_MS = 25000;
+
+/**
+ * @param {{ online: boolean, receivedAt: number }} entry - receivedAt is the host's Date.now() when it last heard from the player
+ */
+export const isPresenceOnline = (entry, now = Date.now()) =>
+  !!entry && entry.online !== false && now - (entry.receivedAt || 0) < PRESENCE_TIMEOUT_MS;
+
+/**
+ * Player side: keeps this player's presence doc fresh while the screen is mounted.
+ */
+export function usePresenceHeartbeat(sessionId, playerId) {
+  useEffect(() => {
+    if (!sessionId || !playerId) return undefined;
+
+    const send = (online) =>
+      updatePresence(sessionId, playerId, online).catch(err => console.warn('Presence update failed:', err));
+
+    send(true);
+    const interval = setInterval(() => {
+      if (AppState.currentState === 'active') send(true);
+    }, PRESENCE_HEARTBEAT_MS);
+
+    // Phone locked / tab hidden → offline straight away instead of after the timeout
+    const appStateSub = AppState.addEventListener('change', (state) => send(state === 'active'));
+
+    const handlePageHide = () => send(false);
+    if (Platform.OS === 'web') window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      clearInterval(interval);
+      appStateSub.remove();
+      if (Platform.OS === 'web') window.removeEventListener('pagehide', handlePageHide);
+    };
+  }, [sessionId, playerId]);
+}
+
+/**
+ * Host side: the ids of players that currently look online.
+ * @returns {Set<string>}
+ */
+export function useOnlinePlayers(sessionId) {
+  const [presence, setPresence] = useState({});
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!sessionId) return undefined;
+    return subscribeToPresence(sessionId, (docs, changedIds) => {
+      const receivedAt = Date.now();
+      // Players already seen keep their last arrival time unless they wrote again.
+      // The first snapshot counts as heard-from now: a player who dropped without
+      // signing off shows online for one timeout at most.
+      setPresence(prev => Object.fromEntries(Object.keys(docs).map(id => [id, {
+        online: docs[id].online,
+        receivedAt: changedIds.includes(id) || !prev[id] ? receivedAt : prev[id].receivedAt,
+      }])));
+    });
+  }, [sessionId]);
+
+  // Heartbeats stop arriving when a player drops, so re-check on a timer too
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), PRESENCE_HEARTBEAT_MS / 2);
+    return () => clearInterval(interval);
+  }, []);
+
+  return new Set(
+    Object.keys(presence).filter(id => isPresenceOnline(presence[id], now))
+  );
+}